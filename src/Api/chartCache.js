@@ -0,0 +1,55 @@
+const DB_NAME = "Chart-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "candles";
+
+let dbPromise;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function runRequest(mode, getRequest) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const request = getRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+  );
+}
+
+export function getChartCacheKey(chainId, symbol, period) {
+  return `${chainId}:${symbol}:${period}`;
+}
+
+// the cache is an optimisation only, any storage error falls back to fetching the full range
+export async function getCachedCandles(key) {
+  try {
+    const candles = await runRequest("readonly", (store) => store.get(key));
+    return Array.isArray(candles) ? candles : [];
+  } catch (ex) {
+    console.warn("chart cache read failed", ex);
+    return [];
+  }
+}
+
+export async function setCachedCandles(key, candles) {
+  try {
+    await runRequest("readwrite", (store) => store.put(candles, key));
+  } catch (ex) {
+    console.warn("chart cache write failed", ex);
+  }
+}
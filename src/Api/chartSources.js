@@ -0,0 +1,225 @@
+import { gql } from "@apollo/client";
+
+import { CHART_PERIODS } from "../Helpers";
+import { chainlinkClient } from "./common";
+
+// Ethereum network, Chainlink Aggregator contracts
+const FEED_ID_MAP = {
+  BTC_USD: "0xae74faa92cb67a95ebcab07358bc222e33a34da7",
+  ETH_USD: "0x37bc7498f4ff12c19678ee8fe19d713b87f6a9e6",
+  BNB_USD: "0xc45ebd0f901ba6b2b8c7e70b717778f055ef5e6d",
+  LINK_USD: "0xdfd03bfc3465107ce570a0397b247f546a42d0fa",
+  UNI_USD: "0x68577f915131087199fe48913d8b416b3984fd38",
+  SUSHI_USD: "0x7213536a36094cd8a768a5e45203ec286cba2d74",
+  AVAX_USD: "0x0fc3657899693648bba4dbd2d8b33b82e875105d",
+  AAVE_USD: "0xe3f0dede4b499c07e12475087ab1a084b5f93bc0",
+  YFI_USD: "0x8a4d74003870064d41d4f84940550911fbfccf04",
+  SPELL_USD: "0x8640b23468815902e011948f3ab173e1e83f9879",
+};
+
+const CHART_SOURCE_CUSTOM = "custom";
+const CHART_SOURCE_STATS = "stats";
+const CHART_SOURCE_CHAINLINK = "chainlink";
+const CHART_SOURCE_MOCK = "mock";
+
+const REQUEST_TIMEOUT = 5000;
+// a failed source is skipped for this long, doubling with every failure in a row
+const FAILURE_BACKOFF = 30 * 1000;
+const MAX_FAILURE_BACKOFF = 10 * 60 * 1000;
+
+const sourceHealth = {};
+
+function getSymbolWithoutWrap(symbol) {
+  if (["WBTC", "WETH", "WAVAX"].includes(symbol)) {
+    return symbol.substr(1);
+  }
+  return symbol;
+}
+
+async function fetchJson(url) {
+  const res = await new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error(`request timeout ${url}`)), REQUEST_TIMEOUT);
+    fetch(url).then(resolve).catch(reject);
+  });
+  if (!res.ok) {
+    throw new Error(`request failed ${res.status} ${res.statusText}`);
+  }
+  return res.json();
+}
+
+// candles in the stats server format, times are in seconds UTC
+function parseStatsCandles(prices) {
+  if (!Array.isArray(prices)) {
+    throw new Error("invalid prices data");
+  }
+  return prices.map(({ t: time, o: open, c: close, h: high, l: low }) => ({ time, open, close, high, low }));
+}
+
+async function getCandlesFromStats(chainId, symbol, period, from) {
+  const hostname = "https://stats.gmx.io/";
+  // const hostname = 'http://localhost:3113/'
+  const url = `${hostname}api/candles/${getSymbolWithoutWrap(
+    symbol
+  )}?preferableChainId=${chainId}&period=${period}&from=${from}&preferableSource=fast`;
+  const json = await fetchJson(url);
+  return { candles: parseStatsCandles(json?.prices), updatedAt: json?.updatedAt || 0 };
+}
+
+function getCandlesFromPrices(prices, period) {
+  const periodTime = CHART_PERIODS[period];
+
+  if (prices.length < 2) {
+    return [];
+  }
+
+  const candles = [];
+  const first = prices[0];
+  let prevTsGroup = Math.floor(first[0] / periodTime) * periodTime;
+  let prevPrice = first[1];
+  let o = prevPrice;
+  let h = prevPrice;
+  let l = prevPrice;
+  let c = prevPrice;
+  for (let i = 1; i < prices.length; i++) {
+    const [ts, price] = prices[i];
+    const tsGroup = Math.floor(ts / periodTime) * periodTime;
+    if (prevTsGroup !== tsGroup) {
+      candles.push({ t: prevTsGroup, o, h, l, c });
+      o = c;
+      h = Math.max(o, c);
+      l = Math.min(o, c);
+    }
+    c = price;
+    h = Math.max(h, price);
+    l = Math.min(l, price);
+    prevTsGroup = tsGroup;
+  }
+
+  return parseStatsCandles(candles);
+}
+
+async function getCandlesFromChainlink(chainId, symbol, period) {
+  const marketName = getSymbolWithoutWrap(symbol) + "_USD";
+  const feedId = FEED_ID_MAP[marketName];
+  if (!feedId) {
+    throw new Error(`undefined marketName ${marketName}`);
+  }
+
+  const PER_CHUNK = 1000;
+  const CHUNKS_TOTAL = 6;
+  const requests = [];
+  for (let i = 0; i < CHUNKS_TOTAL; i++) {
+    const query = gql(`{
+      rounds(
+        first: ${PER_CHUNK},
+        skip: ${i * PER_CHUNK},
+        orderBy: unixTimestamp,
+        orderDirection: desc,
+        where: {feed: "${feedId}"}
+      ) {
+        unixTimestamp,
+        value
+      }
+    }`);
+    requests.push(chainlinkClient.query({ query }));
+  }
+
+  const chunks = await Promise.all(requests);
+  const prices = [];
+  const uniqTs = new Set();
+  chunks.forEach((chunk) => {
+    chunk.data.rounds.forEach((item) => {
+      if (uniqTs.has(item.unixTimestamp)) {
+        return;
+      }
+
+      uniqTs.add(item.unixTimestamp);
+      prices.push([item.unixTimestamp, Number(item.value) / 1e8]);
+    });
+  });
+
+  prices.sort(([timeA], [timeB]) => timeA - timeB);
+  return { candles: getCandlesFromPrices(prices, period) };
+}
+
+// prices only depend on the symbol and the candle time, so every load of the same range draws the same chart
+export function getMockCandles(symbol, periodSeconds, from, to) {
+  let basePrice = 0;
+  for (const char of symbol) {
+    basePrice = (basePrice * 31 + char.charCodeAt(0)) % 1000;
+  }
+  basePrice += 10;
+  const getPrice = (time) =>
+    basePrice * (1 + 0.03 * Math.sin(time / (periodSeconds * 40)) + 0.01 * Math.sin(time / (periodSeconds * 7)));
+
+  const candles = [];
+  for (let time = Math.ceil(from / periodSeconds) * periodSeconds; time <= to; time += periodSeconds) {
+    const open = getPrice(time);
+    const close = getPrice(time + periodSeconds);
+    const wick = basePrice * 0.002 * (1.5 + Math.sin(time / periodSeconds));
+    candles.push({ time, open, close, high: Math.max(open, close) + wick, low: Math.min(open, close) - wick });
+  }
+  return candles;
+}
+
+async function getCandlesFromMock(chainId, symbol, period, from) {
+  const candles = getMockCandles(getSymbolWithoutWrap(symbol), CHART_PERIODS[period], from, Date.now() / 1000);
+  return { candles };
+}
+
+function getCustomSource(url) {
+  return {
+    id: CHART_SOURCE_CUSTOM,
+    priority: 0,
+    isCached: false,
+    fetchCandles: async (chainId, symbol, period, from) => {
+      const json = await fetchJson(
+        url
+          .replace("{chainId}", chainId)
+          .replace("{symbol}", getSymbolWithoutWrap(symbol))
+          .replace("{period}", period)
+          .replace("{from}", from)
+      );
+      return { candles: parseStatsCandles(json?.prices || json), updatedAt: json?.updatedAt };
+    },
+  };
+}
+
+// a source fetches { candles, updatedAt } where candles are { time, open, close, high, low } with times in
+// seconds UTC, starting from `from` when it supports ranges, and updatedAt is the time of its last price record
+// if it reports one, sources with a lower priority are tried first, only candles of cached sources are stored
+const chartSources = [
+  { id: CHART_SOURCE_STATS, priority: 10, isCached: true, fetchCandles: getCandlesFromStats },
+  { id: CHART_SOURCE_CHAINLINK, priority: 20, isCached: true, fetchCandles: getCandlesFromChainlink },
+];
+// development and test builds fall back to mock prices when no feed is reachable, production never shows them
+if (process.env.NODE_ENV !== "production") {
+  chartSources.push({ id: CHART_SOURCE_MOCK, priority: 30, isCached: false, fetchCandles: getCandlesFromMock });
+}
+
+function getChartSourceHealth(id) {
+  return sourceHealth[id] || { failures: 0 };
+}
+
+function isSourceHealthy(id) {
+  const { failures, failedAt } = getChartSourceHealth(id);
+  if (!failures) {
+    return true;
+  }
+  const backoff = Math.min(FAILURE_BACKOFF * 2 ** (failures - 1), MAX_FAILURE_BACKOFF);
+  return Date.now() - failedAt > backoff;
+}
+
+export function reportChartSourceResult(id, isSuccess) {
+  const { failures } = getChartSourceHealth(id);
+  sourceHealth[id] = isSuccess
+    ? { failures: 0, succeededAt: Date.now() }
+    : { ...sourceHealth[id], failures: failures + 1, failedAt: Date.now() };
+}
+
+export function getChartSources(customUrl) {
+  const sources = customUrl ? [getCustomSource(customUrl), ...chartSources] : [...chartSources];
+  sources.sort((a, b) => a.priority - b.priority);
+  // sources in backoff are still tried when every healthy one fails
+  return [...sources.filter(({ id }) => isSourceHealthy(id)), ...sources.filter(({ id }) => !isSourceHealthy(id))];
+}
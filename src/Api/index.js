@@ -7,6 +7,7 @@ import useSWR from "swr";
 
 import OrderBook from "../abis/OrderBook.json";
 import OrderExecutor from "../abis/OrderExecutor.json";
+import PositionRouter from "../abis/PositionRouter.json";
 import Vault from "../abis/Vault.json";
 import Router from "../abis/Router.json";
 import UniPool from "../abis/UniPool.json";
@@ -29,15 +30,44 @@ import {
   replaceNativeTokenAddress,
   getProvider,
   getOrderKey,
+  SWAP,
+  INCREASE,
+  DECREASE,
   fetcher,
   parseValue,
   expandDecimals,
   helperToast,
+  formatAmount,
+  getTokenInfo,
+  useLocalStorageSerializeKey,
+  getTrailingStopTriggerPrice,
+  USD_DECIMALS,
+  BASIS_POINTS_DIVISOR,
+  TRAILING_STOPS_KEY,
+  TRAILING_STOP_MIN_MOVE_BASIS_POINTS,
+  ORDER_EXPIRIES_KEY,
+  getPositionRequestKey,
+  POSITION_REQUEST_PENDING,
+  TWAP_SCHEDULES_KEY,
+  TWAP_ACTIVE,
+  TWAP_PAUSED,
+  TWAP_COMPLETED,
+  getPositionKey,
+  getTwapChunk,
+  getTwapPrice,
+  getTwapPauseReason,
+  PRICE_ALERTS_KEY,
+  PRICE_ALERT_MOVE,
+  useLocalStorageByChainId,
+  getPriceAlertPrice,
+  getPriceAlertDescription,
+  isPriceAlertTriggered,
 } from "../Helpers";
 import { getTokenBySymbol } from "../data/Tokens";
 
 import { nissohGraphClient, arbitrumGraphClient, avalancheGraphClient } from "./common";
 export * from "./prices";
+export * from "./chartSources";
 
 const { AddressZero } = ethers.constants;
 
@@ -662,6 +692,7 @@ export async function createIncreaseOrder(
   collateralTokenAddress,
   isLong,
   triggerPrice,
+  triggerAboveThreshold,
   opts = {}
 ) {
   invariant(!isLong || indexTokenAddress === collateralTokenAddress, "invalid token addresses");
@@ -672,7 +703,6 @@ export async function createIncreaseOrder(
 
   path = replaceNativeTokenAddress(path, nativeTokenAddress);
   const shouldWrap = fromETH;
-  const triggerAboveThreshold = !isLong;
   const executionFee = getConstant(chainId, "INCREASE_ORDER_EXECUTION_GAS_FEE");
 
   const params = [
@@ -733,6 +763,33 @@ export async function createDecreaseOrder(
   return callContract(chainId, contract, "createDecreaseOrder", params, opts);
 }
 
+// the index of an order is only known once its tx is mined, other txs of the account can be created in between
+export async function getCreatedOrderIndex(chainId, tx, type) {
+  const orderBookAddress = getContract(chainId, "OrderBook");
+  const orderBookInterface = new ethers.utils.Interface(OrderBook.abi);
+  const receipt = await tx.wait();
+  const createEvent = receipt.logs
+    .filter((log) => log.address.toLowerCase() === orderBookAddress.toLowerCase())
+    .map((log) => orderBookInterface.parseLog(log))
+    .find((event) => event.name === `Create${type}Order`);
+  if (!createEvent) {
+    throw new Error("Created order not found");
+  }
+  return createEvent.args.orderIndex.toNumber();
+}
+
+// orders whose tx reverted are left out
+export async function getCreatedOrderKeys(chainId, account, txs, type) {
+  const indexes = await Promise.all(
+    txs.map((tx) =>
+      getCreatedOrderIndex(chainId, tx, type).catch((e) => {
+        console.error(e);
+      })
+    )
+  );
+  return indexes.filter((index) => index !== undefined).map((index) => getOrderKey({ type, account, index }));
+}
+
 export async function cancelSwapOrder(chainId, library, index, opts) {
   const params = [index];
   const method = "cancelSwapOrder";
@@ -760,6 +817,572 @@ export async function cancelIncreaseOrder(chainId, library, index, opts) {
   return callContract(chainId, contract, method, params, opts);
 }
 
+export async function cancelMultipleOrders(chainId, library, orders, opts) {
+  const getIndexes = (type) => orders.filter((order) => order.type === type).map((order) => order.index);
+  const params = [getIndexes(SWAP), getIndexes(INCREASE), getIndexes(DECREASE)];
+  const method = "cancelMultiple";
+  const orderBookAddress = getContract(chainId, "OrderBook");
+  const contract = new ethers.Contract(orderBookAddress, OrderBook.abi, library.getSigner());
+
+  return callContract(chainId, contract, method, params, opts);
+}
+
+const POSITION_REQUEST_POLL_INTERVAL = 2000;
+const POSITION_REQUEST_TIMEOUT = 5 * 60 * 1000;
+
+// resolves with the request created by the transaction once a keeper has executed or cancelled it
+async function waitForPositionRequest(contract, tx, type) {
+  const receipt = await tx.wait();
+  const createEvent = receipt.logs
+    .filter((log) => log.address.toLowerCase() === contract.address.toLowerCase())
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event.name === `Create${type}Position`);
+  if (!createEvent) {
+    throw new Error(`${type} position request not found`);
+  }
+  const key = await contract.getRequestKey(createEvent.args.account, createEvent.args.index);
+
+  const startTime = Date.now();
+  while (Date.now() - startTime < POSITION_REQUEST_TIMEOUT) {
+    const request = await contract[`${type.toLowerCase()}PositionRequests`](key);
+    if (request.account === AddressZero) {
+      return { request: createEvent.args, blockNumber: receipt.blockNumber };
+    }
+    await new Promise((resolve) => setTimeout(resolve, POSITION_REQUEST_POLL_INTERVAL));
+  }
+  throw new Error(`${type} position request was not executed in time`);
+}
+
+export async function waitForDecreasePositionRequest(chainId, library, tx) {
+  const contract = new ethers.Contract(getContract(chainId, "PositionRouter"), PositionRouter.abi, library.getSigner());
+  await waitForPositionRequest(contract, tx, DECREASE);
+}
+
+// resolves with false when the keeper cancelled the request instead of opening the position
+export async function waitForIncreasePositionRequest(chainId, library, tx) {
+  const contract = new ethers.Contract(getContract(chainId, "PositionRouter"), PositionRouter.abi, library.getSigner());
+  const { request, blockNumber } = await waitForPositionRequest(contract, tx, INCREASE);
+
+  // execute events do not include the request index, the request is matched by its params
+  const executeEvents = await contract.queryFilter(
+    contract.filters.ExecuteIncreasePosition(request.account),
+    blockNumber
+  );
+  return executeEvents.some(
+    ({ args }) =>
+      args.indexToken === request.indexToken &&
+      args.isLong === request.isLong &&
+      args.sizeDelta.eq(request.sizeDelta) &&
+      args.acceptablePrice.eq(request.acceptablePrice)
+  );
+}
+
+// older requests are either executed or cancelled by now
+const POSITION_REQUESTS_LOOKBACK = 10;
+
+async function getPendingPositionRequests(contract, account, type) {
+  const prefix = type === INCREASE ? "increase" : "decrease";
+  const lastIndex = (await contract[`${prefix}PositionsIndex`](account)).toNumber();
+  const indexes = [];
+  for (let index = lastIndex; index > 0 && index > lastIndex - POSITION_REQUESTS_LOOKBACK; index--) {
+    indexes.push(index);
+  }
+
+  const requests = await Promise.all(
+    indexes.map(async (index) => {
+      const key = getPositionRequestKey(account, index);
+      const request = await contract[`${prefix}PositionRequests`](key);
+      // executed and cancelled requests are deleted from the router
+      if (request.account === AddressZero) {
+        return null;
+      }
+      const path = await contract[
+        type === INCREASE ? "getIncreasePositionRequestPath" : "getDecreasePositionRequestPath"
+      ](key);
+      return {
+        key,
+        type,
+        index,
+        account,
+        path,
+        indexToken: request.indexToken,
+        amountIn: request.amountIn,
+        collateralDelta: request.collateralDelta,
+        sizeDelta: request.sizeDelta,
+        isLong: request.isLong,
+        acceptablePrice: request.acceptablePrice,
+        executionFee: request.executionFee,
+        blockTime: request.blockTime.toNumber(),
+      };
+    })
+  );
+  return requests.filter(Boolean);
+}
+
+export function usePositionRequests(chainId, library, account) {
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const key = account ? [chainId, positionRouterAddress, account, "positionRequests"] : false;
+  const { data: pendingRequests = [], mutate: updatePositionRequests } = useSWR(key, {
+    fetcher: async (chainId, positionRouterAddress, account) => {
+      const provider = getProvider(library, chainId);
+      const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, provider);
+      const [increaseRequests, decreaseRequests] = await Promise.all([
+        getPendingPositionRequests(contract, account, INCREASE),
+        getPendingPositionRequests(contract, account, DECREASE),
+      ]);
+      return [...increaseRequests, ...decreaseRequests];
+    },
+  });
+
+  // requests are removed from the router once settled, the outcome is only known from the events seen in this session
+  const [settledRequests, setSettledRequests] = useState({});
+  const pendingRequestsRef = useRef(pendingRequests);
+  pendingRequestsRef.current = pendingRequests;
+
+  const setPositionRequestStatus = useCallback(
+    (type, status, { indexToken, sizeDelta, isLong, acceptablePrice }) => {
+      // events do not include the request key, the oldest request with the same params is the one settled
+      setSettledRequests((settledRequests) => {
+        const request = pendingRequestsRef.current
+          .filter(
+            (request) =>
+              !settledRequests[request.key] &&
+              request.type === type &&
+              request.indexToken === indexToken &&
+              request.isLong === isLong &&
+              request.sizeDelta.eq(sizeDelta) &&
+              request.acceptablePrice.eq(acceptablePrice)
+          )
+          .sort((a, b) => a.blockTime - b.blockTime)[0];
+        if (!request) {
+          return settledRequests;
+        }
+        return { ...settledRequests, [request.key]: { ...request, status } };
+      });
+      updatePositionRequests();
+    },
+    [updatePositionRequests]
+  );
+
+  const positionRequests = useMemo(() => {
+    const requests = Object.values(settledRequests).filter((request) => request.account === account);
+    for (const request of pendingRequests) {
+      if (!settledRequests[request.key]) {
+        requests.push({ ...request, status: POSITION_REQUEST_PENDING });
+      }
+    }
+    return requests.sort((a, b) => b.blockTime - a.blockTime);
+  }, [account, pendingRequests, settledRequests]);
+
+  return { positionRequests, updatePositionRequests, setPositionRequestStatus };
+}
+
+export async function cancelPositionRequest(chainId, library, request, opts) {
+  const method = request.type === INCREASE ? "cancelIncreasePosition" : "cancelDecreasePosition";
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library.getSigner());
+
+  // the execution fee is refunded to the account
+  return callContract(chainId, contract, method, [request.key, request.account], opts);
+}
+
+const TWAP_POLL_INTERVAL = 5000;
+
+async function createTwapChunkRequest(chainId, library, schedule, chunk, price, opts) {
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library.getSigner());
+  const minExecutionFee = await contract.minExecutionFee();
+
+  // the slippage is applied to the price at the time of the chunk, not at the start of the schedule
+  const isMaxPrice = (schedule.type === INCREASE) === schedule.isLong;
+  const priceBasisPoints = isMaxPrice
+    ? BASIS_POINTS_DIVISOR + schedule.slippage
+    : BASIS_POINTS_DIVISOR - schedule.slippage;
+  const acceptablePrice = price.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+
+  const label = `TWAP ${schedule.type === INCREASE ? "increase" : "decrease"} ${chunk.index + 1}/${schedule.chunks}`;
+  const callOpts = {
+    sentMsg: `${label} submitted!`,
+    successMsg: `${label} requested.`,
+    failMsg: `${label} failed.`,
+    ...opts,
+  };
+
+  if (schedule.type === DECREASE) {
+    const params = [
+      schedule.path, // _path
+      schedule.indexToken, // _indexToken
+      chunk.collateralDelta, // _collateralDelta
+      chunk.sizeDelta, // _sizeDelta
+      schedule.isLong, // _isLong
+      schedule.account, // _receiver
+      acceptablePrice, // _acceptablePrice
+      0, // _minOut
+      minExecutionFee, // _executionFee
+      schedule.isNative, // _withdrawETH
+    ];
+    return callContract(chainId, contract, "createDecreasePosition", params, { value: minExecutionFee, ...callOpts });
+  }
+
+  if (schedule.isNative) {
+    const params = [
+      schedule.path, // _path
+      schedule.indexToken, // _indexToken
+      0, // _minOut
+      chunk.sizeDelta, // _sizeDelta
+      schedule.isLong, // _isLong
+      acceptablePrice, // _acceptablePrice
+      minExecutionFee, // _executionFee
+      ethers.constants.HashZero, // _referralCode
+    ];
+    return callContract(chainId, contract, "createIncreasePositionETH", params, {
+      value: chunk.amountIn.add(minExecutionFee),
+      ...callOpts,
+    });
+  }
+
+  const params = [
+    schedule.path, // _path
+    schedule.indexToken, // _indexToken
+    chunk.amountIn, // _amountIn
+    0, // _minOut
+    chunk.sizeDelta, // _sizeDelta
+    schedule.isLong, // _isLong
+    acceptablePrice, // _acceptablePrice
+    minExecutionFee, // _executionFee
+    ethers.constants.HashZero, // _referralCode
+  ];
+  return callContract(chainId, contract, "createIncreasePosition", params, { value: minExecutionFee, ...callOpts });
+}
+
+// a cancelled chunk is requested again at the current price, the schedule is paused after this many in a row
+const TWAP_MAX_CHUNK_RETRIES = 2;
+
+function getTwapEventName(schedule) {
+  return schedule.type === INCREASE ? "IncreasePosition" : "DecreasePosition";
+}
+
+// the pending chunk is stored with the schedule, so its outcome is still picked up after a reload
+async function getTwapPendingChunk(chainId, library, schedule, chunk, tx) {
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library);
+
+  const receipt = await tx.wait();
+  const createEvent = receipt.logs
+    .filter((log) => log.address.toLowerCase() === positionRouterAddress.toLowerCase())
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event.name === `Create${getTwapEventName(schedule)}`);
+  if (!createEvent) {
+    throw new Error("Position request not found");
+  }
+  return {
+    requestKey: getPositionRequestKey(createEvent.args.account, createEvent.args.index),
+    sizeDelta: chunk.sizeDelta.toString(),
+    acceptablePrice: createEvent.args.acceptablePrice.toString(),
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+// resolves to undefined while the keeper has not settled the request yet
+async function getTwapChunkOutcome(chainId, library, schedule) {
+  const { pendingChunk } = schedule;
+  const provider = getProvider(library, chainId);
+  const contract = new ethers.Contract(getContract(chainId, "PositionRouter"), PositionRouter.abi, provider);
+  const eventName = getTwapEventName(schedule);
+
+  const request = await contract[`${schedule.type === INCREASE ? "increase" : "decrease"}PositionRequests`](
+    pendingChunk.requestKey
+  );
+  if (request.account !== AddressZero) {
+    return;
+  }
+
+  // settle events do not include the request key, the request is matched by its params like in usePositionRequests
+  const isRequestEvent = (event) =>
+    event.args.indexToken.toLowerCase() === schedule.indexToken.toLowerCase() &&
+    event.args.isLong === schedule.isLong &&
+    event.args.sizeDelta.eq(pendingChunk.sizeDelta) &&
+    event.args.acceptablePrice.eq(pendingChunk.acceptablePrice);
+  const [executeEvents, cancelEvents] = await Promise.all(
+    [`Execute${eventName}`, `Cancel${eventName}`].map((name) =>
+      contract.queryFilter(contract.filters[name](schedule.account), pendingChunk.blockNumber)
+    )
+  );
+
+  const executeEvent = executeEvents.find(isRequestEvent);
+  if (!executeEvent) {
+    return cancelEvents.some(isRequestEvent) ? { isCancelled: true } : undefined;
+  }
+
+  // the price the position was changed at is only in the vault event of the execution
+  const vaultInterface = new ethers.utils.Interface(Vault.abi);
+  const receipt = await executeEvent.getTransactionReceipt();
+  const vaultEvent = receipt.logs
+    .map((log) => {
+      try {
+        return vaultInterface.parseLog(log);
+      } catch (e) {
+        return undefined;
+      }
+    })
+    .find(
+      (event) =>
+        event &&
+        event.name === eventName &&
+        event.args.account.toLowerCase() === schedule.account.toLowerCase() &&
+        event.args.sizeDelta.eq(pendingChunk.sizeDelta)
+    );
+  if (!vaultEvent) {
+    throw new Error("Executed position change not found");
+  }
+  return { price: vaultEvent.args.price };
+}
+
+export function useTwapSchedules(chainId, library, { account, infoTokens, positionsMap, setPendingTxns }) {
+  const [twapSchedules, setTwapSchedules] = useLocalStorageSerializeKey([chainId, TWAP_SCHEDULES_KEY], {});
+  // the storage setter only sees the schedules of the last render, chunks settle in between renders
+  const schedulesRef = useRef(twapSchedules);
+  schedulesRef.current = twapSchedules;
+  const latestRef = useRef();
+  latestRef.current = { infoTokens, positionsMap, setPendingTxns };
+  const executingIds = useRef({});
+
+  const saveTwapSchedules = useCallback(
+    (nextTwapSchedules) => {
+      schedulesRef.current = nextTwapSchedules;
+      setTwapSchedules(nextTwapSchedules);
+    },
+    [setTwapSchedules]
+  );
+
+  const updateTwapSchedule = useCallback(
+    (id, changes) => {
+      const schedule = schedulesRef.current[id];
+      if (schedule) {
+        saveTwapSchedules({ ...schedulesRef.current, [id]: { ...schedule, ...changes } });
+      }
+    },
+    [saveTwapSchedules]
+  );
+
+  const addTwapSchedule = useCallback(
+    (schedule) => {
+      saveTwapSchedules({ ...schedulesRef.current, [schedule.id]: schedule });
+    },
+    [saveTwapSchedules]
+  );
+
+  const removeTwapSchedule = useCallback(
+    (id) => {
+      const nextTwapSchedules = { ...schedulesRef.current };
+      delete nextTwapSchedules[id];
+      saveTwapSchedules(nextTwapSchedules);
+    },
+    [saveTwapSchedules]
+  );
+
+  // chunks are only sent while the app is open, a schedule resumes from where it stopped after a reload
+  useEffect(() => {
+    if (!library || !account) {
+      return;
+    }
+
+    const settlePendingChunk = (schedule) => {
+      executingIds.current[schedule.id] = true;
+      getTwapChunkOutcome(chainId, library, schedule)
+        .then((outcome) => {
+          const latest = schedulesRef.current[schedule.id];
+          if (!outcome || !latest) {
+            return;
+          }
+          if (outcome.isCancelled) {
+            const chunkRetries = (latest.chunkRetries || 0) + 1;
+            const isRetried = chunkRetries <= TWAP_MAX_CHUNK_RETRIES && latest.status === TWAP_ACTIVE;
+            updateTwapSchedule(schedule.id, {
+              pendingChunk: undefined,
+              chunkRetries: isRetried ? chunkRetries : 0,
+              nextExecutionAt: Date.now(),
+              ...(isRetried || latest.status !== TWAP_ACTIVE
+                ? {}
+                : { status: TWAP_PAUSED, pauseReason: "Chunk request was cancelled", isAutoPaused: false }),
+            });
+            return;
+          }
+          const fills = [
+            ...latest.fills,
+            { price: outcome.price.toString(), sizeDelta: latest.pendingChunk.sizeDelta },
+          ];
+          updateTwapSchedule(schedule.id, {
+            fills,
+            pendingChunk: undefined,
+            chunkRetries: 0,
+            status: fills.length >= latest.chunks ? TWAP_COMPLETED : latest.status,
+          });
+        })
+        .catch((e) => {
+          console.error(e);
+        })
+        .finally(() => {
+          delete executingIds.current[schedule.id];
+        });
+    };
+
+    const executeDueChunks = () => {
+      const { infoTokens, positionsMap, setPendingTxns } = latestRef.current;
+      for (const schedule of Object.values(schedulesRef.current)) {
+        if (schedule.account !== account || executingIds.current[schedule.id]) continue;
+        // a chunk only counts as filled once the keeper has executed it, also when the schedule was stopped since
+        if (schedule.pendingChunk) {
+          settlePendingChunk(schedule);
+          continue;
+        }
+        const isAutoPaused = schedule.status === TWAP_PAUSED && schedule.isAutoPaused;
+        if (schedule.status !== TWAP_ACTIVE && !isAutoPaused) continue;
+
+        const chunk = getTwapChunk(schedule);
+        let pauseReason = getTwapPauseReason(schedule, infoTokens);
+        if (!pauseReason && schedule.type === DECREASE) {
+          const position =
+            positionsMap &&
+            positionsMap[getPositionKey(schedule.collateralToken, schedule.indexToken, schedule.isLong)];
+          if (!position || !position.size || position.size.lt(chunk.sizeDelta)) {
+            pauseReason = "Position is smaller than the next chunk";
+          }
+        }
+
+        if (pauseReason) {
+          if (schedule.status === TWAP_ACTIVE || schedule.pauseReason !== pauseReason) {
+            updateTwapSchedule(schedule.id, { status: TWAP_PAUSED, pauseReason, isAutoPaused: true });
+          }
+          continue;
+        }
+        if (isAutoPaused) {
+          updateTwapSchedule(schedule.id, { status: TWAP_ACTIVE, pauseReason: undefined, isAutoPaused: false });
+        }
+
+        const price = getTwapPrice(schedule, infoTokens);
+        if (!price || schedule.nextExecutionAt > Date.now()) continue;
+
+        executingIds.current[schedule.id] = true;
+        createTwapChunkRequest(chainId, library, schedule, chunk, price, { setPendingTxns })
+          .then((tx) => getTwapPendingChunk(chainId, library, schedule, chunk, tx))
+          .then((pendingChunk) => {
+            if (schedulesRef.current[schedule.id]) {
+              updateTwapSchedule(schedule.id, { pendingChunk, nextExecutionAt: Date.now() + schedule.interval });
+            }
+          })
+          .catch((e) => {
+            // a rejected chunk pauses the schedule instead of prompting again on the next poll
+            console.error(e);
+            updateTwapSchedule(schedule.id, {
+              status: TWAP_PAUSED,
+              pauseReason: "Chunk request failed",
+              isAutoPaused: false,
+            });
+          })
+          .finally(() => {
+            delete executingIds.current[schedule.id];
+          });
+      }
+    };
+
+    executeDueChunks();
+    const interval = setInterval(executeDueChunks, TWAP_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [chainId, library, account, updateTwapSchedule]);
+
+  return { twapSchedules, addTwapSchedule, updateTwapSchedule, removeTwapSchedule };
+}
+
+const DEFAULT_PRICE_ALERTS = [];
+
+function showPriceAlertNotification(message) {
+  helperToast.success(message);
+  if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+    new Notification("Price alert", { body: message });
+  }
+}
+
+export function usePriceAlerts(chainId, infoTokens) {
+  const [priceAlerts, setPriceAlerts] = useLocalStorageByChainId(chainId, PRICE_ALERTS_KEY, DEFAULT_PRICE_ALERTS);
+  // the storage setter resolves functional updates against a stale value, so updates are built from the latest alerts
+  const alertsRef = useRef(priceAlerts);
+  alertsRef.current = priceAlerts;
+
+  const savePriceAlerts = useCallback(
+    (nextPriceAlerts) => {
+      alertsRef.current = nextPriceAlerts;
+      setPriceAlerts(nextPriceAlerts);
+    },
+    [setPriceAlerts]
+  );
+
+  const addPriceAlert = useCallback(
+    (alert) => {
+      savePriceAlerts([...alertsRef.current, alert]);
+      if (typeof Notification !== "undefined" && Notification.permission === "default") {
+        Notification.requestPermission();
+      }
+    },
+    [savePriceAlerts]
+  );
+
+  const updatePriceAlert = useCallback(
+    (id, changes) => {
+      savePriceAlerts(alertsRef.current.map((alert) => (alert.id === id ? { ...alert, ...changes } : alert)));
+    },
+    [savePriceAlerts]
+  );
+
+  const removePriceAlert = useCallback(
+    (id) => {
+      savePriceAlerts(alertsRef.current.filter((alert) => alert.id !== id));
+    },
+    [savePriceAlerts]
+  );
+
+  useEffect(() => {
+    if (!infoTokens) {
+      return;
+    }
+    const now = parseInt(Date.now() / 1000);
+    let hasChanges = false;
+    const nextPriceAlerts = alertsRef.current.map((alert) => {
+      const isFinished = alert.triggeredAt && !alert.isRepeating;
+      const isSnoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+      const price = getPriceAlertPrice(getTokenInfo(infoTokens, alert.tokenAddress));
+      if (isFinished || isSnoozed || !price) {
+        return alert;
+      }
+
+      // a repeating alert fires again only after its condition has cleared
+      const isTriggered = isPriceAlertTriggered(alert, price);
+      if (isTriggered === Boolean(alert.isTriggered)) {
+        return alert;
+      }
+      hasChanges = true;
+      if (!isTriggered) {
+        return { ...alert, isTriggered: false };
+      }
+
+      showPriceAlertNotification(
+        `${getPriceAlertDescription(alert)}, now $${formatAmount(price, USD_DECIMALS, 2, true)}`
+      );
+      if (alert.type === PRICE_ALERT_MOVE) {
+        // the next move is measured from the price that fired the alert
+        return { ...alert, referencePrice: price.toString(), triggeredAt: now };
+      }
+      return { ...alert, isTriggered: true, triggeredAt: now };
+    });
+
+    if (hasChanges) {
+      savePriceAlerts(nextPriceAlerts);
+    }
+  }, [infoTokens, savePriceAlerts]);
+
+  return { priceAlerts, addPriceAlert, updatePriceAlert, removePriceAlert };
+}
+
 export async function updateDecreaseOrder(
   chainId,
   library,
@@ -778,6 +1401,199 @@ export async function updateDecreaseOrder(
   return callContract(chainId, contract, method, params, opts);
 }
 
+export function useTrailingStops(chainId, library, { orders, infoTokens, nativeTokenAddress, setPendingTxns }) {
+  const [trailingStops, setTrailingStops] = useLocalStorageSerializeKey([chainId, TRAILING_STOPS_KEY], {});
+  const trailingStopsRef = useRef(trailingStops);
+  trailingStopsRef.current = trailingStops;
+  const updatingOrderKeys = useRef({});
+
+  // trailing stops are only maintained while the app is open, the order book does not know about them
+  useEffect(() => {
+    if (!library || !orders || !infoTokens) {
+      return;
+    }
+
+    let nextTrailingStops;
+    for (const order of orders) {
+      if (order.type !== DECREASE) continue;
+      const orderKey = getOrderKey(order);
+      const trailingStop = trailingStops[orderKey];
+      if (!trailingStop) continue;
+
+      const indexToken = getTokenInfo(infoTokens, order.indexToken, true, nativeTokenAddress);
+      const markPrice = indexToken && (order.isLong ? indexToken.minPrice : indexToken.maxPrice);
+      const peakPrice = bigNumberify(trailingStop.peakPrice);
+      if (!markPrice || (order.isLong ? markPrice.lte(peakPrice) : markPrice.gte(peakPrice))) continue;
+
+      const triggerPrice = getTrailingStopTriggerPrice({
+        peakPrice: markPrice,
+        distance: bigNumberify(trailingStop.distance),
+        unit: trailingStop.unit,
+        isLong: order.isLong,
+      });
+
+      // the trigger may have been moved by a pending update or edited by hand, it only ever tightens
+      let lastTriggerPrice = bigNumberify(trailingStop.triggerPrice);
+      if (order.isLong ? order.triggerPrice.gt(lastTriggerPrice) : order.triggerPrice.lt(lastTriggerPrice)) {
+        lastTriggerPrice = order.triggerPrice;
+      }
+      const minMove = lastTriggerPrice.mul(TRAILING_STOP_MIN_MOVE_BASIS_POINTS).div(BASIS_POINTS_DIVISOR);
+      const shouldMove =
+        triggerPrice &&
+        !updatingOrderKeys.current[orderKey] &&
+        (order.isLong ? triggerPrice.sub(lastTriggerPrice) : lastTriggerPrice.sub(triggerPrice)).gte(minMove);
+
+      nextTrailingStops = nextTrailingStops || { ...trailingStops };
+      nextTrailingStops[orderKey] = {
+        ...trailingStop,
+        peakPrice: markPrice.toString(),
+        triggerPrice: shouldMove ? triggerPrice.toString() : trailingStop.triggerPrice,
+      };
+
+      if (shouldMove) {
+        updatingOrderKeys.current[orderKey] = true;
+        updateDecreaseOrder(
+          chainId,
+          library,
+          order.index,
+          order.collateralDelta,
+          order.sizeDelta,
+          triggerPrice,
+          order.triggerAboveThreshold,
+          {
+            sentMsg: "Trailing stop update submitted!",
+            successMsg: `Trailing stop moved to ${formatAmount(triggerPrice, USD_DECIMALS, 2, true)}`,
+            failMsg: "Trailing stop update failed",
+            setPendingTxns,
+          }
+        )
+          .catch(() => {
+            // the peak is kept, the next new peak retries the move
+            const current = trailingStopsRef.current[orderKey];
+            if (current) {
+              setTrailingStops({
+                ...trailingStopsRef.current,
+                [orderKey]: { ...current, triggerPrice: trailingStop.triggerPrice },
+              });
+            }
+          })
+          .finally(() => {
+            delete updatingOrderKeys.current[orderKey];
+          });
+      }
+    }
+
+    if (nextTrailingStops) {
+      setTrailingStops(nextTrailingStops);
+    }
+  }, [chainId, library, orders, infoTokens, nativeTokenAddress, trailingStops, setTrailingStops, setPendingTxns]);
+
+  return [trailingStops, setTrailingStops];
+}
+
+const ORDER_EXPIRY_POLL_INTERVAL = 10000;
+// expiries of orders that were never seen open after expiring, e.g. executed in time, are kept for a while
+const ORDER_EXPIRY_RETENTION = 7 * 24 * 60 * 60;
+
+function cancelExpiredOrder(chainId, library, order, opts) {
+  if (order.type === SWAP) {
+    return cancelSwapOrder(chainId, library, order.index, opts);
+  }
+  if (order.type === INCREASE) {
+    return cancelIncreaseOrder(chainId, library, order.index, opts);
+  }
+  return cancelDecreaseOrder(chainId, library, order.index, opts);
+}
+
+function getExpiredOrderLabel(order) {
+  if (order.type === SWAP) {
+    return "Swap order";
+  }
+  return `${order.type === INCREASE ? "Increase" : "Decrease"} ${
+    order.isLong ? "Long" : "Short"
+  } order of $${formatAmount(order.sizeDelta, USD_DECIMALS, 2, true)}`;
+}
+
+export function useOrderExpiries(chainId, library, { account, orders, isAutoCancelEnabled, setPendingTxns }) {
+  const [orderExpiries, setOrderExpiries] = useLocalStorageSerializeKey([chainId, ORDER_EXPIRIES_KEY], {});
+  const orderExpiriesRef = useRef(orderExpiries);
+  orderExpiriesRef.current = orderExpiries;
+  const latestRef = useRef();
+  latestRef.current = { orders, isAutoCancelEnabled, setPendingTxns };
+  // an expired order is prompted or cancelled once per session, a rejected cancel is left to the orders list
+  const handledOrderKeys = useRef({});
+
+  // like trailing stops, expiries are only enforced while the app is open, the order book does not know about them
+  useEffect(() => {
+    if (!library || !account) {
+      return;
+    }
+
+    const checkOrderExpiries = () => {
+      const { orders, isAutoCancelEnabled, setPendingTxns } = latestRef.current;
+      const orderExpiries = orderExpiriesRef.current;
+      const now = parseInt(Date.now() / 1000);
+      const openOrderKeys = {};
+
+      for (const order of orders || []) {
+        const orderKey = getOrderKey(order);
+        openOrderKeys[orderKey] = true;
+        const expiresAt = orderExpiries[orderKey];
+        if (!expiresAt || expiresAt > now || handledOrderKeys.current[orderKey]) continue;
+        handledOrderKeys.current[orderKey] = true;
+
+        const label = getExpiredOrderLabel(order);
+        const cancel = () =>
+          cancelExpiredOrder(chainId, library, order, {
+            sentMsg: `Cancel of expired ${label.toLowerCase()} submitted`,
+            successMsg: "Expired order cancelled",
+            failMsg: "Cancel failed",
+            setPendingTxns,
+          }).catch((e) => {
+            console.error(e);
+          });
+
+        if (isAutoCancelEnabled) {
+          cancel();
+          continue;
+        }
+        helperToast.error(
+          <div>
+            {label} has expired but is still open.
+            <br />
+            <span className="underline clickable" onClick={cancel}>
+              Cancel order
+            </span>
+          </div>
+        );
+      }
+
+      // orders of other accounts are not loaded, their expiries are left alone
+      const staleOrderKeys = Object.keys(orderExpiries).filter(
+        (orderKey) =>
+          orderKey.includes(`-${account}-`) &&
+          !openOrderKeys[orderKey] &&
+          (handledOrderKeys.current[orderKey] || orderExpiries[orderKey] + ORDER_EXPIRY_RETENTION < now)
+      );
+      if (staleOrderKeys.length > 0) {
+        const nextOrderExpiries = { ...orderExpiries };
+        for (const orderKey of staleOrderKeys) {
+          delete nextOrderExpiries[orderKey];
+          delete handledOrderKeys.current[orderKey];
+        }
+        orderExpiriesRef.current = nextOrderExpiries;
+        setOrderExpiries(nextOrderExpiries);
+      }
+    };
+
+    checkOrderExpiries();
+    const interval = setInterval(checkOrderExpiries, ORDER_EXPIRY_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [chainId, library, account, setOrderExpiries]);
+
+  return [orderExpiries, setOrderExpiries];
+}
+
 export async function updateIncreaseOrder(
   chainId,
   library,
@@ -1,217 +1,142 @@
-import { useMemo } from "react";
-import { gql } from "@apollo/client";
+import { useMemo, useState, useEffect, useCallback } from "react";
 import useSWR from "swr";
 import { ethers } from "ethers";
 
-import { USD_DECIMALS, CHART_PERIODS, formatAmount } from "../Helpers";
-import { chainlinkClient } from "./common";
+import { USD_DECIMALS, CHART_PERIODS, CHART_GAP_SKIP, CHART_OBSOLETE_DATA_AGE, formatAmount } from "../Helpers";
+import { getChartSources, reportChartSourceResult } from "./chartSources";
+import { getChartCacheKey, getCachedCandles, setCachedCandles } from "./chartCache";
 
 const BigNumber = ethers.BigNumber;
 
-// Ethereum network, Chainlink Aggregator contracts
-const FEED_ID_MAP = {
-  BTC_USD: "0xae74faa92cb67a95ebcab07358bc222e33a34da7",
-  ETH_USD: "0x37bc7498f4ff12c19678ee8fe19d713b87f6a9e6",
-  BNB_USD: "0xc45ebd0f901ba6b2b8c7e70b717778f055ef5e6d",
-  LINK_USD: "0xdfd03bfc3465107ce570a0397b247f546a42d0fa",
-  UNI_USD: "0x68577f915131087199fe48913d8b416b3984fd38",
-  SUSHI_USD: "0x7213536a36094cd8a768a5e45203ec286cba2d74",
-  AVAX_USD: "0x0fc3657899693648bba4dbd2d8b33b82e875105d",
-  AAVE_USD: "0xe3f0dede4b499c07e12475087ab1a084b5f93bc0",
-  YFI_USD: "0x8a4d74003870064d41d4f84940550911fbfccf04",
-  SPELL_USD: "0x8640b23468815902e011948f3ab173e1e83f9879",
-};
 const timezoneOffset = -new Date().getTimezoneOffset() * 60;
-
-function fillGaps(prices, periodSeconds) {
-  if (prices.length < 2) {
+// candles built from price ticks since the history was loaded, older ones are dropped
+const MAX_LIVE_CANDLES = 500;
+// how far back the history goes, cached candles older than that are dropped
+const HISTORY_CANDLES = 3000;
+const MIN_HISTORY_CANDLES = 10;
+
+function fillGaps(prices, periodSeconds, gapMode) {
+  if (prices.length < 2 || gapMode === CHART_GAP_SKIP) {
     return prices;
   }
 
+  // nothing is known about missing periods, so they are drawn flat at the last known price
   const newPrices = [prices[0]];
-  let prevTime = prices[0].time;
   for (let i = 1; i < prices.length; i++) {
-    const { time, open } = prices[i];
-    if (prevTime) {
-      let j = (time - prevTime) / periodSeconds - 1;
-      while (j > 0) {
-        newPrices.push({
-          time: time - j * periodSeconds,
-          open,
-          close: open,
-          high: open * 1.0003,
-          low: open * 0.9996,
-        });
-        j--;
-      }
+    const { close } = newPrices[newPrices.length - 1];
+    for (let time = prices[i - 1].time + periodSeconds; time < prices[i].time; time += periodSeconds) {
+      newPrices.push({ time, open: close, close, high: close, low: close, isSynthetic: true });
     }
-
-    prevTime = time;
     newPrices.push(prices[i]);
   }
 
   return newPrices;
 }
 
-async function getChartPricesFromStats(chainId, symbol, period) {
-  if (["WBTC", "WETH", "WAVAX"].includes(symbol)) {
-    symbol = symbol.substr(1);
-  }
-  const hostname = "https://stats.gmx.io/";
-  // const hostname = 'http://localhost:3113/'
-  const timeDiff = CHART_PERIODS[period] * 3000;
-  const from = Math.floor(Date.now() / 1000 - timeDiff);
-  const url = `${hostname}api/candles/${symbol}?preferableChainId=${chainId}&period=${period}&from=${from}&preferableSource=fast`;
-  const TIMEOUT = 5000;
-  const res = await new Promise((resolve, reject) => {
-    setTimeout(() => reject(new Error(`request timeout ${url}`)), TIMEOUT);
-    fetch(url).then(resolve).catch(reject);
-  });
-  if (!res.ok) {
-    throw new Error(`request failed ${res.status} ${res.statusText}`);
-  }
-  const json = await res.json();
-  let prices = json?.prices;
-  if (!prices || prices.length < 10) {
-    throw new Error(`not enough prices data: ${prices?.length}`);
-  }
-
-  const OBSOLETE_THRESHOLD = Date.now() / 1000 - 60 * 30; // 30 min ago
-  const updatedAt = json?.updatedAt || 0;
-  if (updatedAt < OBSOLETE_THRESHOLD) {
-    throw new Error(
-      "chart data is obsolete, last price record at " +
-        new Date(updatedAt * 1000).toISOString() +
-        " now: " +
-        new Date().toISOString()
-    );
+function mergeCandles(candles, newCandles) {
+  const candlesByTime = {};
+  for (const candle of [...candles, ...newCandles]) {
+    candlesByTime[candle.time] = candle;
   }
-
-  prices = prices.map(({ t, o: open, c: close, h: high, l: low }) => ({
-    time: t + timezoneOffset,
-    open,
-    close,
-    high,
-    low,
-  }));
-  return prices;
+  return Object.values(candlesByTime).sort((a, b) => a.time - b.time);
 }
 
-function getCandlesFromPrices(prices, period) {
-  const periodTime = CHART_PERIODS[period];
-
-  if (prices.length < 2) {
-    return [];
-  }
+async function getChartCandles(chainId, symbol, period, customUrl) {
+  const periodSeconds = CHART_PERIODS[period];
+  const from = Math.floor(Date.now() / 1000 - periodSeconds * HISTORY_CANDLES);
+  const cacheKey = getChartCacheKey(chainId, symbol, period);
+  const cachedCandles = (await getCachedCandles(cacheKey)).filter((candle) => candle.time >= from);
+  // the last cached candle was most likely still open when it was stored, so it is fetched again
+  const missingFrom = cachedCandles.length ? cachedCandles[cachedCandles.length - 1].time : from;
+
+  const toLocalTime = (candles) => candles.map((candle) => ({ ...candle, time: candle.time + timezoneOffset }));
+  const obsoleteThreshold = Date.now() / 1000 - CHART_OBSOLETE_DATA_AGE;
+
+  let staleResult;
+  for (const source of getChartSources(customUrl)) {
+    try {
+      // the cache holds the default feeds only, candles of a custom URL or the mock are never merged into it
+      const result = await source.fetchCandles(chainId, symbol, period, source.isCached ? missingFrom : from);
+      const candles = source.isCached ? mergeCandles(cachedCandles, result.candles) : result.candles;
+      if (candles.length < MIN_HISTORY_CANDLES) {
+        throw new Error(`not enough prices data: ${candles.length}`);
+      }
+      reportChartSourceResult(source.id, true);
+      if (source.isCached) {
+        setCachedCandles(cacheKey, candles);
+      }
 
-  const candles = [];
-  const first = prices[0];
-  let prevTsGroup = Math.floor(first[0] / periodTime) * periodTime;
-  let prevPrice = first[1];
-  let o = prevPrice;
-  let h = prevPrice;
-  let l = prevPrice;
-  let c = prevPrice;
-  for (let i = 1; i < prices.length; i++) {
-    const [ts, price] = prices[i];
-    const tsGroup = Math.floor(ts / periodTime) * periodTime;
-    if (prevTsGroup !== tsGroup) {
-      candles.push({ t: prevTsGroup + timezoneOffset, o, h, l, c });
-      o = c;
-      h = Math.max(o, c);
-      l = Math.min(o, c);
+      if (!result.updatedAt || result.updatedAt >= obsoleteThreshold) {
+        return { candles: toLocalTime(candles) };
+      }
+      // an obsolete source is only shown when no other one has fresh data
+      console.warn(`chart source ${source.id} is obsolete, last price record at ${result.updatedAt}`);
+      staleResult = staleResult || { candles, updatedAt: result.updatedAt };
+    } catch (ex) {
+      reportChartSourceResult(source.id, false);
+      console.warn(`chart source ${source.id} failed`);
+      console.warn(ex);
     }
-    c = price;
-    h = Math.max(h, price);
-    l = Math.min(l, price);
-    prevTsGroup = tsGroup;
   }
 
-  return candles.map(({ t: time, o: open, c: close, h: high, l: low }) => ({
-    time,
-    open,
-    close,
-    high,
-    low,
-  }));
-}
-
-function getChainlinkChartPricesFromGraph(tokenSymbol, period) {
-  if (["WBTC", "WETH", "WAVAX"].includes(tokenSymbol)) {
-    tokenSymbol = tokenSymbol.substr(1);
-  }
-  const marketName = tokenSymbol + "_USD";
-  const feedId = FEED_ID_MAP[marketName];
-  if (!feedId) {
-    throw new Error(`undefined marketName ${marketName}`);
-  }
-
-  const PER_CHUNK = 1000;
-  const CHUNKS_TOTAL = 6;
-  const requests = [];
-  for (let i = 0; i < CHUNKS_TOTAL; i++) {
-    const query = gql(`{
-      rounds(
-        first: ${PER_CHUNK},
-        skip: ${i * PER_CHUNK},
-        orderBy: unixTimestamp,
-        orderDirection: desc,
-        where: {feed: "${feedId}"}
-      ) {
-        unixTimestamp,
-        value
-      }
-    }`);
-    requests.push(chainlinkClient.query({ query }));
+  if (staleResult) {
+    return { candles: toLocalTime(staleResult.candles), updatedAt: staleResult.updatedAt, isStale: true };
   }
-
-  return Promise.all(requests)
-    .then((chunks) => {
-      let prices = [];
-      const uniqTs = new Set();
-      chunks.forEach((chunk) => {
-        chunk.data.rounds.forEach((item) => {
-          if (uniqTs.has(item.unixTimestamp)) {
-            return;
-          }
-
-          uniqTs.add(item.unixTimestamp);
-          prices.push([item.unixTimestamp, Number(item.value) / 1e8]);
-        });
-      });
-
-      prices.sort(([timeA], [timeB]) => timeA - timeB);
-      prices = getCandlesFromPrices(prices, period);
-      return prices;
-    })
-    .catch((err) => {
-      console.error(err);
-    });
+  const lastCachedCandle = cachedCandles[cachedCandles.length - 1];
+  return {
+    candles: toLocalTime(cachedCandles),
+    updatedAt: lastCachedCandle && lastCachedCandle.time,
+    isStale: Boolean(lastCachedCandle),
+  };
 }
 
-export function useChartPrices(chainId, symbol, isStable, period, currentAveragePrice) {
-  const swrKey = !isStable && symbol ? ["getChartCandles", chainId, symbol, period] : null;
-  let { data: prices, mutate: updatePrices } = useSWR(swrKey, {
-    fetcher: async (...args) => {
-      try {
-        return await getChartPricesFromStats(chainId, symbol, period);
-      } catch (ex) {
-        console.warn(ex);
-        console.warn("Switching to graph chainlink data");
-        try {
-          return await getChainlinkChartPricesFromGraph(symbol, period);
-        } catch (ex2) {
-          console.warn("getChainlinkChartPricesFromGraph failed");
-          console.warn(ex2);
-          return [];
-        }
-      }
-    },
+export function useChartPrices(
+  chainId,
+  symbol,
+  isStable,
+  period,
+  currentAveragePrice,
+  { lastTradePrice, chartDataUrl, gapMode } = {}
+) {
+  const swrKey = !isStable && symbol ? ["getChartCandles", chainId, symbol, period, chartDataUrl || ""] : null;
+  let { data, mutate: updatePrices } = useSWR(swrKey, {
+    fetcher: () => getChartCandles(chainId, symbol, period, chartDataUrl),
     dedupingInterval: 60000,
     focusThrottleInterval: 60000 * 10,
+    // the history is only loaded once, the latest candles are streamed from price ticks
+    refreshInterval: 0,
   });
 
+  // ticks are kept per market so switching the symbol or period starts from the loaded history
+  const liveKey = swrKey ? swrKey.join(":") : null;
+  const [live, setLive] = useState({ key: liveKey, candles: [] });
+
+  const addPriceTick = useCallback(
+    (priceString) => {
+      const price = parseFloat(formatAmount(BigNumber.from(priceString), USD_DECIMALS, 2));
+      setLive((live) => ({
+        key: liveKey,
+        candles: getTickCandles(live.key === liveKey ? live.candles : [], price, CHART_PERIODS[period]),
+      }));
+    },
+    [liveKey, period]
+  );
+
   const currentAveragePriceString = currentAveragePrice && currentAveragePrice.toString();
+  useEffect(() => {
+    if (liveKey && currentAveragePriceString) {
+      addPriceTick(currentAveragePriceString);
+    }
+  }, [liveKey, currentAveragePriceString, addPriceTick]);
+
+  const lastTradePriceString = lastTradePrice && lastTradePrice.toString();
+  useEffect(() => {
+    if (liveKey && lastTradePriceString) {
+      addPriceTick(lastTradePriceString);
+    }
+  }, [liveKey, lastTradePriceString, addPriceTick]);
+
+  const prices = data && data.candles;
   const retPrices = useMemo(() => {
     if (isStable) {
       return getStablePriceData(period);
@@ -222,36 +147,53 @@ export function useChartPrices(chainId, symbol, isStable, period, currentAverage
     }
 
     let _prices = [...prices];
-    if (currentAveragePriceString && prices.length) {
-      _prices = appendCurrentAveragePrice(_prices, BigNumber.from(currentAveragePriceString), period);
+    if (live.key === liveKey && live.candles.length && prices.length) {
+      _prices = appendLiveCandles(_prices, live.candles);
     }
 
-    return fillGaps(_prices, CHART_PERIODS[period]);
-  }, [prices, isStable, currentAveragePriceString, period]);
+    return fillGaps(_prices, CHART_PERIODS[period], gapMode);
+  }, [prices, isStable, live, liveKey, period, gapMode]);
+
+  const priceDataStatus = useMemo(
+    () => ({ isStale: Boolean(data && data.isStale), updatedAt: data && data.updatedAt }),
+    [data]
+  );
 
-  return [retPrices, updatePrices];
+  return [retPrices, updatePrices, priceDataStatus];
 }
 
-function appendCurrentAveragePrice(prices, currentAveragePrice, period) {
-  const periodSeconds = CHART_PERIODS[period];
-  const currentCandleTime = Math.floor(Date.now() / 1000 / periodSeconds) * periodSeconds + timezoneOffset;
-  const last = prices[prices.length - 1];
-  const averagePriceValue = parseFloat(formatAmount(currentAveragePrice, USD_DECIMALS, 2));
-  if (currentCandleTime === last.time) {
-    last.close = averagePriceValue;
-    last.high = Math.max(last.high, averagePriceValue);
-    last.low = Math.max(last.low, averagePriceValue);
-    return prices;
-  } else {
-    const newCandle = {
-      time: currentCandleTime,
-      open: last.close,
-      close: averagePriceValue,
-      high: averagePriceValue,
-      low: averagePriceValue,
-    };
-    return [...prices, newCandle];
+function getTickCandles(candles, price, periodSeconds) {
+  const time = Math.floor(Date.now() / 1000 / periodSeconds) * periodSeconds + timezoneOffset;
+  const last = candles[candles.length - 1];
+  if (last && last.time === time) {
+    const candle = { time, high: Math.max(last.high, price), low: Math.min(last.low, price), close: price };
+    return [...candles.slice(0, -1), candle];
   }
+  return [...candles, { time, high: price, low: price, close: price }].slice(-MAX_LIVE_CANDLES);
+}
+
+function appendLiveCandles(prices, liveCandles) {
+  // ticks inside a loaded candle extend it, later ones open new candles at the previous close
+  for (const candle of liveCandles) {
+    const last = prices[prices.length - 1];
+    if (candle.time === last.time) {
+      prices[prices.length - 1] = {
+        ...last,
+        high: Math.max(last.high, candle.high),
+        low: Math.min(last.low, candle.low),
+        close: candle.close,
+      };
+    } else if (candle.time > last.time) {
+      prices.push({
+        time: candle.time,
+        open: last.close,
+        high: Math.max(last.close, candle.high),
+        low: Math.min(last.close, candle.low),
+        close: candle.close,
+      });
+    }
+  }
+  return prices;
 }
 
 function getStablePriceData(period) {
@@ -17,6 +17,11 @@ import {
   SHOW_PNL_AFTER_FEES_KEY,
   BASIS_POINTS_DIVISOR,
   SHOULD_SHOW_POSITION_LINES_KEY,
+  SHOULD_SHOW_TRADE_MARKERS_KEY,
+  CHART_DATA_URL_KEY,
+  LIQUIDATION_WARNING_SETTINGS_KEY,
+  ORDER_EXPIRY_AUTO_CANCEL_KEY,
+  DEFAULT_LIQUIDATION_WARNING_SETTINGS,
   clearWalletConnectData,
   switchNetwork,
   helperToast,
@@ -408,6 +413,9 @@ function FullApp() {
   const [slippageAmount, setSlippageAmount] = useState(0);
   const [isPnlInLeverage, setIsPnlInLeverage] = useState(false);
   const [showPnlAfterFees, setShowPnlAfterFees] = useState(false);
+  const [isOrderExpiryAutoCancel, setIsOrderExpiryAutoCancel] = useState(false);
+  const [chartDataUrl, setChartDataUrl] = useState("");
+  const [liquidationWarningSettings, setLiquidationWarningSettings] = useState(DEFAULT_LIQUIDATION_WARNING_SETTINGS);
 
   const [savedIsPnlInLeverage, setSavedIsPnlInLeverage] = useLocalStorageSerializeKey(
     [chainId, IS_PNL_IN_LEVERAGE_KEY],
@@ -424,11 +432,31 @@ function FullApp() {
     false
   );
 
+  const [savedShouldShowTradeMarkers, setSavedShouldShowTradeMarkers] = useLocalStorageSerializeKey(
+    [chainId, SHOULD_SHOW_TRADE_MARKERS_KEY],
+    false
+  );
+
+  const [savedIsOrderExpiryAutoCancel, setSavedIsOrderExpiryAutoCancel] = useLocalStorageSerializeKey(
+    [chainId, ORDER_EXPIRY_AUTO_CANCEL_KEY],
+    false
+  );
+
+  const [savedChartDataUrl, setSavedChartDataUrl] = useLocalStorageSerializeKey([chainId, CHART_DATA_URL_KEY], "");
+
+  const [savedLiquidationWarningSettings, setSavedLiquidationWarningSettings] = useLocalStorageSerializeKey(
+    [chainId, LIQUIDATION_WARNING_SETTINGS_KEY],
+    DEFAULT_LIQUIDATION_WARNING_SETTINGS
+  );
+
   const openSettings = () => {
     const slippage = parseInt(savedSlippageAmount);
     setSlippageAmount((slippage / BASIS_POINTS_DIVISOR) * 100);
     setIsPnlInLeverage(savedIsPnlInLeverage);
     setShowPnlAfterFees(savedShowPnlAfterFees);
+    setIsOrderExpiryAutoCancel(savedIsOrderExpiryAutoCancel);
+    setChartDataUrl(savedChartDataUrl);
+    setLiquidationWarningSettings(savedLiquidationWarningSettings);
     setIsSettingsVisible(true);
   };
 
@@ -453,8 +481,39 @@ function FullApp() {
       return;
     }
 
+    const trimmedChartDataUrl = chartDataUrl.trim();
+    if (
+      trimmedChartDataUrl &&
+      (!/^https?:\/\//.test(trimmedChartDataUrl) || !trimmedChartDataUrl.includes("{symbol}"))
+    ) {
+      helperToast.error("Chart data URL should be an http(s) URL with a {symbol} placeholder");
+      return;
+    }
+
+    if (liquidationWarningSettings.isEnabled) {
+      const { distance, leverage, targetLeverage } = liquidationWarningSettings;
+      if (!(parseFloat(distance) > 0)) {
+        helperToast.error("Invalid liquidation warning distance");
+        return;
+      }
+      if (!(parseFloat(leverage) >= 1.1) || !(parseFloat(targetLeverage) >= 1.1)) {
+        helperToast.error("Warning leverages should be at least 1.1x");
+        return;
+      }
+      if (parseFloat(targetLeverage) >= parseFloat(leverage)) {
+        helperToast.error("Target leverage should be below the warning leverage");
+        return;
+      }
+      if (liquidationWarningSettings.isNotificationEnabled && typeof Notification !== "undefined") {
+        Notification.requestPermission();
+      }
+    }
+
     setSavedIsPnlInLeverage(isPnlInLeverage);
     setSavedShowPnlAfterFees(showPnlAfterFees);
+    setSavedIsOrderExpiryAutoCancel(isOrderExpiryAutoCancel);
+    setSavedChartDataUrl(trimmedChartDataUrl);
+    setSavedLiquidationWarningSettings(liquidationWarningSettings);
     setSavedSlippageAmount(basisPoints);
     setIsSettingsVisible(false);
   };
@@ -635,6 +694,11 @@ function FullApp() {
                 pendingTxns={pendingTxns}
                 savedShouldShowPositionLines={savedShouldShowPositionLines}
                 setSavedShouldShowPositionLines={setSavedShouldShowPositionLines}
+                savedShouldShowTradeMarkers={savedShouldShowTradeMarkers}
+                setSavedShouldShowTradeMarkers={setSavedShouldShowTradeMarkers}
+                savedLiquidationWarningSettings={savedLiquidationWarningSettings}
+                savedIsOrderExpiryAutoCancel={savedIsOrderExpiryAutoCancel}
+                savedChartDataUrl={savedChartDataUrl}
                 connectWallet={connectWallet}
               />
             </Route>
@@ -780,6 +844,63 @@ function FullApp() {
             Include PnL in leverage display
           </Checkbox>
         </div>
+        <div className="Exchange-settings-row">
+          <Checkbox isChecked={isOrderExpiryAutoCancel} setIsChecked={setIsOrderExpiryAutoCancel}>
+            Auto-cancel expired orders
+          </Checkbox>
+        </div>
+        <div className="Exchange-settings-row">
+          <Checkbox
+            isChecked={liquidationWarningSettings.isEnabled}
+            setIsChecked={(isEnabled) => setLiquidationWarningSettings({ ...liquidationWarningSettings, isEnabled })}
+          >
+            Warn about positions close to liquidation
+          </Checkbox>
+        </div>
+        {liquidationWarningSettings.isEnabled && (
+          <>
+            <div className="App-settings-row App-settings-liquidation-warning">
+              {[
+                { label: "Liq. distance (%)", name: "distance" },
+                { label: "Leverage above (x)", name: "leverage" },
+                { label: "Target leverage (x)", name: "targetLeverage" },
+              ].map(({ label, name }) => (
+                <div key={name}>
+                  <div className="muted">{label}</div>
+                  <input
+                    type="number"
+                    className="App-slippage-tolerance-input"
+                    min="0"
+                    value={liquidationWarningSettings[name]}
+                    onChange={(e) =>
+                      setLiquidationWarningSettings({ ...liquidationWarningSettings, [name]: e.target.value })
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="Exchange-settings-row">
+              <Checkbox
+                isChecked={liquidationWarningSettings.isNotificationEnabled}
+                setIsChecked={(isNotificationEnabled) =>
+                  setLiquidationWarningSettings({ ...liquidationWarningSettings, isNotificationEnabled })
+                }
+              >
+                Browser notification for warnings
+              </Checkbox>
+            </div>
+          </>
+        )}
+        <div className="App-settings-row">
+          <div>Custom Chart Data URL</div>
+          <input
+            type="text"
+            className="App-slippage-tolerance-input App-settings-url-input"
+            placeholder="https://example.com/candles/{symbol}?period={period}&from={from}"
+            value={chartDataUrl}
+            onChange={(e) => setChartDataUrl(e.target.value)}
+          />
+        </div>
         <button className="App-cta Exchange-swap-button" onClick={saveAndCloseSettings}>
           Save
         </button>
@@ -101,7 +101,8 @@ export const SHORT = "Short";
 export const MARKET = "Market";
 export const LIMIT = "Limit";
 export const STOP = "Stop";
-export const LEVERAGE_ORDER_OPTIONS = [MARKET, LIMIT];
+export const SCALED = "Scaled";
+export const LEVERAGE_ORDER_OPTIONS = [MARKET, LIMIT, STOP, SCALED];
 export const SWAP_ORDER_OPTIONS = [MARKET, LIMIT];
 export const SWAP_OPTIONS = [LONG, SHORT, SWAP];
 export const DEFAULT_SLIPPAGE_AMOUNT = 30;
@@ -111,10 +112,90 @@ export const SLIPPAGE_BPS_KEY = "Exchange-swap-slippage-basis-points-v3";
 export const IS_PNL_IN_LEVERAGE_KEY = "Exchange-swap-is-pnl-in-leverage";
 export const SHOW_PNL_AFTER_FEES_KEY = "Exchange-swap-show-pnl-after-fees";
 export const SHOULD_SHOW_POSITION_LINES_KEY = "Exchange-swap-should-show-position-lines";
+export const SHOULD_SHOW_TRADE_MARKERS_KEY = "Exchange-swap-should-show-trade-markers";
+export const CHART_DATA_URL_KEY = "Chart-data-url";
+export const CHART_GAP_MODE_KEY = "Chart-gap-mode";
+export const CHART_GAP_SKIP = "Skip";
+export const CHART_GAP_FLAT = "Flat";
+export const CHART_GAP_MARK = "Mark";
+export const CHART_GAP_MODES = [CHART_GAP_SKIP, CHART_GAP_FLAT, CHART_GAP_MARK];
+// history whose last price record is older than this is shown as stale
+export const CHART_OBSOLETE_DATA_AGE = 30 * 60;
+export const CHART_STYLE_KEY = "Chart-style";
+export const CHART_STYLE_CANDLES = "Candles";
+export const CHART_STYLE_HEIKIN_ASHI = "HA";
+export const CHART_STYLE_BARS = "Bars";
+export const CHART_STYLE_LINE = "Line";
+export const CHART_STYLE_AREA = "Area";
+export const CHART_STYLES = [
+  CHART_STYLE_CANDLES,
+  CHART_STYLE_HEIKIN_ASHI,
+  CHART_STYLE_BARS,
+  CHART_STYLE_LINE,
+  CHART_STYLE_AREA,
+];
+export const CHART_COMPARE_TOKEN_KEY = "Chart-compare-token";
 
 export const TRIGGER_PREFIX_ABOVE = ">";
 export const TRIGGER_PREFIX_BELOW = "<";
 
+export const SCALED_DISTRIBUTION_EVEN = "Even";
+export const SCALED_DISTRIBUTION_GEOMETRIC = "Geometric";
+export const SCALED_DISTRIBUTIONS = [SCALED_DISTRIBUTION_EVEN, SCALED_DISTRIBUTION_GEOMETRIC];
+export const SCALED_ORDERS_MIN_COUNT = 2;
+export const SCALED_ORDERS_MAX_COUNT = 10;
+export const ORDER_GROUPS_KEY = "Exchange-order-groups";
+// grace period for new order groups whose orders are not in the orders list yet
+export const ORDER_GROUP_RETENTION = 10 * 60;
+export const OCO_LINKS_KEY = "Exchange-oco-links";
+export const TRAILING_STOP = "Trailing";
+export const TRAILING_STOPS_KEY = "Exchange-trailing-stops";
+export const TRAILING_STOP_UNIT_USD = "USD";
+export const TRAILING_STOP_UNIT_PERCENT = "%";
+export const TRAILING_STOP_UNITS = [TRAILING_STOP_UNIT_USD, TRAILING_STOP_UNIT_PERCENT];
+// every move of a trailing stop is a transaction, so small moves are skipped
+export const TRAILING_STOP_MIN_MOVE_BASIS_POINTS = 10;
+export const ORDER_EXPIRIES_KEY = "Exchange-order-expiries";
+export const ORDER_EXPIRY_AUTO_CANCEL_KEY = "Exchange-order-expiry-auto-cancel";
+export const ORDER_EXPIRY_NONE = "None";
+export const ORDER_EXPIRY_DURATIONS = {
+  "1h": 60 * 60,
+  "4h": 4 * 60 * 60,
+  "1d": 24 * 60 * 60,
+  "1w": 7 * 24 * 60 * 60,
+};
+export const ORDER_EXPIRY_OPTIONS = [ORDER_EXPIRY_NONE, ...Object.keys(ORDER_EXPIRY_DURATIONS)];
+
+export const TWAP_SCHEDULES_KEY = "Exchange-twap-schedules";
+export const TWAP_ACTIVE = "Active";
+export const TWAP_PAUSED = "Paused";
+export const TWAP_COMPLETED = "Completed";
+export const TWAP_CANCELLED = "Cancelled";
+export const TWAP_MIN_CHUNKS = 2;
+export const TWAP_MAX_CHUNKS = 50;
+export const TWAP_MIN_INTERVAL_MINUTES = 1;
+export const DEFAULT_TWAP_SETTINGS = { isEnabled: false, chunks: "5", interval: "10", band: "2" };
+
+export const PRICE_ALERTS_KEY = "Exchange-price-alerts";
+export const PRICE_ALERT_ABOVE = "Above";
+export const PRICE_ALERT_BELOW = "Below";
+export const PRICE_ALERT_MOVE = "Move %";
+export const PRICE_ALERT_TYPES = [PRICE_ALERT_ABOVE, PRICE_ALERT_BELOW, PRICE_ALERT_MOVE];
+export const PRICE_ALERT_SNOOZE_DURATION = 60 * 60;
+
+export const LIQUIDATION_WARNING_SETTINGS_KEY = "Exchange-liquidation-warning-settings";
+export const DEFAULT_LIQUIDATION_WARNING_SETTINGS = {
+  isEnabled: true,
+  distance: "10",
+  leverage: "30",
+  targetLeverage: "10",
+  isNotificationEnabled: false,
+};
+
+export const POSITION_REQUEST_PENDING = "Pending";
+export const POSITION_REQUEST_EXECUTED = "Executed";
+export const POSITION_REQUEST_CANCELLED = "Cancelled";
+
 export const MIN_PROFIT_BIPS = 0;
 
 export const GLPPOOLCOLORS = {
@@ -1022,6 +1103,83 @@ export function calculatePositionDelta(
   };
 }
 
+export function getDecreaseReceiveAmount({ position, fromAmount, delta, hasProfit, keepLeverage }) {
+  const { fundingFee } = position;
+  let sizeDelta = fromAmount;
+  let isClosing;
+  let positionFee;
+  let totalFees;
+  let receiveAmount = bigNumberify(0);
+  let adjustedDelta = bigNumberify(0);
+  let collateralDelta = bigNumberify(0);
+
+  if (fromAmount) {
+    isClosing = position.size.sub(fromAmount).lt(DUST_USD);
+    positionFee = getPositionFee(fromAmount);
+  }
+
+  if (isClosing) {
+    sizeDelta = position.size;
+    receiveAmount = position.collateral;
+  }
+
+  if (sizeDelta) {
+    adjustedDelta = delta.mul(sizeDelta).div(position.size);
+  }
+
+  if (hasProfit) {
+    receiveAmount = receiveAmount.add(adjustedDelta);
+  } else {
+    if (receiveAmount.gt(adjustedDelta)) {
+      receiveAmount = receiveAmount.sub(adjustedDelta);
+    } else {
+      receiveAmount = bigNumberify(0);
+    }
+  }
+
+  if (keepLeverage && sizeDelta && !isClosing) {
+    collateralDelta = sizeDelta.mul(position.collateral).div(position.size);
+    // if the position will be realising a loss then reduce collateralDelta by the realised loss
+    if (!hasProfit) {
+      const deductions = adjustedDelta.add(positionFee).add(fundingFee);
+      if (collateralDelta.gt(deductions)) {
+        collateralDelta = collateralDelta.sub(deductions);
+      } else {
+        collateralDelta = bigNumberify(0);
+      }
+    }
+  }
+
+  receiveAmount = receiveAmount.add(collateralDelta);
+
+  if (sizeDelta && positionFee && fundingFee) {
+    totalFees = positionFee.add(fundingFee);
+    if (receiveAmount.gt(totalFees)) {
+      receiveAmount = receiveAmount.sub(totalFees);
+    } else {
+      receiveAmount = bigNumberify(0);
+    }
+  }
+
+  return { sizeDelta, isClosing, positionFee, totalFees, adjustedDelta, collateralDelta, receiveAmount };
+}
+
+export function getDecreaseOrderPnl(order, position) {
+  // pnl of the part closed at the trigger price, after the closing fee and its share of the borrow fee
+  const sizeDelta = order.sizeDelta.gt(position.size) ? position.size : order.sizeDelta;
+  const { pendingDelta } = calculatePositionDelta(order.triggerPrice, position, sizeDelta);
+  const isProfitable = position.isLong
+    ? order.triggerPrice.gt(position.averagePrice)
+    : order.triggerPrice.lt(position.averagePrice);
+  const fundingFee = position.fundingFee ? position.fundingFee.mul(sizeDelta).div(position.size) : bigNumberify(0);
+  const fees = getMarginFee(sizeDelta).add(fundingFee);
+
+  if (isProfitable && pendingDelta.gt(fees)) {
+    return { delta: pendingDelta.sub(fees), hasProfit: true };
+  }
+  return { delta: isProfitable ? fees.sub(pendingDelta) : pendingDelta.add(fees), hasProfit: false };
+}
+
 export function getDeltaStr({ delta, deltaPercentage, hasProfit }) {
   let deltaStr;
   let deltaPercentageStr;
@@ -1039,6 +1197,46 @@ export function getDeltaStr({ delta, deltaPercentage, hasProfit }) {
   return { deltaStr, deltaPercentageStr };
 }
 
+export function getFundingFee(data) {
+  let { entryFundingRate, cumulativeFundingRate, size } = data;
+  if (entryFundingRate && cumulativeFundingRate) {
+    return size.mul(cumulativeFundingRate.sub(entryFundingRate)).div(FUNDING_RATE_PRECISION);
+  }
+  return;
+}
+
+export function getBorrowFeeProjection(position) {
+  const { size, collateral, collateralToken, hasProfit, delta, cumulativeFundingRate } = position;
+  const fundingRate = collateralToken && collateralToken.fundingRate;
+  if (!size || size.eq(0) || !fundingRate || !cumulativeFundingRate) {
+    return;
+  }
+
+  // the funding rate is the increase of the cumulative rate over the next hour at the current utilisation
+  const hourlyFee = getFundingFee({
+    size,
+    entryFundingRate: cumulativeFundingRate,
+    cumulativeFundingRate: cumulativeFundingRate.add(fundingRate),
+  });
+  const projection = {
+    hourlyFee,
+    dailyFee: hourlyFee.mul(24),
+    weeklyFee: hourlyFee.mul(24 * 7),
+  };
+  if (hourlyFee.eq(0)) {
+    return projection;
+  }
+
+  // same check as the vault, the collateral left after losses has to cover the position, borrow and liquidation fees
+  const remainingCollateral = hasProfit || !delta ? collateral : collateral.sub(delta);
+  const maxFundingFee = remainingCollateral.sub(getPositionFee(size)).sub(LIQUIDATION_FEE);
+  const fundingFee = getFundingFee(position) || bigNumberify(0);
+  const hoursLeft = maxFundingFee.gt(fundingFee) ? maxFundingFee.sub(fundingFee).div(hourlyFee).toNumber() : 0;
+  projection.liquidationTime = parseInt(Date.now() / 1000) + hoursLeft * 60 * 60;
+
+  return projection;
+}
+
 export function getLeverage({
   size,
   sizeDelta,
@@ -1205,6 +1403,117 @@ export function getLiquidationPrice(data) {
     : liquidationPriceForMaxLeverage;
 }
 
+export function getTargetLeverageDeposit(position, targetLeverage) {
+  const { size, leverage, isLong } = position;
+  if (!size || !leverage || !targetLeverage || targetLeverage.eq(0) || leverage.lte(targetLeverage)) {
+    return;
+  }
+  // the collateral backing the displayed leverage, so the deposit follows the same pnl and fee setting
+  const currentCollateral = size.mul(BASIS_POINTS_DIVISOR).div(leverage);
+  const depositUsd = size.mul(BASIS_POINTS_DIVISOR).div(targetLeverage).sub(currentCollateral);
+  if (!isLong) {
+    return depositUsd;
+  }
+  return depositUsd.mul(BASIS_POINTS_DIVISOR).div(BASIS_POINTS_DIVISOR - DEPOSIT_FEE);
+}
+
+export function getLiquidationWarning(position, settings) {
+  const { size, markPrice, isLong, leverage } = position;
+  if (!settings || !settings.isEnabled || !size || size.eq(0) || !markPrice || markPrice.eq(0)) {
+    return;
+  }
+
+  const liquidationPrice = getLiquidationPrice(position);
+  let liquidationDistance;
+  if (liquidationPrice) {
+    const priceDistance = isLong ? markPrice.sub(liquidationPrice) : liquidationPrice.sub(markPrice);
+    liquidationDistance = priceDistance.mul(BASIS_POINTS_DIVISOR).div(markPrice);
+  }
+
+  const maxDistance = parseValue(settings.distance, 2);
+  const maxLeverage = parseValue(settings.leverage, 4);
+  const isNearLiquidation = Boolean(liquidationDistance && maxDistance && liquidationDistance.lt(maxDistance));
+  const isHighLeverage = Boolean(leverage && maxLeverage && maxLeverage.gt(0) && leverage.gt(maxLeverage));
+  if (!isNearLiquidation && !isHighLeverage) {
+    return;
+  }
+
+  return {
+    liquidationPrice,
+    liquidationDistance,
+    isNearLiquidation,
+    isHighLeverage,
+    depositUsd: getTargetLeverageDeposit(position, parseValue(settings.targetLeverage, 4)),
+  };
+}
+
+export function getLiquidationWarningText(position, warning) {
+  const parts = [];
+  if (warning.isNearLiquidation) {
+    parts.push(
+      `${formatAmount(warning.liquidationDistance, 2, 2, true)}% from liquidation at $${formatAmount(
+        warning.liquidationPrice,
+        USD_DECIMALS,
+        2,
+        true
+      )}`
+    );
+  }
+  if (warning.isHighLeverage) {
+    parts.push(`leverage at ${formatAmount(position.leverage, 4, 2, true)}x`);
+  }
+  return `${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"} is ${parts.join(" and ")}`;
+}
+
+export function getLeverageSimulation({ position, collateralDelta, priceShockBps }) {
+  const { isLong, size, collateral, averagePrice, markPrice, entryFundingRate, cumulativeFundingRate } = position;
+  const increaseCollateral = collateralDelta.gte(0);
+  let collateralDeltaUsd = collateralDelta.abs();
+  if (increaseCollateral && isLong) {
+    // same deposit fee as the position editor applies to long deposits
+    collateralDeltaUsd = collateralDeltaUsd.mul(BASIS_POINTS_DIVISOR - DEPOSIT_FEE).div(BASIS_POINTS_DIVISOR);
+  }
+  const nextCollateral = increaseCollateral ? collateral.add(collateralDeltaUsd) : collateral.sub(collateralDeltaUsd);
+  if (nextCollateral.lte(0)) {
+    return;
+  }
+
+  const shockedPrice = markPrice.mul(BASIS_POINTS_DIVISOR + priceShockBps).div(BASIS_POINTS_DIVISOR);
+  const { delta, hasProfit } = calculatePositionDelta(shockedPrice, position);
+
+  // the shocked pnl is always included so that the leverage follows the price shock
+  const leverage = getLeverage({
+    size,
+    collateral,
+    collateralDelta: collateralDeltaUsd,
+    increaseCollateral,
+    entryFundingRate,
+    cumulativeFundingRate,
+    hasProfit,
+    delta,
+    includeDelta: true,
+  });
+
+  const liquidationPrice = getLiquidationPrice({
+    isLong,
+    size,
+    collateral,
+    averagePrice,
+    entryFundingRate,
+    cumulativeFundingRate,
+    collateralDelta: collateralDeltaUsd,
+    increaseCollateral,
+  });
+
+  let marginBuffer;
+  if (liquidationPrice && shockedPrice.gt(0)) {
+    const priceDistance = isLong ? shockedPrice.sub(liquidationPrice) : liquidationPrice.sub(shockedPrice);
+    marginBuffer = priceDistance.mul(BASIS_POINTS_DIVISOR).div(shockedPrice);
+  }
+
+  return { nextCollateral, shockedPrice, leverage, liquidationPrice, marginBuffer };
+}
+
 export function getUsd(amount, tokenAddress, max, infoTokens, orderOption, triggerPriceUsd) {
   if (!amount) {
     return;
@@ -1221,6 +1530,27 @@ export function getUsd(amount, tokenAddress, max, infoTokens, orderOption, trigg
   return amount.mul(price).div(expandDecimals(1, info.decimals));
 }
 
+export function getTokenAmount(usdAmount, tokenAddress, max, infoTokens) {
+  if (!usdAmount) {
+    return;
+  }
+  if (tokenAddress === USDG_ADDRESS) {
+    return usdAmount.mul(expandDecimals(1, 18)).div(PRECISION);
+  }
+  const info = getTokenInfo(infoTokens, tokenAddress);
+  if (!info) {
+    return;
+  }
+  if (max && !info.maxPrice) {
+    return;
+  }
+  if (!max && !info.minPrice) {
+    return;
+  }
+
+  return usdAmount.mul(expandDecimals(1, info.decimals)).div(max ? info.minPrice : info.maxPrice);
+}
+
 export function getPositionKey(collateralTokenAddress, indexTokenAddress, isLong, nativeTokenAddress) {
   const tokenAddress0 = collateralTokenAddress === AddressZero ? nativeTokenAddress : collateralTokenAddress;
   const tokenAddress1 = indexTokenAddress === AddressZero ? nativeTokenAddress : indexTokenAddress;
@@ -1234,6 +1564,10 @@ export function getPositionContractKey(account, collateralToken, indexToken, isL
   );
 }
 
+export function getPositionRequestKey(account, index) {
+  return ethers.utils.solidityKeccak256(["address", "uint256"], [account, index]);
+}
+
 export function getSwapFeeBasisPoints(isStable) {
   return isStable ? STABLE_SWAP_FEE_BASIS_POINTS : SWAP_FEE_BASIS_POINTS;
 }
@@ -1709,6 +2043,357 @@ export function getOrderKey(order) {
   return `${order.type}-${order.account}-${order.index}`;
 }
 
+export function getPositionForOrder(order, positionsMap) {
+  const key = getPositionKey(order.collateralToken, order.indexToken, order.isLong);
+  const position = positionsMap[key];
+  return position && position.size && position.size.gt(0) ? position : null;
+}
+
+export function getIncreaseOrderType(order) {
+  // stop orders trigger when the price breaks through the level instead of pulling back to it
+  return order.triggerAboveThreshold === order.isLong ? STOP : LIMIT;
+}
+
+export function addOrderGroup(orderGroups, orderKeys) {
+  // orders created together are grouped under the key of the first one
+  const createdAt = parseInt(Date.now() / 1000);
+  const nextOrderGroups = { ...orderGroups };
+  for (const orderKey of orderKeys) {
+    nextOrderGroups[orderKey] = { groupKey: orderKeys[0], createdAt };
+  }
+  return nextOrderGroups;
+}
+
+export function getOrderGroupKey(orderGroups, orderKey) {
+  const group = orderGroups && orderGroups[orderKey];
+  return group && group.groupKey;
+}
+
+// groups of orders that are no longer open are dropped, recently created ones are kept until their orders are indexed
+export function pruneOrderGroups(orderGroups, openOrderKeys, account, now) {
+  const openGroupKeys = {};
+  for (const orderKey of openOrderKeys) {
+    const groupKey = getOrderGroupKey(orderGroups, orderKey);
+    if (groupKey) {
+      openGroupKeys[groupKey] = true;
+    }
+  }
+
+  const staleOrderKeys = Object.keys(orderGroups).filter((orderKey) => {
+    const group = orderGroups[orderKey];
+    return (
+      orderKey.includes(`-${account}-`) &&
+      !openGroupKeys[getOrderGroupKey(orderGroups, orderKey)] &&
+      group.createdAt + ORDER_GROUP_RETENTION <= now
+    );
+  });
+  if (staleOrderKeys.length === 0) {
+    return orderGroups;
+  }
+
+  const nextOrderGroups = { ...orderGroups };
+  for (const orderKey of staleOrderKeys) {
+    delete nextOrderGroups[orderKey];
+  }
+  return nextOrderGroups;
+}
+
+export function addOrderExpiries(orderExpiries, orderKeys, expiry) {
+  const duration = ORDER_EXPIRY_DURATIONS[expiry];
+  if (!duration || orderKeys.length === 0) {
+    return orderExpiries;
+  }
+  const expiresAt = parseInt(Date.now() / 1000) + duration;
+  const nextOrderExpiries = { ...orderExpiries };
+  for (const orderKey of orderKeys) {
+    nextOrderExpiries[orderKey] = expiresAt;
+  }
+  return nextOrderExpiries;
+}
+
+export function getOrderExpiryStr(expiresAt, now) {
+  const remaining = expiresAt - now;
+  if (remaining <= 0) {
+    return "Expired";
+  }
+  const days = Math.floor(remaining / (24 * 60 * 60));
+  const hours = Math.floor((remaining % (24 * 60 * 60)) / (60 * 60));
+  const minutes = Math.floor((remaining % (60 * 60)) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return minutes > 0 ? `${minutes}m` : "<1m";
+}
+
+export function linkOcoOrders(ocoLinks, orderKey, siblingOrderKey) {
+  // an order can only be in one pair, linking again replaces the previous pair
+  const nextOcoLinks = unlinkOcoOrder(unlinkOcoOrder(ocoLinks, orderKey), siblingOrderKey);
+  nextOcoLinks[orderKey] = siblingOrderKey;
+  nextOcoLinks[siblingOrderKey] = orderKey;
+  return nextOcoLinks;
+}
+
+export function unlinkOcoOrder(ocoLinks, orderKey) {
+  const nextOcoLinks = { ...ocoLinks };
+  const siblingOrderKey = nextOcoLinks[orderKey];
+  delete nextOcoLinks[orderKey];
+  if (siblingOrderKey) {
+    delete nextOcoLinks[siblingOrderKey];
+  }
+  return nextOcoLinks;
+}
+
+export function canLinkOcoOrders(order, siblingOrder) {
+  // a pair is a take-profit and a stop-loss of the same position
+  return (
+    order.type === DECREASE &&
+    siblingOrder.type === DECREASE &&
+    order.indexToken === siblingOrder.indexToken &&
+    order.collateralToken === siblingOrder.collateralToken &&
+    order.isLong === siblingOrder.isLong &&
+    order.triggerAboveThreshold !== siblingOrder.triggerAboveThreshold
+  );
+}
+
+export function getTrailingStopTriggerPrice({ peakPrice, distance, unit, isLong }) {
+  if (!peakPrice || !distance || distance.eq(0)) {
+    return;
+  }
+  // a percent distance is kept in basis points
+  const offset = unit === TRAILING_STOP_UNIT_PERCENT ? peakPrice.mul(distance).div(BASIS_POINTS_DIVISOR) : distance;
+  if (isLong) {
+    return offset.lt(peakPrice) ? peakPrice.sub(offset) : undefined;
+  }
+  return peakPrice.add(offset);
+}
+
+const PRICE_RATIO_PRECISION = 1e9;
+
+export function getScaledOrderPrices(fromPrice, toPrice, count, distribution) {
+  if (!fromPrice || !toPrice || fromPrice.eq(0) || toPrice.eq(0)) {
+    return [];
+  }
+  if (!count || count < SCALED_ORDERS_MIN_COUNT || count > SCALED_ORDERS_MAX_COUNT) {
+    return [];
+  }
+
+  const prices = [];
+  const steps = count - 1;
+  if (distribution === SCALED_DISTRIBUTION_GEOMETRIC) {
+    // each rung is the same percentage away from the previous one
+    const ratio = toPrice.mul(PRICE_RATIO_PRECISION).div(fromPrice).toNumber() / PRICE_RATIO_PRECISION;
+    for (let i = 0; i < steps; i++) {
+      const multiplier = Math.round(Math.pow(ratio, i / steps) * PRICE_RATIO_PRECISION);
+      prices.push(fromPrice.mul(multiplier).div(PRICE_RATIO_PRECISION));
+    }
+  } else {
+    const priceStep = toPrice.sub(fromPrice).div(steps);
+    for (let i = 0; i < steps; i++) {
+      prices.push(fromPrice.add(priceStep.mul(i)));
+    }
+  }
+  prices.push(toPrice);
+
+  return prices;
+}
+
+export function getScaledOrderAmounts(amount, count) {
+  if (!amount || !count) {
+    return [];
+  }
+  const amountPerOrder = amount.div(count);
+  const amounts = Array(count).fill(amountPerOrder);
+  // the rounding remainder goes to the last order so that the amounts add up to the total
+  amounts[count - 1] = amount.sub(amountPerOrder.mul(count - 1));
+  return amounts;
+}
+
+export function getScaledOrdersAveragePrice(prices) {
+  if (!prices || prices.length === 0) {
+    return;
+  }
+  // orders have equal USD sizes so the blended entry price is the harmonic mean of the prices
+  const inversePricesSum = prices.reduce((sum, price) => sum.add(PRECISION.mul(PRECISION).div(price)), bigNumberify(0));
+  return PRECISION.mul(PRECISION).mul(prices.length).div(inversePricesSum);
+}
+
+export function getTwapSettingsError({ chunks, interval, band }) {
+  const chunksCount = parseInt(chunks);
+  if (!chunksCount || chunksCount < TWAP_MIN_CHUNKS) {
+    return `Min chunks: ${TWAP_MIN_CHUNKS}`;
+  }
+  if (chunksCount > TWAP_MAX_CHUNKS) {
+    return `Max chunks: ${TWAP_MAX_CHUNKS}`;
+  }
+  if (!(parseFloat(interval) >= TWAP_MIN_INTERVAL_MINUTES)) {
+    return `Min interval: ${TWAP_MIN_INTERVAL_MINUTES} minute`;
+  }
+  if (!(parseFloat(band) > 0)) {
+    return "Enter a price band";
+  }
+}
+
+export function getTwapSchedule({
+  type,
+  account,
+  path,
+  indexToken,
+  collateralToken,
+  isLong,
+  isNative,
+  sizeDelta,
+  amountIn,
+  collateralDelta,
+  startPrice,
+  slippage,
+  settings,
+}) {
+  // amounts are kept as strings so that the schedule can be stored in localStorage
+  const createdAt = Date.now();
+  return {
+    id: `${type}-${account}-${createdAt}`,
+    type,
+    account,
+    path,
+    indexToken,
+    collateralToken,
+    isLong,
+    isNative,
+    sizeDelta: sizeDelta.toString(),
+    amountIn: bigNumberify(amountIn || 0).toString(),
+    collateralDelta: bigNumberify(collateralDelta || 0).toString(),
+    startPrice: startPrice.toString(),
+    slippage,
+    chunks: parseInt(settings.chunks),
+    interval: Math.round(parseFloat(settings.interval) * 60 * 1000),
+    band: parseValue(settings.band, 2).toNumber(),
+    fills: [],
+    createdAt,
+    nextExecutionAt: createdAt,
+    status: TWAP_ACTIVE,
+  };
+}
+
+export function getTwapChunk(schedule) {
+  const index = schedule.fills.length;
+  const amountAt = (amount) => getScaledOrderAmounts(bigNumberify(amount), schedule.chunks)[index];
+  return {
+    index,
+    sizeDelta: amountAt(schedule.sizeDelta),
+    amountIn: amountAt(schedule.amountIn),
+    collateralDelta: amountAt(schedule.collateralDelta),
+  };
+}
+
+export function getTwapPrice(schedule, infoTokens) {
+  const indexToken = getTokenInfo(infoTokens, schedule.indexToken);
+  if (!indexToken) {
+    return;
+  }
+  // same side of the spread as a market increase or decrease
+  return (schedule.type === INCREASE) === schedule.isLong ? indexToken.maxPrice : indexToken.minPrice;
+}
+
+export function getTwapPauseReason(schedule, infoTokens) {
+  const price = getTwapPrice(schedule, infoTokens);
+  if (!price) {
+    return;
+  }
+  const startPrice = bigNumberify(schedule.startPrice);
+  if (price.sub(startPrice).abs().mul(BASIS_POINTS_DIVISOR).gt(startPrice.mul(schedule.band))) {
+    return "Price moved beyond the band";
+  }
+
+  if (schedule.type !== INCREASE) {
+    return;
+  }
+  // longs reserve the index token and shorts reserve the stable collateral
+  const indexToken = getTokenInfo(infoTokens, schedule.indexToken);
+  const reserveToken = getTokenInfo(infoTokens, schedule.isLong ? schedule.indexToken : schedule.collateralToken);
+  if (!reserveToken || !reserveToken.availableAmount || !reserveToken.minPrice) {
+    return;
+  }
+  let availableUsd = reserveToken.availableAmount
+    .mul(reserveToken.minPrice)
+    .div(expandDecimals(1, reserveToken.decimals));
+  if (!schedule.isLong && indexToken.maxAvailableShort && indexToken.maxAvailableShort.gt(0)) {
+    availableUsd = availableUsd.lt(indexToken.maxAvailableShort) ? availableUsd : indexToken.maxAvailableShort;
+  }
+  if (availableUsd.lt(getTwapChunk(schedule).sizeDelta)) {
+    return "Insufficient liquidity for the next chunk";
+  }
+}
+
+export function getTwapAveragePrice(schedule) {
+  return getScaledOrdersAveragePrice(schedule.fills.map((fill) => bigNumberify(fill.price)));
+}
+
+export function getPriceAlertPrice(token) {
+  if (!token || !token.minPrice || !token.maxPrice) {
+    return;
+  }
+  return token.minPrice.add(token.maxPrice).div(2);
+}
+
+export function isPriceAlertTriggered(alert, price) {
+  if (alert.type === PRICE_ALERT_ABOVE) {
+    return price.gte(alert.triggerPrice);
+  }
+  if (alert.type === PRICE_ALERT_BELOW) {
+    return price.lte(alert.triggerPrice);
+  }
+  const referencePrice = bigNumberify(alert.referencePrice);
+  return price.sub(referencePrice).abs().mul(BASIS_POINTS_DIVISOR).gte(referencePrice.mul(alert.moveBasisPoints));
+}
+
+export function getPriceAlertDescription(alert) {
+  if (alert.type === PRICE_ALERT_MOVE) {
+    return `${alert.symbol} moves ${formatAmount(alert.moveBasisPoints, 2, 2)}% from $${formatAmount(
+      alert.referencePrice,
+      USD_DECIMALS,
+      2,
+      true
+    )}`;
+  }
+  return `${alert.symbol} ${alert.type.toLowerCase()} $${formatAmount(alert.triggerPrice, USD_DECIMALS, 2, true)}`;
+}
+
+export function getRiskPositionSize({ riskUsd, entryPrice, stopPrice, isLong, leverage, swapFeeBasisPoints }) {
+  if (!riskUsd || riskUsd.lte(0) || !entryPrice || !stopPrice || !leverage || leverage.lte(0)) {
+    return;
+  }
+  if (isLong ? stopPrice.gte(entryPrice) : stopPrice.lte(entryPrice)) {
+    return;
+  }
+  const priceDeltaRatio = entryPrice.sub(stopPrice).abs().mul(PRECISION).div(entryPrice);
+  const marginFeeRatio = bigNumberify(MARGIN_FEE_BASIS_POINTS).mul(PRECISION).div(BASIS_POINTS_DIVISOR);
+  const swapFeeRatio = bigNumberify(swapFeeBasisPoints || 0)
+    .mul(PRECISION)
+    .div(BASIS_POINTS_DIVISOR);
+
+  // the pay amount covers the collateral and the opening fee, and the swap fee is taken before both
+  const payRatio = PRECISION.mul(BASIS_POINTS_DIVISOR)
+    .div(leverage)
+    .add(marginFeeRatio)
+    .mul(PRECISION)
+    .div(PRECISION.sub(swapFeeRatio));
+  // stopped out, the position loses the price move, the opening and closing fees and the swap fee
+  const lossRatio = priceDeltaRatio.add(marginFeeRatio.mul(2)).add(payRatio.mul(swapFeeRatio).div(PRECISION));
+
+  const sizeDelta = riskUsd.mul(PRECISION).div(lossRatio);
+  const payUsd = sizeDelta.mul(payRatio).div(PRECISION);
+
+  return {
+    sizeDelta,
+    payUsd,
+    marginFees: getMarginFee(sizeDelta).mul(2),
+    swapFees: payUsd.mul(swapFeeRatio).div(PRECISION),
+  };
+}
+
 export function useAccountOrders(flagOrdersEnabled, overrideAccount) {
   const { active, library, account: connectedAccount } = useWeb3React();
   const account = overrideAccount || connectedAccount;
@@ -1719,7 +2404,7 @@ export function useAccountOrders(flagOrdersEnabled, overrideAccount) {
   const orderBookAddress = getContract(chainId, "OrderBook");
   const orderBookReaderAddress = getContract(chainId, "OrderBookReader");
   const key = shouldRequest ? [active, chainId, orderBookAddress, account] : false;
-  const { data: orders = [], mutate: updateOrders } = useSWR(key, {
+  const { data: orders, mutate: updateOrders } = useSWR(key, {
     dedupingInterval: 5000,
     fetcher: async (active, chainId, orderBookAddress, account) => {
       const provider = getProvider(library, chainId);
@@ -1798,7 +2483,8 @@ export function useAccountOrders(flagOrdersEnabled, overrideAccount) {
     },
   });
 
-  return [orders, updateOrders];
+  // orders are undefined until the first successful load, callers that prune by open orders have to wait for it
+  return [orders || [], updateOrders, Boolean(orders)];
 }
 
 export const formatAmount = (amount, tokenDecimals, displayDecimals, useCommas, defaultValue) => {
@@ -2246,6 +2932,187 @@ export const CHART_PERIODS = {
   "1d": 60 * 60 * 24,
 };
 
+export const CHART_INDICATORS_KEY = "Chart-indicators";
+export const CHART_INDICATOR_SMA = "SMA";
+export const CHART_INDICATOR_EMA = "EMA";
+export const CHART_INDICATOR_BOLLINGER = "BB";
+export const CHART_INDICATOR_VWAP = "VWAP";
+export const CHART_INDICATOR_RSI = "RSI";
+export const CHART_INDICATOR_MACD = "MACD";
+export const CHART_OVERLAY_INDICATORS = [
+  CHART_INDICATOR_SMA,
+  CHART_INDICATOR_EMA,
+  CHART_INDICATOR_BOLLINGER,
+  CHART_INDICATOR_VWAP,
+];
+// pane indicators are drawn below the candles on their own scale
+export const CHART_PANE_INDICATORS = [CHART_INDICATOR_RSI, CHART_INDICATOR_MACD];
+
+function getSeriesData(candles, values) {
+  const data = [];
+  for (let i = 0; i < candles.length; i++) {
+    if (values[i] !== undefined) {
+      data.push({ time: candles[i].time, value: values[i] });
+    }
+  }
+  return data;
+}
+
+function getSmaValues(values, period) {
+  const result = [];
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    result.push(i >= period - 1 ? sum / period : undefined);
+  }
+  return result;
+}
+
+function getEmaValues(values, period) {
+  // seeded with the simple average of the first values, leading undefined values are skipped
+  const multiplier = 2 / (period + 1);
+  const result = [];
+  let ema;
+  let seedSum = 0;
+  let seedCount = 0;
+  for (const value of values) {
+    if (value === undefined) {
+      result.push(undefined);
+      continue;
+    }
+    if (ema === undefined) {
+      seedSum += value;
+      seedCount++;
+      if (seedCount === period) {
+        ema = seedSum / period;
+      }
+      result.push(ema);
+      continue;
+    }
+    ema = value * multiplier + ema * (1 - multiplier);
+    result.push(ema);
+  }
+  return result;
+}
+
+export function getSma(candles, period) {
+  const closes = candles.map((candle) => candle.close);
+  return getSeriesData(candles, getSmaValues(closes, period));
+}
+
+export function getEma(candles, period) {
+  const closes = candles.map((candle) => candle.close);
+  return getSeriesData(candles, getEmaValues(closes, period));
+}
+
+export function getBollingerBands(candles, period, deviations) {
+  const closes = candles.map((candle) => candle.close);
+  const middle = getSmaValues(closes, period);
+  const upper = [];
+  const lower = [];
+  for (let i = 0; i < closes.length; i++) {
+    if (middle[i] === undefined) {
+      upper.push(undefined);
+      lower.push(undefined);
+      continue;
+    }
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (closes[j] - middle[i]) ** 2;
+    }
+    const offset = Math.sqrt(variance / period) * deviations;
+    upper.push(middle[i] + offset);
+    lower.push(middle[i] - offset);
+  }
+  return {
+    upper: getSeriesData(candles, upper),
+    middle: getSeriesData(candles, middle),
+    lower: getSeriesData(candles, lower),
+  };
+}
+
+export function getVwap(candles) {
+  // the price feed has no volumes, so candles are weighted equally unless they carry a volume
+  // the average restarts every day, candle times are already shifted to the local timezone
+  const values = [];
+  let day;
+  let weightedSum = 0;
+  let weightSum = 0;
+  for (const candle of candles) {
+    const candleDay = Math.floor(candle.time / (24 * 60 * 60));
+    if (candleDay !== day) {
+      day = candleDay;
+      weightedSum = 0;
+      weightSum = 0;
+    }
+    const weight = candle.volume || 1;
+    weightedSum += ((candle.high + candle.low + candle.close) / 3) * weight;
+    weightSum += weight;
+    values.push(weightedSum / weightSum);
+  }
+  return getSeriesData(candles, values);
+}
+
+export function getRsi(candles, period) {
+  // Wilder's smoothing of the average gains and losses
+  const values = [undefined];
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i < candles.length; i++) {
+    const change = candles[i].close - candles[i - 1].close;
+    const gain = Math.max(change, 0);
+    const loss = Math.max(-change, 0);
+    if (i <= period) {
+      averageGain += gain / period;
+      averageLoss += loss / period;
+    } else {
+      averageGain = (averageGain * (period - 1) + gain) / period;
+      averageLoss = (averageLoss * (period - 1) + loss) / period;
+    }
+    if (i < period) {
+      values.push(undefined);
+      continue;
+    }
+    values.push(averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss));
+  }
+  return getSeriesData(candles, values);
+}
+
+// each candle is averaged with the previous one
+export function getHeikinAshiCandles(candles) {
+  const result = [];
+  for (const candle of candles) {
+    const prev = result[result.length - 1];
+    const open = prev ? (prev.open + prev.close) / 2 : (candle.open + candle.close) / 2;
+    const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+    result.push({
+      ...candle,
+      open,
+      close,
+      high: Math.max(candle.high, open, close),
+      low: Math.min(candle.low, open, close),
+    });
+  }
+  return result;
+}
+
+export function getMacd(candles, fastPeriod, slowPeriod, signalPeriod) {
+  const closes = candles.map((candle) => candle.close);
+  const fast = getEmaValues(closes, fastPeriod);
+  const slow = getEmaValues(closes, slowPeriod);
+  const macd = closes.map((_, i) => (fast[i] === undefined || slow[i] === undefined ? undefined : fast[i] - slow[i]));
+  const signal = getEmaValues(macd, signalPeriod);
+  const histogram = macd.map((value, i) => (signal[i] === undefined ? undefined : value - signal[i]));
+  return {
+    macd: getSeriesData(candles, macd),
+    signal: getSeriesData(candles, signal),
+    histogram: getSeriesData(candles, histogram),
+  };
+}
+
 export function getTotalVolumeSum(volumes) {
   if (!volumes || volumes.length === 0) {
     return;
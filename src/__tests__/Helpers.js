@@ -1,4 +1,39 @@
-import { getLiquidationPrice, bigNumberify, expandDecimals } from "../Helpers";
+import {
+  getLiquidationPrice,
+  getLeverageSimulation,
+  getBorrowFeeProjection,
+  getLiquidationWarning,
+  getScaledOrderPrices,
+  getScaledOrderAmounts,
+  getScaledOrdersAveragePrice,
+  getDecreaseReceiveAmount,
+  getDecreaseOrderPnl,
+  getRiskPositionSize,
+  getTrailingStopTriggerPrice,
+  linkOcoOrders,
+  addOrderGroup,
+  getOrderGroupKey,
+  pruneOrderGroups,
+  unlinkOcoOrder,
+  getOrderExpiryStr,
+  getTwapChunk,
+  getSma,
+  getEma,
+  getRsi,
+  getMacd,
+  getHeikinAshiCandles,
+  getTwapSettingsError,
+  isPriceAlertTriggered,
+  PRICE_ALERT_ABOVE,
+  PRICE_ALERT_MOVE,
+  bigNumberify,
+  expandDecimals,
+  SCALED_DISTRIBUTION_EVEN,
+  SCALED_DISTRIBUTION_GEOMETRIC,
+  TRAILING_STOP_UNIT_USD,
+  TRAILING_STOP_UNIT_PERCENT,
+} from "../Helpers";
+import { getMockCandles } from "../Api/chartSources";
 
 describe("Helpers", function () {
   const cases = [
@@ -103,4 +138,305 @@ describe("Helpers", function () {
       expect(liqPrice).toEqual(case_.expected);
     }
   });
+
+  it("getLeverageSimulation", function () {
+    const position = {
+      isLong: true,
+      size: expandDecimals(1000, 30),
+      collateral: expandDecimals(100, 30),
+      averagePrice: expandDecimals(2000, 30),
+      markPrice: expandDecimals(2000, 30),
+      lastIncreasedTime: 0,
+    };
+    const deposit = getLeverageSimulation({ position, collateralDelta: expandDecimals(100, 30), priceShockBps: 0 });
+    expect(deposit.nextCollateral.toString()).toEqual(expandDecimals(1997, 29).toString());
+    expect(deposit.leverage.toNumber()).toEqual(50075);
+    expect(deposit.liquidationPrice.lt(position.averagePrice)).toBe(true);
+
+    const shocked = getLeverageSimulation({ position, collateralDelta: bigNumberify(0), priceShockBps: -500 });
+    expect(shocked.shockedPrice.toString()).toEqual(expandDecimals(1900, 30).toString());
+    expect(shocked.leverage.toNumber()).toEqual(200000);
+    expect(shocked.marginBuffer.lt(deposit.marginBuffer)).toBe(true);
+
+    expect(
+      getLeverageSimulation({ position, collateralDelta: expandDecimals(-100, 30), priceShockBps: 0 })
+    ).toBeUndefined();
+  });
+
+  it("getBorrowFeeProjection", function () {
+    const position = {
+      size: expandDecimals(1000, 30),
+      collateral: expandDecimals(100, 30),
+      collateralToken: { fundingRate: bigNumberify(100) },
+      entryFundingRate: bigNumberify(1000),
+      cumulativeFundingRate: bigNumberify(1000),
+      hasProfit: true,
+      delta: bigNumberify(0),
+    };
+    const now = parseInt(Date.now() / 1000);
+    const projection = getBorrowFeeProjection(position);
+    expect(projection.hourlyFee.toString()).toEqual(expandDecimals(1, 29).toString());
+    expect(projection.dailyFee.toString()).toEqual(expandDecimals(24, 29).toString());
+    expect(projection.weeklyFee.toString()).toEqual(expandDecimals(168, 29).toString());
+    // 100 collateral - 1 close fee - 5 liquidation fee leaves 94 for borrow fees
+    expect(projection.liquidationTime - now).toBeGreaterThanOrEqual(940 * 60 * 60);
+    expect(projection.liquidationTime - now).toBeLessThanOrEqual(940 * 60 * 60 + 1);
+
+    expect(getBorrowFeeProjection({ ...position, collateralToken: {} })).toBeUndefined();
+  });
+
+  it("getLiquidationWarning", function () {
+    const position = {
+      isLong: false,
+      size: expandDecimals(1000, 30),
+      collateral: expandDecimals(100, 30),
+      averagePrice: expandDecimals(2000, 30),
+      markPrice: expandDecimals(2000, 30),
+      leverage: bigNumberify(100000),
+    };
+    const settings = { isEnabled: true, distance: "5", leverage: "8", targetLeverage: "5" };
+    const warning = getLiquidationWarning(position, settings);
+    expect(warning.isHighLeverage).toBe(true);
+    expect(warning.isNearLiquidation).toBe(false);
+    // 1000 / 5x = 200 collateral needed, 100 backs the current 10x
+    expect(warning.depositUsd.toString()).toEqual(expandDecimals(100, 30).toString());
+
+    expect(getLiquidationWarning(position, { ...settings, distance: "20" }).isNearLiquidation).toBe(true);
+    expect(getLiquidationWarning(position, { ...settings, leverage: "20" })).toBeUndefined();
+    expect(getLiquidationWarning(position, { ...settings, isEnabled: false })).toBeUndefined();
+  });
+
+  it("getScaledOrderPrices", function () {
+    const fromPrice = expandDecimals(1000, 30);
+    const toPrice = expandDecimals(2000, 30);
+
+    expect(getScaledOrderPrices(fromPrice, toPrice, 5, SCALED_DISTRIBUTION_EVEN)).toEqual(
+      [1000, 1250, 1500, 1750, 2000].map((price) => expandDecimals(price, 30))
+    );
+    expect(getScaledOrderPrices(toPrice, fromPrice, 3, SCALED_DISTRIBUTION_EVEN)).toEqual(
+      [2000, 1500, 1000].map((price) => expandDecimals(price, 30))
+    );
+
+    const geometricPrices = getScaledOrderPrices(
+      expandDecimals(1000, 30),
+      expandDecimals(4000, 30),
+      3,
+      SCALED_DISTRIBUTION_GEOMETRIC
+    );
+    expect(geometricPrices).toEqual([1000, 2000, 4000].map((price) => expandDecimals(price, 30)));
+
+    expect(getScaledOrderPrices(fromPrice, toPrice, 1, SCALED_DISTRIBUTION_EVEN)).toEqual([]);
+    expect(getScaledOrderPrices(fromPrice, undefined, 5, SCALED_DISTRIBUTION_EVEN)).toEqual([]);
+  });
+
+  it("getScaledOrderAmounts", function () {
+    expect(getScaledOrderAmounts(bigNumberify(10), 3)).toEqual([3, 3, 4].map((amount) => bigNumberify(amount)));
+  });
+
+  it("getScaledOrdersAveragePrice", function () {
+    const prices = [1000, 2000].map((price) => expandDecimals(price, 30));
+    // $1000 at each price buys 1 + 0.5 tokens
+    expect(getScaledOrdersAveragePrice(prices)).toEqual(bigNumberify("1333333333333333333333333333333333"));
+  });
+
+  it("getDecreaseReceiveAmount", function () {
+    const position = {
+      size: expandDecimals(50000, 30),
+      collateral: expandDecimals(10000, 30),
+      fundingFee: expandDecimals(10, 30),
+    };
+
+    // closing returns the collateral plus profit minus the 0.1% closing fee and the borrow fee
+    const close = getDecreaseReceiveAmount({
+      position,
+      fromAmount: position.size,
+      delta: expandDecimals(1000, 30),
+      hasProfit: true,
+    });
+    expect(close.isClosing).toBe(true);
+    expect(close.receiveAmount).toEqual(expandDecimals(10940, 30));
+
+    // a partial close at the same leverage withdraws collateral reduced by the realised loss and fees
+    const decrease = getDecreaseReceiveAmount({
+      position,
+      fromAmount: expandDecimals(25000, 30),
+      delta: expandDecimals(1000, 30),
+      hasProfit: false,
+      keepLeverage: true,
+    });
+    expect(decrease.isClosing).toBe(false);
+    expect(decrease.collateralDelta).toEqual(expandDecimals(4465, 30));
+    expect(decrease.receiveAmount).toEqual(expandDecimals(4430, 30));
+  });
+
+  it("getDecreaseOrderPnl", function () {
+    const position = {
+      isLong: true,
+      size: expandDecimals(10000, 30),
+      collateral: expandDecimals(1000, 30),
+      averagePrice: expandDecimals(2000, 30),
+      fundingFee: expandDecimals(4, 30),
+    };
+
+    // half the position closed 10% higher makes 500, less the 5 closing fee and 2 of the borrow fee
+    const takeProfit = getDecreaseOrderPnl(
+      { sizeDelta: expandDecimals(5000, 30), triggerPrice: expandDecimals(2200, 30) },
+      position
+    );
+    expect(takeProfit.hasProfit).toBe(true);
+    expect(takeProfit.delta).toEqual(expandDecimals(493, 30));
+
+    // orders larger than the position only close what is open
+    const stopLoss = getDecreaseOrderPnl(
+      { sizeDelta: expandDecimals(20000, 30), triggerPrice: expandDecimals(1900, 30) },
+      position
+    );
+    expect(stopLoss.hasProfit).toBe(false);
+    expect(stopLoss.delta).toEqual(expandDecimals(514, 30));
+  });
+
+  it("getRiskPositionSize", function () {
+    const riskUsd = expandDecimals(52, 30);
+    const entryPrice = expandDecimals(2000, 30);
+    const stopPrice = expandDecimals(1900, 30);
+    const leverage = bigNumberify(10 * 10000);
+
+    // a 5% move plus 0.1% fees to open and close loses 5.2% of the size
+    const { sizeDelta, payUsd } = getRiskPositionSize({ riskUsd, entryPrice, stopPrice, isLong: true, leverage });
+    expect(sizeDelta).toEqual(expandDecimals(1000, 30));
+    expect(payUsd).toEqual(expandDecimals(101, 30));
+
+    const withSwapFee = getRiskPositionSize({
+      riskUsd,
+      entryPrice,
+      stopPrice,
+      isLong: true,
+      leverage,
+      swapFeeBasisPoints: 30,
+    });
+    const loss = withSwapFee.sizeDelta.mul(5).div(100).add(withSwapFee.marginFees).add(withSwapFee.swapFees);
+    expect(loss.sub(riskUsd).abs().lt(expandDecimals(1, 20))).toBe(true);
+
+    expect(getRiskPositionSize({ riskUsd, entryPrice, stopPrice, isLong: false, leverage })).toBeUndefined();
+  });
+
+  it("getTrailingStopTriggerPrice", function () {
+    const peakPrice = expandDecimals(2000, 30);
+    const distance = expandDecimals(50, 30);
+    const percent = bigNumberify(250);
+
+    expect(getTrailingStopTriggerPrice({ peakPrice, distance, unit: TRAILING_STOP_UNIT_USD, isLong: true })).toEqual(
+      expandDecimals(1950, 30)
+    );
+    expect(getTrailingStopTriggerPrice({ peakPrice, distance, unit: TRAILING_STOP_UNIT_USD, isLong: false })).toEqual(
+      expandDecimals(2050, 30)
+    );
+    expect(
+      getTrailingStopTriggerPrice({ peakPrice, distance: percent, unit: TRAILING_STOP_UNIT_PERCENT, isLong: true })
+    ).toEqual(expandDecimals(1950, 30));
+    expect(
+      getTrailingStopTriggerPrice({ peakPrice, distance: peakPrice, unit: TRAILING_STOP_UNIT_USD, isLong: true })
+    ).toBeUndefined();
+  });
+
+  it("linkOcoOrders", function () {
+    const ocoLinks = linkOcoOrders({}, "a", "b");
+    expect(ocoLinks).toEqual({ a: "b", b: "a" });
+    expect(linkOcoOrders(ocoLinks, "a", "c")).toEqual({ a: "c", c: "a" });
+    expect(unlinkOcoOrder(ocoLinks, "b")).toEqual({});
+  });
+
+  it("pruneOrderGroups", function () {
+    const orderGroups = {
+      ...addOrderGroup({}, ["Increase-0xa-1", "Increase-0xa-2"]),
+      ...addOrderGroup({}, ["Increase-0xb-1"]),
+    };
+    expect(getOrderGroupKey(orderGroups, "Increase-0xa-2")).toEqual("Increase-0xa-1");
+    expect(getOrderGroupKey(orderGroups, "Increase-0xa-3")).toEqual(undefined);
+
+    const now = orderGroups["Increase-0xa-1"].createdAt;
+    // new groups are kept while their orders are not loaded yet
+    expect(Object.keys(pruneOrderGroups(orderGroups, [], "0xa", now))).toEqual([
+      "Increase-0xa-1",
+      "Increase-0xa-2",
+      "Increase-0xb-1",
+    ]);
+    expect(Object.keys(pruneOrderGroups(orderGroups, ["Increase-0xa-2"], "0xa", now + 3600))).toEqual([
+      "Increase-0xa-1",
+      "Increase-0xa-2",
+      "Increase-0xb-1",
+    ]);
+    expect(Object.keys(pruneOrderGroups(orderGroups, [], "0xa", now + 3600))).toEqual(["Increase-0xb-1"]);
+  });
+
+  it("getOrderExpiryStr", function () {
+    expect(getOrderExpiryStr(1000, 1000)).toEqual("Expired");
+    expect(getOrderExpiryStr(1030, 1000)).toEqual("<1m");
+    expect(getOrderExpiryStr(1000 + 2 * 3600 + 15 * 60, 1000)).toEqual("2h 15m");
+    expect(getOrderExpiryStr(1000 + 3 * 86400 + 4 * 3600, 1000)).toEqual("3d 4h");
+  });
+
+  it("isPriceAlertTriggered", function () {
+    const price = expandDecimals(2000, 30);
+    const above = { type: PRICE_ALERT_ABOVE, triggerPrice: expandDecimals(2100, 30).toString() };
+    expect(isPriceAlertTriggered(above, price)).toBe(false);
+    expect(isPriceAlertTriggered(above, expandDecimals(2100, 30))).toBe(true);
+
+    const move = { type: PRICE_ALERT_MOVE, moveBasisPoints: 500, referencePrice: price.toString() };
+    expect(isPriceAlertTriggered(move, expandDecimals(2099, 30))).toBe(false);
+    expect(isPriceAlertTriggered(move, expandDecimals(1900, 30))).toBe(true);
+  });
+
+  it("chart indicators", function () {
+    const candles = [1, 2, 3, 4, 5, 4, 3].map((close, i) => ({ time: i, close }));
+    expect(getSma(candles, 3).map((point) => point.value)).toEqual([2, 3, 4, 13 / 3, 4]);
+    expect(getSma(candles, 3)[0].time).toEqual(2);
+    expect(getEma(candles, 3).map((point) => point.value)).toEqual([2, 3, 4, 4, 3.5]);
+
+    const rsi = getRsi(candles, 4);
+    expect(rsi.length).toEqual(3);
+    expect(rsi[0].value).toEqual(100);
+    expect(rsi[1].value).toBeCloseTo(75);
+
+    const macd = getMacd(candles, 2, 3, 2);
+    expect(macd.macd.length).toEqual(5);
+    expect(macd.signal.length).toEqual(4);
+    expect(macd.histogram[0].value).toBeCloseTo(macd.macd[1].value - macd.signal[0].value);
+  });
+
+  it("getMockCandles", function () {
+    const candles = getMockCandles("ETH", 300, 1000, 4000);
+    expect(candles.map(({ time }) => time)).toEqual([1200, 1500, 1800, 2100, 2400, 2700, 3000, 3300, 3600, 3900]);
+    expect(getMockCandles("ETH", 300, 2000, 4000)).toEqual(candles.slice(3));
+    expect(candles[1].open).toEqual(candles[0].close);
+    for (const { open, close, high, low } of candles) {
+      expect(high).toBeGreaterThan(Math.max(open, close));
+      expect(low).toBeLessThan(Math.min(open, close));
+    }
+  });
+
+  it("getHeikinAshiCandles", function () {
+    const candles = [
+      { time: 0, open: 10, high: 14, low: 8, close: 12 },
+      { time: 1, open: 12, high: 13, low: 9, close: 10 },
+    ];
+    const [first, second] = getHeikinAshiCandles(candles);
+    expect(first).toEqual({ time: 0, open: 11, high: 14, low: 8, close: 11 });
+    expect(second.open).toEqual(11);
+    expect(second.close).toEqual(11);
+    expect(second.high).toEqual(13);
+    expect(second.low).toEqual(9);
+  });
+
+  it("getTwapChunk", function () {
+    expect(getTwapSettingsError({ chunks: "1", interval: "10", band: "2" })).toEqual("Min chunks: 2");
+    expect(getTwapSettingsError({ chunks: "5", interval: "10", band: "2" })).toBeUndefined();
+
+    const schedule = { chunks: 3, sizeDelta: "1000", amountIn: "100", collateralDelta: "0", fills: [{}, {}] };
+    const chunk = getTwapChunk(schedule);
+    expect(chunk.index).toEqual(2);
+    expect(chunk.sizeDelta.toString()).toEqual("334");
+    expect(chunk.amountIn.toString()).toEqual("34");
+    expect(chunk.collateralDelta.toString()).toEqual("0");
+  });
 });
@@ -0,0 +1,240 @@
+import React, { useState, useMemo } from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+
+import {
+  formatAmount,
+  bigNumberify,
+  fetcher,
+  USD_DECIMALS,
+  BASIS_POINTS_DIVISOR,
+  DEFAULT_SLIPPAGE_AMOUNT,
+  SLIPPAGE_BPS_KEY,
+  useLocalStorageSerializeKey,
+  getTokenAmount,
+  getDecreaseReceiveAmount,
+} from "../../Helpers";
+import { getConstant } from "../../Constants";
+import { callContract, cancelMultipleOrders } from "../../Api";
+import { getContract } from "../../Addresses";
+import PositionRouter from "../../abis/PositionRouter.json";
+import Modal from "../Modal/Modal";
+import ExchangeInfoRow from "./ExchangeInfoRow";
+
+function getPositionClose(position, infoTokens) {
+  const { sizeDelta, positionFee, totalFees, receiveAmount } = getDecreaseReceiveAmount({
+    position,
+    fromAmount: position.size,
+    delta: position.delta,
+    hasProfit: position.hasProfit,
+    keepLeverage: false,
+  });
+
+  return {
+    position,
+    sizeDelta,
+    fees: totalFees || positionFee,
+    receiveAmount,
+    convertedReceiveAmount: getTokenAmount(receiveAmount, position.collateralToken.address, false, infoTokens),
+  };
+}
+
+export default function CloseAllBox(props) {
+  const {
+    isVisible,
+    setIsVisible,
+    active,
+    account,
+    library,
+    chainId,
+    infoTokens,
+    positions,
+    orders,
+    updateOrders,
+    nativeTokenAddress,
+    pendingPositions,
+    setPendingPositions,
+    pendingTxns,
+    setPendingTxns,
+    positionRouterApproved,
+    approvePositionRouter,
+    isPositionRouterApproving,
+    isWaitingForPositionRouterApproval,
+  } = props;
+  const [savedSlippageAmount] = useLocalStorageSerializeKey([chainId, SLIPPAGE_BPS_KEY], DEFAULT_SLIPPAGE_AMOUNT);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const nativeTokenSymbol = getConstant(chainId, "nativeTokenSymbol");
+
+  const { data: minExecutionFee } = useSWR([active, chainId, positionRouterAddress, "minExecutionFee"], {
+    fetcher: fetcher(library, PositionRouter),
+  });
+
+  const positionCloses = useMemo(
+    () => (positions || []).map((position) => getPositionClose(position, infoTokens)),
+    [positions, infoTokens]
+  );
+  const openOrders = orders || [];
+
+  const totalReceiveAmount = positionCloses.reduce((sum, close) => sum.add(close.receiveAmount), bigNumberify(0));
+  const totalFees = positionCloses.reduce((sum, close) => sum.add(close.fees), bigNumberify(0));
+  const executionFees = minExecutionFee && minExecutionFee.mul(positionCloses.length);
+
+  const needPositionRouterApproval = positionCloses.length > 0 && !positionRouterApproved;
+
+  const getError = () => {
+    if (positionCloses.length === 0 && openOrders.length === 0) {
+      return "No open positions or orders";
+    }
+    if (positionCloses.length > 0 && !minExecutionFee) {
+      return "Loading...";
+    }
+  };
+
+  const isPrimaryEnabled = () => {
+    if (getError()) {
+      return false;
+    }
+    if (isSubmitting || isPositionRouterApproving) {
+      return false;
+    }
+    if (needPositionRouterApproval && isWaitingForPositionRouterApproval) {
+      return false;
+    }
+    return true;
+  };
+
+  const getPrimaryText = () => {
+    const error = getError();
+    if (error) {
+      return error;
+    }
+    if ((needPositionRouterApproval && isWaitingForPositionRouterApproval) || isPositionRouterApproving) {
+      return "Enabling Leverage...";
+    }
+    if (needPositionRouterApproval) {
+      return "Enable Leverage";
+    }
+    return isSubmitting ? "Closing..." : "Close All";
+  };
+
+  const closePosition = ({ position, sizeDelta }) => {
+    const collateralTokenAddress = position.collateralToken.isNative
+      ? nativeTokenAddress
+      : position.collateralToken.address;
+    const indexTokenAddress = position.indexToken.isNative ? nativeTokenAddress : position.indexToken.address;
+    const priceBasisPoints = position.isLong
+      ? BASIS_POINTS_DIVISOR - savedSlippageAmount
+      : BASIS_POINTS_DIVISOR + savedSlippageAmount;
+    const refPrice = position.isLong ? position.indexToken.minPrice : position.indexToken.maxPrice;
+    const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+
+    const params = [
+      [collateralTokenAddress], // _path
+      indexTokenAddress, // _indexToken
+      0, // _collateralDelta
+      sizeDelta, // _sizeDelta
+      position.isLong, // _isLong
+      account, // _receiver
+      priceLimit, // _acceptablePrice
+      0, // _minOut
+      minExecutionFee, // _executionFee
+      collateralTokenAddress === nativeTokenAddress, // _withdrawETH
+    ];
+
+    const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library.getSigner());
+
+    return callContract(chainId, contract, "createDecreasePosition", params, {
+      value: minExecutionFee,
+      sentMsg: `Close ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"} submitted!`,
+      successMsg: `Requested close of ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"}.`,
+      failMsg: `Close ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"} failed.`,
+      setPendingTxns,
+    }).then(() => {
+      pendingPositions[position.key] = {
+        updatedAt: Date.now(),
+        pendingChanges: {
+          size: bigNumberify(0),
+        },
+      };
+
+      setPendingPositions({ ...pendingPositions });
+    });
+  };
+
+  const onClickPrimary = async () => {
+    if (needPositionRouterApproval) {
+      approvePositionRouter({
+        sentMsg: "Enable leverage sent",
+        failMsg: "Enable leverage failed",
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    // a rejected or failed close should not stop the remaining positions from being closed
+    for (const positionClose of positionCloses) {
+      try {
+        await closePosition(positionClose);
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    if (openOrders.length > 0) {
+      try {
+        await cancelMultipleOrders(chainId, library, openOrders, {
+          successMsg: "Orders cancelled",
+          failMsg: "Cancel failed",
+          sentMsg: "Cancel submitted",
+          pendingTxns,
+          setPendingTxns,
+        });
+        if (updateOrders) {
+          updateOrders([], false);
+        }
+      } catch (e) {
+        console.error(e);
+      }
+    }
+
+    setIsSubmitting(false);
+    setIsVisible(false);
+  };
+
+  return (
+    <div className="Confirmation-box CloseAllBox">
+      <Modal isVisible={isVisible} setIsVisible={setIsVisible} label="Close All">
+        <div className="Confirmation-box-main">
+          <div>
+            Close {positionCloses.length} position{positionCloses.length === 1 ? "" : "s"} and cancel{" "}
+            {openOrders.length} order{openOrders.length === 1 ? "" : "s"}
+          </div>
+        </div>
+        {positionCloses.map(({ position, receiveAmount, convertedReceiveAmount }) => (
+          <ExchangeInfoRow
+            key={position.key}
+            label={`${position.isLong ? "Long" : "Short"} ${position.indexToken.symbol}`}
+          >
+            {formatAmount(convertedReceiveAmount, position.collateralToken.decimals, 4, true)}{" "}
+            {position.collateralToken.symbol} (${formatAmount(receiveAmount, USD_DECIMALS, 2, true)})
+          </ExchangeInfoRow>
+        ))}
+        <ExchangeInfoRow label="Total Receive" isTop>
+          ${formatAmount(totalReceiveAmount, USD_DECIMALS, 2, true)}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Fees">${formatAmount(totalFees, USD_DECIMALS, 2, true)}</ExchangeInfoRow>
+        <ExchangeInfoRow label="Execution Fees">
+          {executionFees ? `${formatAmount(executionFees, 18, 4)} ${nativeTokenSymbol}` : "-"}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Allowed Slippage">{formatAmount(savedSlippageAmount, 2, 2)}%</ExchangeInfoRow>
+        <div className="Confirmation-box-row">
+          <button className="App-cta Confirmation-box-button" onClick={onClickPrimary} disabled={!isPrimaryEnabled()}>
+            {getPrimaryText()}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -3,11 +3,15 @@ import {
   USD_DECIMALS,
   PRECISION,
   BASIS_POINTS_DIVISOR,
-  LIMIT,
   MIN_PROFIT_TIME,
   INCREASE,
+  SCALED,
+  TRIGGER_PREFIX_ABOVE,
+  TRIGGER_PREFIX_BELOW,
   expandDecimals,
+  bigNumberify,
   getExchangeRate,
+  getIncreaseOrderType,
   getProfitPrice,
   getTimeRemaining,
   formatAmount,
@@ -17,6 +21,7 @@ import {
   SLIPPAGE_BPS_KEY,
   formatDateTime,
   calculatePositionDelta,
+  getScaledOrderAmounts,
 } from "../../Helpers";
 import { getConstant } from "../../Constants";
 
@@ -70,6 +75,12 @@ export default function ConfirmationBox(props) {
     isPendingConfirmation,
     triggerPriceUsd,
     triggerRatio,
+    scaledOrders,
+    twapSettings,
+    stopLossPriceUsd,
+    takeProfitPriceUsd,
+    stopLossDelta,
+    takeProfitDelta,
     fees,
     feesUsd,
     isSubmitting,
@@ -101,9 +112,11 @@ export default function ConfirmationBox(props) {
     toTokenUsd = toTokenInfo ? formatAmount(toTokenInfo.maxPrice, USD_DECIMALS, 2, true) : 0;
   }
 
+  const isScaledOrder = orderOption === SCALED;
+
   const getTitle = () => {
     if (!isMarketOrder) {
-      return "Confirm Limit Order";
+      return `Confirm ${orderOption} Order`;
     }
     if (isSwap) {
       return "Confirm Swap";
@@ -147,6 +160,9 @@ export default function ConfirmationBox(props) {
       if (isSwap) {
         return title;
       }
+      if (twapSettings) {
+        return "Start TWAP";
+      }
       const action = isMarketOrder ? (isLong ? "Long" : "Short") : "Create Order";
 
       if (
@@ -200,7 +216,7 @@ export default function ConfirmationBox(props) {
   }, [isMarketOrder, spread]);
 
   const renderFeeWarning = useCallback(() => {
-    if (orderOption === LIMIT || !feeBps || feeBps <= 50) {
+    if (!isMarketOrder || !feeBps || feeBps <= 50) {
       return null;
     }
 
@@ -223,7 +239,7 @@ export default function ConfirmationBox(props) {
         {collateralToken.symbol} is needed for collateral.
       </div>
     );
-  }, [feeBps, isSwap, collateralTokenAddress, chainId, fromToken.symbol, toToken.symbol, orderOption]);
+  }, [feeBps, isSwap, collateralTokenAddress, chainId, fromToken.symbol, toToken.symbol, isMarketOrder]);
 
   const hasPendingProfit =
     MIN_PROFIT_TIME > 0 && existingPosition && existingPosition.delta.eq(0) && existingPosition.pendingDelta.gt(0);
@@ -305,8 +321,9 @@ export default function ConfirmationBox(props) {
     );
     return (
       <div className="Confirmation-box-warning">
-        You have an active Limit Order to Increase {existingOrder.isLong ? "Long" : "Short"} {sizeInToken}{" "}
-        {indexToken.symbol} (${formatAmount(existingOrder.sizeDelta, USD_DECIMALS, 2, true)}) at price $
+        You have an active {getIncreaseOrderType(existingOrder)} Order to Increase{" "}
+        {existingOrder.isLong ? "Long" : "Short"} {sizeInToken} {indexToken.symbol} ($
+        {formatAmount(existingOrder.sizeDelta, USD_DECIMALS, 2, true)}) at price $
         {formatAmount(existingOrder.triggerPrice, USD_DECIMALS, 2, true)}
       </div>
     );
@@ -348,17 +365,136 @@ export default function ConfirmationBox(props) {
 
   const SWAP_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "SWAP_ORDER_EXECUTION_GAS_FEE");
   const INCREASE_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "INCREASE_ORDER_EXECUTION_GAS_FEE");
-  const executionFee = isSwap ? SWAP_ORDER_EXECUTION_GAS_FEE : INCREASE_ORDER_EXECUTION_GAS_FEE;
+  const DECREASE_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "DECREASE_ORDER_EXECUTION_GAS_FEE");
+  const triggerOrdersCount = [stopLossPriceUsd, takeProfitPriceUsd].filter(Boolean).length;
+  const ordersCount = isScaledOrder ? scaledOrders.length : 1;
+  let orderExecutionFee = isSwap ? SWAP_ORDER_EXECUTION_GAS_FEE : INCREASE_ORDER_EXECUTION_GAS_FEE;
+  if (isMarketOrder) {
+    orderExecutionFee = bigNumberify(0);
+  }
+  const executionFee = orderExecutionFee.mul(ordersCount).add(DECREASE_ORDER_EXECUTION_GAS_FEE.mul(triggerOrdersCount));
   const renderExecutionFee = useCallback(() => {
-    if (isMarketOrder) {
+    if (executionFee.eq(0)) {
       return null;
     }
+    const nativeTokenSymbol = getNativeToken(chainId).symbol;
+    if (triggerOrdersCount === 0 && ordersCount === 1) {
+      return (
+        <ExchangeInfoRow label="Execution Fee">
+          {formatAmount(executionFee, 18, 4)} {nativeTokenSymbol}
+        </ExchangeInfoRow>
+      );
+    }
     return (
-      <ExchangeInfoRow label="Execution Fee">
-        {formatAmount(executionFee, 18, 4)} {getNativeToken(chainId).symbol}
+      <ExchangeInfoRow label="Execution Fees">
+        <Tooltip
+          handle={`${formatAmount(executionFee, 18, 4)} ${nativeTokenSymbol}`}
+          position="right-bottom"
+          renderContent={() => {
+            return (
+              <>
+                {!isMarketOrder && (
+                  <div>
+                    {orderOption} orders: {ordersCount} x {formatAmount(orderExecutionFee, 18, 4)} {nativeTokenSymbol}
+                  </div>
+                )}
+                {triggerOrdersCount > 0 && (
+                  <div>
+                    Trigger orders: {triggerOrdersCount} x {formatAmount(DECREASE_ORDER_EXECUTION_GAS_FEE, 18, 4)}{" "}
+                    {nativeTokenSymbol}
+                  </div>
+                )}
+              </>
+            );
+          }}
+        />
       </ExchangeInfoRow>
     );
-  }, [isMarketOrder, executionFee, chainId]);
+  }, [
+    isMarketOrder,
+    orderOption,
+    executionFee,
+    orderExecutionFee,
+    chainId,
+    ordersCount,
+    triggerOrdersCount,
+    DECREASE_ORDER_EXECUTION_GAS_FEE,
+  ]);
+
+  const renderScaledOrders = useCallback(() => {
+    if (!isScaledOrder) {
+      return null;
+    }
+    return scaledOrders.map(({ price, sizeDelta }, i) => (
+      <ExchangeInfoRow key={i} label={`Order ${i + 1}`} isTop={i === 0}>
+        ${formatAmount(sizeDelta, USD_DECIMALS, 2, true)} at ${formatAmount(price, USD_DECIMALS, 2, true)}
+      </ExchangeInfoRow>
+    ));
+  }, [isScaledOrder, scaledOrders]);
+
+  const renderTwap = useCallback(() => {
+    if (!twapSettings) {
+      return null;
+    }
+    const chunks = parseInt(twapSettings.chunks);
+    const [chunkSize] = getScaledOrderAmounts(toUsdMax, chunks);
+    return (
+      <>
+        <ExchangeInfoRow label="TWAP" isTop>
+          {chunks} x ${formatAmount(chunkSize, USD_DECIMALS, 2, true)} every {twapSettings.interval} min
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Price Band">±{twapSettings.band}%</ExchangeInfoRow>
+      </>
+    );
+  }, [twapSettings, toUsdMax]);
+
+  const renderTriggerOrders = useCallback(() => {
+    if (!stopLossPriceUsd && !takeProfitPriceUsd) {
+      return null;
+    }
+    const stopLossPrefix = isLong ? TRIGGER_PREFIX_BELOW : TRIGGER_PREFIX_ABOVE;
+    const takeProfitPrefix = isLong ? TRIGGER_PREFIX_ABOVE : TRIGGER_PREFIX_BELOW;
+    return (
+      <>
+        {stopLossPriceUsd && (
+          <ExchangeInfoRow label="Stop Loss" isTop={true}>
+            {stopLossPrefix} {formatAmount(stopLossPriceUsd, USD_DECIMALS, 2, true)}
+          </ExchangeInfoRow>
+        )}
+        {stopLossPriceUsd && stopLossDelta && (
+          <ExchangeInfoRow label="Stop Loss PnL">
+            {stopLossDelta.deltaStr} ({stopLossDelta.deltaPercentageStr})
+          </ExchangeInfoRow>
+        )}
+        {takeProfitPriceUsd && (
+          <ExchangeInfoRow label="Take Profit" isTop={!stopLossPriceUsd}>
+            {takeProfitPrefix} {formatAmount(takeProfitPriceUsd, USD_DECIMALS, 2, true)}
+          </ExchangeInfoRow>
+        )}
+        {takeProfitPriceUsd && takeProfitDelta && (
+          <ExchangeInfoRow label="Take Profit PnL">
+            {takeProfitDelta.deltaStr} ({takeProfitDelta.deltaPercentageStr})
+          </ExchangeInfoRow>
+        )}
+        {!isMarketOrder && (
+          <div className="Confirmation-box-warning">
+            Take Profit / Stop Loss orders are created right away, not once the{" "}
+            {isScaledOrder ? "scaled orders are" : `${orderOption.toLowerCase()} order is`} executed. Cancel them if the
+            position is never opened to get their execution fees back.
+          </div>
+        )}
+      </>
+    );
+  }, [
+    isLong,
+    isMarketOrder,
+    isScaledOrder,
+    orderOption,
+    stopLossPriceUsd,
+    takeProfitPriceUsd,
+    stopLossDelta,
+    takeProfitDelta,
+  ]);
 
   const renderAvailableLiquidity = useCallback(() => {
     let availableLiquidity;
@@ -437,7 +573,7 @@ export default function ConfirmationBox(props) {
               </Checkbox>
             </div>
           )}
-          {orderOption === LIMIT && renderAvailableLiquidity()}
+          {!isMarketOrder && renderAvailableLiquidity()}
           {isShort && (
             <ExchangeInfoRow label="Profits In">{getToken(chainId, shortCollateralAddress).symbol}</ExchangeInfoRow>
           )}
@@ -489,7 +625,7 @@ export default function ConfirmationBox(props) {
               {formatAmount(spread.value.mul(100), USD_DECIMALS, 2, true)}%
             </ExchangeInfoRow>
           )}
-          {isMarketOrder && (
+          {(isMarketOrder || isScaledOrder) && (
             <ExchangeInfoRow label="Entry Price">
               {hasExistingPosition && toAmount && toAmount.gt(0) && (
                 <div className="inline-block muted">
@@ -501,11 +637,13 @@ export default function ConfirmationBox(props) {
               {!nextAveragePrice && `-`}
             </ExchangeInfoRow>
           )}
-          {!isMarketOrder && (
-            <ExchangeInfoRow label="Limit Price" isTop={true}>
+          {!isMarketOrder && !isScaledOrder && (
+            <ExchangeInfoRow label={`${orderOption} Price`} isTop={true}>
               ${formatAmount(triggerPriceUsd, USD_DECIMALS, 2, true)}
             </ExchangeInfoRow>
           )}
+          {renderScaledOrders()}
+          {renderTwap()}
           <ExchangeInfoRow label="Borrow Fee">
             {isLong && toTokenInfo && formatAmount(toTokenInfo.fundingRate, 4, 4)}
             {isShort && shortCollateralToken && formatAmount(shortCollateralToken.fundingRate, 4, 4)}
@@ -513,6 +651,7 @@ export default function ConfirmationBox(props) {
               (isShort && shortCollateralToken && shortCollateralToken.fundingRate)) &&
               "% / 1h"}
           </ExchangeInfoRow>
+          {renderTriggerOrders()}
           {isMarketOrder && (
             <div className="PositionEditor-allow-higher-slippage">
               <Checkbox isChecked={isHigherSlippageAllowed} setIsChecked={setIsHigherSlippageAllowed}>
@@ -536,6 +675,7 @@ export default function ConfirmationBox(props) {
     hasExistingPosition,
     existingPosition,
     isMarketOrder,
+    isScaledOrder,
     triggerPriceUsd,
     showSpread,
     spread,
@@ -544,6 +684,9 @@ export default function ConfirmationBox(props) {
     feesUsd,
     leverage,
     renderExecutionFee,
+    renderScaledOrders,
+    renderTwap,
+    renderTriggerOrders,
     shortCollateralToken,
     renderExistingOrderWarning,
     chainId,
@@ -565,7 +708,7 @@ export default function ConfirmationBox(props) {
           {renderMain()}
           {renderFeeWarning()}
           {renderSpreadWarning()}
-          {orderOption === LIMIT && renderAvailableLiquidity()}
+          {!isMarketOrder && renderAvailableLiquidity()}
           <ExchangeInfoRow label="Min. Receive">
             {formatAmount(minOut, toTokenInfo.decimals, 4, true)} {toTokenInfo.symbol}
           </ExchangeInfoRow>
@@ -611,7 +754,6 @@ export default function ConfirmationBox(props) {
     renderSpreadWarning,
     fromTokenInfo,
     toTokenInfo,
-    orderOption,
     showSpread,
     spread,
     feesUsd,
@@ -1,7 +1,8 @@
 import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
 import cx from "classnames";
+import { BsBell } from "react-icons/bs";
 
-import { createChart } from "krasulya-lightweight-charts";
+import { createChart, PriceScaleMode } from "krasulya-lightweight-charts";
 
 import {
   USD_DECIMALS,
@@ -14,17 +15,122 @@ import {
   usePrevious,
   getLiquidationPrice,
   useLocalStorageSerializeKey,
+  CHART_INDICATORS_KEY,
+  CHART_INDICATOR_SMA,
+  CHART_INDICATOR_EMA,
+  CHART_INDICATOR_BOLLINGER,
+  CHART_INDICATOR_VWAP,
+  CHART_INDICATOR_RSI,
+  CHART_INDICATOR_MACD,
+  CHART_OVERLAY_INDICATORS,
+  CHART_PANE_INDICATORS,
+  CHART_GAP_MODE_KEY,
+  CHART_GAP_SKIP,
+  CHART_GAP_FLAT,
+  CHART_GAP_MARK,
+  CHART_GAP_MODES,
+  CHART_STYLE_KEY,
+  CHART_STYLE_CANDLES,
+  CHART_STYLE_HEIKIN_ASHI,
+  CHART_STYLE_BARS,
+  CHART_STYLE_LINE,
+  CHART_STYLE_AREA,
+  CHART_STYLES,
+  CHART_COMPARE_TOKEN_KEY,
+  getSma,
+  getEma,
+  getBollingerBands,
+  getVwap,
+  getRsi,
+  getMacd,
+  getHeikinAshiCandles,
+  getOrderKey,
+  getPositionForOrder,
+  getDecreaseOrderPnl,
+  parseValue,
+  bigNumberify,
+  deserialize,
 } from "../../Helpers";
 import { getToken } from "../../data/Tokens";
-import { useChartPrices } from "../../Api";
+import { useChartPrices, useTrades, cancelIncreaseOrder, cancelDecreaseOrder } from "../../Api";
 import Tab from "../Tab/Tab";
+import PriceAlertBox from "./PriceAlertBox";
+import OrderEditor from "./OrderEditor";
+import { getTradeMsg } from "./TradeHistory";
 
 import { getTokens } from "../../data/Tokens";
 
 const PRICE_LINE_TEXT_WIDTH = 15;
+// distance in pixels from an order line within which it can be dragged or right-clicked
+const ORDER_LINE_HIT_DISTANCE = 5;
+// a click that moved further than this is a chart pan and does not open the order menu
+const CLICK_MOVE_TOLERANCE = 3;
 
 const timezoneOffset = -new Date().getTimezoneOffset() * 60;
 
+const PRICE_LINE_COLOR = "#3a3e5e";
+const LIQUIDATION_LINE_COLOR = "#fa3c58";
+const TAKE_PROFIT_LINE_COLOR = "#0ecc83";
+const STOP_LOSS_LINE_COLOR = "#f2c75c";
+
+const TRADE_MARKER_BUY_COLOR = "#0ecc83";
+const TRADE_MARKER_SELL_COLOR = "#fa3c58";
+const TRADE_MARKER_ORDER_COLOR = "#5472cc";
+const TRADE_MARKER_LIQUIDATION_COLOR = "#f2c75c";
+
+const COMPARE_LINE_COLOR = "#ec7fde";
+const GAP_MARK_COLOR = "#5c6180";
+const GAP_MARK_HEIGHT = 0.02;
+
+// position changes of a trade from the actions feed, swaps, order updates and collateral edits are not marked
+function getTradePositionChange(trade) {
+  const { action } = trade.data;
+  const params = JSON.parse(trade.data.params);
+
+  if (action === "ExecuteIncreaseOrder" || action === "ExecuteDecreaseOrder") {
+    const order = deserialize(params.order);
+    return {
+      indexToken: order.indexToken,
+      isLong: order.isLong,
+      isIncrease: order.type === "Increase",
+      isOrderExecution: true,
+    };
+  }
+
+  if (action === "LiquidatePosition-Long" || action === "LiquidatePosition-Short") {
+    return { indexToken: params.indexToken, isLong: params.isLong, isIncrease: false, isLiquidation: true };
+  }
+
+  const isIncrease = action === "IncreasePosition-Long" || action === "IncreasePosition-Short";
+  const isDecrease = action === "DecreasePosition-Long" || action === "DecreasePosition-Short";
+  if ((!isIncrease && !isDecrease) || bigNumberify(params.sizeDelta).eq(0)) {
+    return null;
+  }
+  return {
+    indexToken: params.indexToken,
+    isLong: params.isLong,
+    isIncrease,
+    isLiquidation: Boolean(params.flags?.isLiquidation),
+  };
+}
+
+function getTradeMarker(change, time) {
+  const isBuy = change.isIncrease === change.isLong;
+  let color = isBuy ? TRADE_MARKER_BUY_COLOR : TRADE_MARKER_SELL_COLOR;
+  if (change.isOrderExecution) {
+    color = TRADE_MARKER_ORDER_COLOR;
+  }
+  if (change.isLiquidation) {
+    color = TRADE_MARKER_LIQUIDATION_COLOR;
+  }
+  return {
+    time,
+    position: isBuy ? "belowBar" : "aboveBar",
+    shape: change.isLiquidation ? "circle" : isBuy ? "arrowUp" : "arrowDown",
+    color,
+  };
+}
+
 function getChartToken(swapOption, fromToken, toToken, chainId) {
   if (!fromToken || !toToken) {
     return;
@@ -57,10 +163,101 @@ function getChartToken(swapOption, fromToken, toToken, chainId) {
   return toToken;
 }
 
+function getAveragePrice(token) {
+  return token && token.maxPrice && token.minPrice ? token.maxPrice.add(token.minPrice).div(2) : null;
+}
+
 const DEFAULT_PERIOD = "4h";
 
+const STYLE_TITLES = {
+  [CHART_STYLE_CANDLES]: "Candles",
+  [CHART_STYLE_HEIKIN_ASHI]: "Heikin-Ashi candles",
+  [CHART_STYLE_BARS]: "OHLC bars",
+  [CHART_STYLE_LINE]: "Line of close prices",
+  [CHART_STYLE_AREA]: "Area of close prices",
+};
+
+const SMA_PERIOD = 20;
+const EMA_PERIOD = 50;
+const BOLLINGER_PERIOD = 20;
+const BOLLINGER_DEVIATIONS = 2;
+const RSI_PERIOD = 14;
+const RSI_LEVELS = [30, 70];
+const MACD_FAST_PERIOD = 12;
+const MACD_SLOW_PERIOD = 26;
+const MACD_SIGNAL_PERIOD = 9;
+// share of the chart height taken by each pane indicator
+const INDICATOR_PANE_HEIGHT = 0.2;
+
+const DEFAULT_INDICATORS = [];
+const ALL_INDICATORS = [...CHART_OVERLAY_INDICATORS, ...CHART_PANE_INDICATORS];
+const INDICATOR_TITLES = {
+  [CHART_INDICATOR_SMA]: `Simple moving average (${SMA_PERIOD})`,
+  [CHART_INDICATOR_EMA]: `Exponential moving average (${EMA_PERIOD})`,
+  [CHART_INDICATOR_BOLLINGER]: `Bollinger Bands (${BOLLINGER_PERIOD}, ${BOLLINGER_DEVIATIONS})`,
+  [CHART_INDICATOR_VWAP]: "Daily volume weighted average price, equally weighted while volumes are not available",
+  [CHART_INDICATOR_RSI]: `Relative strength index (${RSI_PERIOD})`,
+  [CHART_INDICATOR_MACD]: `MACD (${MACD_FAST_PERIOD}, ${MACD_SLOW_PERIOD}, ${MACD_SIGNAL_PERIOD})`,
+};
+
+const getIndicatorSeriesOptions = (color) => ({
+  color,
+  lineWidth: 1,
+  priceLineVisible: false,
+  lastValueVisible: false,
+  crosshairMarkerVisible: false,
+});
+
+// every indicator is drawn as one or more series, called with no candles to only get the series types
+function getIndicatorSeries(indicator, candles) {
+  if (indicator === CHART_INDICATOR_SMA) {
+    return [{ type: "Line", options: getIndicatorSeriesOptions("#f0b90b"), data: getSma(candles, SMA_PERIOD) }];
+  }
+  if (indicator === CHART_INDICATOR_EMA) {
+    return [{ type: "Line", options: getIndicatorSeriesOptions("#c061f0"), data: getEma(candles, EMA_PERIOD) }];
+  }
+  if (indicator === CHART_INDICATOR_BOLLINGER) {
+    const { upper, middle, lower } = getBollingerBands(candles, BOLLINGER_PERIOD, BOLLINGER_DEVIATIONS);
+    const options = getIndicatorSeriesOptions("#2bc0e4");
+    return [
+      { type: "Line", options, data: upper },
+      { type: "Line", options: { ...options, lineStyle: 2 }, data: middle },
+      { type: "Line", options, data: lower },
+    ];
+  }
+  if (indicator === CHART_INDICATOR_VWAP) {
+    return [{ type: "Line", options: getIndicatorSeriesOptions("#ff8f3f"), data: getVwap(candles) }];
+  }
+  if (indicator === CHART_INDICATOR_RSI) {
+    return [
+      {
+        type: "Line",
+        options: { ...getIndicatorSeriesOptions("#c061f0"), lastValueVisible: true },
+        data: getRsi(candles, RSI_PERIOD),
+      },
+    ];
+  }
+  if (indicator === CHART_INDICATOR_MACD) {
+    const { macd, signal, histogram } = getMacd(candles, MACD_FAST_PERIOD, MACD_SLOW_PERIOD, MACD_SIGNAL_PERIOD);
+    return [
+      {
+        type: "Histogram",
+        options: { priceLineVisible: false, lastValueVisible: false },
+        data: histogram.map((point) => ({
+          ...point,
+          color: point.value >= 0 ? "rgba(14, 204, 131, 0.5)" : "rgba(250, 60, 88, 0.5)",
+        })),
+      },
+      { type: "Line", options: getIndicatorSeriesOptions("#5472cc"), data: macd },
+      { type: "Line", options: getIndicatorSeriesOptions("#ff8f3f"), data: signal },
+    ];
+  }
+  return [];
+}
+
 const getSeriesOptions = () => ({
   // https://github.com/tradingview/lightweight-charts/blob/master/docs/area-series.md
+  color: "#5472cc",
   lineColor: "#5472cc",
   topColor: "rgba(49, 69, 131, 0.4)",
   bottomColor: "rgba(42, 64, 103, 0.0)",
@@ -73,6 +270,43 @@ const getSeriesOptions = () => ({
   borderVisible: false,
 });
 
+function addPriceSeries(chart, chartStyle) {
+  if (chartStyle === CHART_STYLE_LINE) {
+    return chart.addLineSeries(getSeriesOptions());
+  }
+  if (chartStyle === CHART_STYLE_AREA) {
+    return chart.addAreaSeries(getSeriesOptions());
+  }
+  if (chartStyle === CHART_STYLE_BARS) {
+    return chart.addBarSeries(getSeriesOptions());
+  }
+  return chart.addCandlestickSeries(getSeriesOptions());
+}
+
+// the time scale is index based, so missing periods only take space when they are whitespace points in the data
+function addGapWhitespace(data, periodSeconds) {
+  const result = [];
+  for (const item of data) {
+    const prev = result[result.length - 1];
+    for (let time = prev ? prev.time + periodSeconds : item.time; time < item.time; time += periodSeconds) {
+      result.push({ time });
+    }
+    result.push(item);
+  }
+  return result;
+}
+
+function getPriceSeriesData(candles, chartStyle, gapMode, periodSeconds) {
+  let data = candles;
+  if (chartStyle === CHART_STYLE_HEIKIN_ASHI) {
+    data = getHeikinAshiCandles(candles);
+  }
+  if (chartStyle === CHART_STYLE_LINE || chartStyle === CHART_STYLE_AREA) {
+    data = candles.map(({ time, close }) => ({ time, value: close }));
+  }
+  return gapMode === CHART_GAP_SKIP ? addGapWhitespace(data, periodSeconds) : data;
+}
+
 const getChartOptions = (width, height) => ({
   width,
   height,
@@ -132,16 +366,61 @@ export default function ExchangeTVChart(props) {
     positions,
     savedShouldShowPositionLines,
     orders,
+    priceAlerts,
+    addPriceAlert,
+    library,
+    pendingTxns,
+    setPendingTxns,
+    positionsMap,
+    onPlaceLimitOrder,
+    onPlacePositionOrder,
+    account,
+    nativeTokenAddress,
+    savedShouldShowTradeMarkers,
+    vaultPriceTick,
+    savedChartDataUrl,
   } = props;
   const [currentChart, setCurrentChart] = useState();
-  const [currentSeries, setCurrentSeries] = useState();
+  const [isPriceAlertBoxVisible, setIsPriceAlertBoxVisible] = useState(false);
+  const [priceSeries, setPriceSeries] = useState();
+  const currentSeries = priceSeries && priceSeries.series;
 
   let [period, setPeriod] = useLocalStorageSerializeKey([chainId, "Chart-period"], DEFAULT_PERIOD);
   if (!(period in CHART_PERIODS)) {
     period = DEFAULT_PERIOD;
   }
 
-  const [hoveredCandlestick, setHoveredCandlestick] = useState();
+  const [savedIndicators, setSavedIndicators] = useLocalStorageSerializeKey(
+    [chainId, CHART_INDICATORS_KEY],
+    DEFAULT_INDICATORS
+  );
+  const indicators = ALL_INDICATORS.filter(
+    (indicator) => Array.isArray(savedIndicators) && savedIndicators.includes(indicator)
+  );
+  const indicatorsKey = indicators.join(",");
+
+  let [gapMode, setGapMode] = useLocalStorageSerializeKey([chainId, CHART_GAP_MODE_KEY], CHART_GAP_FLAT);
+  if (!CHART_GAP_MODES.includes(gapMode)) {
+    gapMode = CHART_GAP_FLAT;
+  }
+  const [indicatorSeries, setIndicatorSeries] = useState();
+
+  let [chartStyle, setChartStyle] = useLocalStorageSerializeKey([chainId, CHART_STYLE_KEY], CHART_STYLE_CANDLES);
+  if (!CHART_STYLES.includes(chartStyle)) {
+    chartStyle = CHART_STYLE_CANDLES;
+  }
+
+  const toggleIndicator = (indicator) => {
+    setSavedIndicators(
+      indicators.includes(indicator) ? indicators.filter((item) => item !== indicator) : [...indicators, indicator]
+    );
+  };
+
+  const [hoveredTime, setHoveredTime] = useState();
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [chartMenu, setChartMenu] = useState(null);
+  const orderLinesRef = useRef([]);
+  const draggingOrderRef = useRef(null);
 
   const fromToken = getTokenInfo(infoTokens, fromTokenAddress);
   const toToken = getTokenInfo(infoTokens, toTokenAddress);
@@ -151,6 +430,16 @@ export default function ExchangeTVChart(props) {
   const marketName = chartToken ? symbol + "_USD" : undefined;
   const previousMarketName = usePrevious(marketName);
 
+  const [savedCompareTokenAddress, setSavedCompareTokenAddress] = useLocalStorageSerializeKey(
+    [chainId, CHART_COMPARE_TOKEN_KEY],
+    null
+  );
+  const compareTokens = getTokens(chainId).filter(
+    (token) => !token.isStable && !token.isWrapped && !token.isUsdg && token.symbol !== symbol
+  );
+  const compareToken = compareTokens.find((token) => token.address === savedCompareTokenAddress);
+  const compareSymbol = compareToken && compareToken.symbol;
+
   const currentOrders = useMemo(() => {
     if (swapOption === SWAP || !chartToken) {
       return [];
@@ -168,18 +457,83 @@ export default function ExchangeTVChart(props) {
     });
   }, [orders, chartToken, swapOption, chainId]);
 
+  const { trades } = useTrades(chainId, account);
+  const chartTokenAddress = chartToken && chartToken.address;
+  const isChartTokenWrapped = chartToken && chartToken.isWrapped;
+  const tradeMarkers = useMemo(() => {
+    const markers = [];
+    const messagesByTime = {};
+    if (!savedShouldShowTradeMarkers || !account || !trades || swapOption === SWAP || !chartTokenAddress) {
+      return { markers, messagesByTime };
+    }
+
+    const periodSeconds = CHART_PERIODS[period];
+    // the feed is sorted from the newest trade while markers have to be in chart order
+    for (const trade of [...trades].reverse()) {
+      const change = getTradePositionChange(trade);
+      if (!change) {
+        continue;
+      }
+      const indexToken = getTokenInfo(infoTokens, change.indexToken, true, nativeTokenAddress);
+      if (!indexToken || (indexToken.address !== chartTokenAddress && !(isChartTokenWrapped && indexToken.isNative))) {
+        continue;
+      }
+      const msg = getTradeMsg(trade, { infoTokens, getTokenInfo, nativeTokenAddress, chainId });
+      if (!msg) {
+        continue;
+      }
+      const time = Math.floor(parseInt(trade.data.timestamp) / periodSeconds) * periodSeconds + timezoneOffset;
+      markers.push(getTradeMarker(change, time));
+      messagesByTime[time] = [...(messagesByTime[time] || []), msg];
+    }
+    return { markers, messagesByTime };
+  }, [
+    savedShouldShowTradeMarkers,
+    account,
+    trades,
+    swapOption,
+    chartTokenAddress,
+    isChartTokenWrapped,
+    period,
+    infoTokens,
+    nativeTokenAddress,
+    chainId,
+  ]);
+
   const ref = useRef(null);
   const chartRef = useRef(null);
 
-  const currentAveragePrice =
-    chartToken.maxPrice && chartToken.minPrice ? chartToken.maxPrice.add(chartToken.minPrice).div(2) : null;
-  const [priceData, updatePriceData] = useChartPrices(
+  const currentAveragePrice = getAveragePrice(chartToken);
+  // prices of trades on the chart market stream in between the token info refreshes
+  const lastTradeToken =
+    vaultPriceTick && getTokenInfo(infoTokens, vaultPriceTick.indexToken, true, nativeTokenAddress);
+  const lastTradePrice =
+    lastTradeToken && lastTradeToken.address === chartToken.address ? vaultPriceTick.price : undefined;
+  const [priceData, , priceDataStatus] = useChartPrices(
     chainId,
     chartToken.symbol,
     chartToken.isStable,
     period,
-    currentAveragePrice
+    currentAveragePrice,
+    { lastTradePrice, chartDataUrl: savedChartDataUrl, gapMode }
+  );
+  const seriesStyle = priceSeries && priceSeries.style;
+  const seriesData = useMemo(
+    () => getPriceSeriesData(priceData, seriesStyle, gapMode, CHART_PERIODS[period]),
+    [priceData, seriesStyle, gapMode, period]
+  );
+  const seriesDataRef = useRef();
+
+  // missing periods of the compared token are not filled, its line joins the known prices
+  const [comparePriceData] = useChartPrices(
+    chainId,
+    compareSymbol,
+    false,
+    period,
+    getAveragePrice(compareToken && getTokenInfo(infoTokens, compareToken.address)),
+    { chartDataUrl: savedChartDataUrl, gapMode: CHART_GAP_SKIP }
   );
+  const [compareSeries, setCompareSeries] = useState();
 
   const [chartInited, setChartInited] = useState(false);
   useEffect(() => {
@@ -194,28 +548,12 @@ export default function ExchangeTVChart(props) {
     currentChart.timeScale().setVisibleRange({ from, to });
   }, [currentChart, period]);
 
+  // the crosshair reports the values of every series, the hovered candle is looked up by its time instead
   const onCrosshairMove = useCallback(
     (evt) => {
-      if (!evt.time) {
-        setHoveredCandlestick(null);
-        return;
-      }
-
-      for (const point of evt.seriesPrices.values()) {
-        setHoveredCandlestick((hoveredCandlestick) => {
-          if (hoveredCandlestick && hoveredCandlestick.time === evt.time) {
-            // rerender optimisations
-            return hoveredCandlestick;
-          }
-          return {
-            time: evt.time,
-            ...point,
-          };
-        });
-        break;
-      }
+      setHoveredTime(evt.time || null);
     },
-    [setHoveredCandlestick]
+    [setHoveredTime]
   );
 
   useEffect(() => {
@@ -230,18 +568,44 @@ export default function ExchangeTVChart(props) {
 
     chart.subscribeCrosshairMove(onCrosshairMove);
 
-    const series = chart.addCandlestickSeries(getSeriesOptions());
-
     setCurrentChart(chart);
-    setCurrentSeries(series);
   }, [ref, priceData, currentChart, onCrosshairMove]);
 
   useEffect(() => {
-    const interval = setInterval(() => {
-      updatePriceData(undefined, true);
-    }, 60 * 1000);
-    return () => clearInterval(interval);
-  }, [updatePriceData]);
+    if (!currentChart) {
+      return;
+    }
+    // the series is recreated when the style changes, its data is converted for the style it was created with
+    const series = addPriceSeries(currentChart, chartStyle);
+    setPriceSeries({ series, style: chartStyle });
+    return () => currentChart.removeSeries(series);
+  }, [currentChart, chartStyle]);
+
+  useEffect(() => {
+    if (!currentChart || !compareSymbol) {
+      return;
+    }
+    // in percentage mode every series on the scale is normalized to its first visible value
+    const priceScale = currentChart.priceScale("right");
+    const series = currentChart.addLineSeries({
+      ...getIndicatorSeriesOptions(COMPARE_LINE_COLOR),
+      lineWidth: 2,
+      lastValueVisible: true,
+      title: compareSymbol,
+    });
+    priceScale.applyOptions({ mode: PriceScaleMode.Percentage });
+    setCompareSeries({ series, symbol: compareSymbol });
+    return () => {
+      currentChart.removeSeries(series);
+      priceScale.applyOptions({ mode: PriceScaleMode.Normal });
+    };
+  }, [currentChart, compareSymbol]);
+
+  useEffect(() => {
+    if (compareSeries && compareSeries.symbol === compareSymbol) {
+      compareSeries.series.setData(comparePriceData.map(({ time, close }) => ({ time, value: close })));
+    }
+  }, [compareSeries, compareSymbol, comparePriceData]);
 
   useEffect(() => {
     if (!currentChart) {
@@ -255,18 +619,125 @@ export default function ExchangeTVChart(props) {
   }, [currentChart]);
 
   useEffect(() => {
-    if (currentSeries && priceData && priceData.length) {
-      currentSeries.setData(priceData);
+    if (currentSeries && seriesData && seriesData.length) {
+      const prev = seriesDataRef.current;
+      // a price tick only changes the last candle or opens the next one, anything else is a new history
+      const isTick =
+        chartInited &&
+        prev &&
+        prev.series === currentSeries &&
+        prev.data[0].time === seriesData[0].time &&
+        (seriesData.length === prev.data.length || seriesData.length === prev.data.length + 1);
+      if (isTick) {
+        if (seriesData.length > prev.data.length) {
+          currentSeries.update(seriesData[seriesData.length - 2]);
+        }
+        currentSeries.update(seriesData[seriesData.length - 1]);
+      } else {
+        currentSeries.setData(seriesData);
+      }
+      seriesDataRef.current = { series: currentSeries, data: seriesData };
 
       if (!chartInited) {
         scaleChart();
         setChartInited(true);
       }
     }
-  }, [priceData, currentSeries, chartInited, scaleChart]);
+  }, [seriesData, currentSeries, chartInited, scaleChart]);
+
+  useEffect(() => {
+    if (!currentChart || !currentSeries) {
+      return;
+    }
+    const enabledIndicators = indicatorsKey ? indicatorsKey.split(",") : [];
+    const panes = enabledIndicators.filter((indicator) => CHART_PANE_INDICATORS.includes(indicator));
+    currentSeries.priceScale().applyOptions({
+      scaleMargins: { top: 0.2, bottom: 0.1 + panes.length * INDICATOR_PANE_HEIGHT },
+    });
+
+    const nextIndicatorSeries = {};
+    for (const indicator of enabledIndicators) {
+      const paneIndex = panes.indexOf(indicator);
+      // pane indicators get their own overlay scale stacked below the candles
+      const priceScaleId = paneIndex === -1 ? "right" : indicator;
+      nextIndicatorSeries[indicator] = getIndicatorSeries(indicator, []).map(({ type, options }) =>
+        currentChart[`add${type}Series`]({ ...options, priceScaleId })
+      );
+      if (paneIndex !== -1) {
+        const panesBelow = panes.length - paneIndex - 1;
+        nextIndicatorSeries[indicator][0].priceScale().applyOptions({
+          scaleMargins: {
+            top: 1 - (panesBelow + 1) * INDICATOR_PANE_HEIGHT + 0.02,
+            bottom: panesBelow * INDICATOR_PANE_HEIGHT,
+          },
+        });
+      }
+      if (indicator === CHART_INDICATOR_RSI) {
+        for (const level of RSI_LEVELS) {
+          nextIndicatorSeries[indicator][0].createPriceLine({
+            price: level,
+            color: "#3a3e5e",
+            lineWidth: 1,
+            lineStyle: 2,
+            axisLabelVisible: false,
+          });
+        }
+      }
+    }
+    setIndicatorSeries(nextIndicatorSeries);
+
+    return () => {
+      for (const seriesList of Object.values(nextIndicatorSeries)) {
+        seriesList.forEach((series) => currentChart.removeSeries(series));
+      }
+    };
+  }, [currentChart, currentSeries, indicatorsKey]);
+
+  useEffect(() => {
+    if (!indicatorSeries || !priceData || !priceData.length) {
+      return;
+    }
+    for (const [indicator, seriesList] of Object.entries(indicatorSeries)) {
+      getIndicatorSeries(indicator, priceData).forEach(({ data }, i) => seriesList[i].setData(data));
+    }
+  }, [indicatorSeries, priceData]);
+
+  useEffect(() => {
+    if (currentSeries) {
+      currentSeries.setMarkers(tradeMarkers.markers);
+    }
+  }, [currentSeries, tradeMarkers]);
+
+  const panesCount = indicators.filter((indicator) => CHART_PANE_INDICATORS.includes(indicator)).length;
+  const [gapMarkSeries, setGapMarkSeries] = useState();
+  useEffect(() => {
+    if (!currentChart || gapMode !== CHART_GAP_MARK) {
+      return;
+    }
+    // candle series ignore per candle colors, filled periods are marked by a band just below the price series
+    const series = currentChart.addHistogramSeries({
+      color: GAP_MARK_COLOR,
+      priceScaleId: CHART_GAP_MARK,
+      priceLineVisible: false,
+      lastValueVisible: false,
+      autoscaleInfoProvider: () => ({ priceRange: { minValue: 0, maxValue: 1 } }),
+    });
+    const bottom = 0.1 + panesCount * INDICATOR_PANE_HEIGHT - GAP_MARK_HEIGHT;
+    series.priceScale().applyOptions({ scaleMargins: { top: 1 - bottom - GAP_MARK_HEIGHT, bottom } });
+    setGapMarkSeries(series);
+    return () => currentChart.removeSeries(series);
+  }, [currentChart, gapMode, panesCount]);
+
+  useEffect(() => {
+    // the series of the previous mode is already removed from the chart
+    if (gapMarkSeries && gapMode === CHART_GAP_MARK) {
+      gapMarkSeries.setData(priceData.map(({ time, isSynthetic }) => (isSynthetic ? { time, value: 1 } : { time })));
+    }
+  }, [gapMarkSeries, gapMode, priceData]);
 
   useEffect(() => {
     const lines = [];
+    const orderLines = [];
     if (currentSeries && savedShouldShowPositionLines) {
       if (currentOrders && currentOrders.length > 0) {
         currentOrders.forEach((order) => {
@@ -275,27 +746,46 @@ export default function ExchangeTVChart(props) {
           if (indexToken && indexToken.symbol) {
             tokenSymbol = indexToken.isWrapped ? indexToken.baseSymbol : indexToken.symbol;
           }
-          const title = `${order.type === INCREASE ? "Inc." : "Dec."} ${tokenSymbol} ${
-            order.isLong ? "Long" : "Short"
-          }`;
-          const color = "#3a3e5e";
-          lines.push(
-            currentSeries.createPriceLine({
-              price: parseFloat(formatAmount(order.triggerPrice, USD_DECIMALS, 2)),
-              color,
-              title: title.padEnd(PRICE_LINE_TEXT_WIDTH, " "),
-            })
-          );
+          const orderKey = getOrderKey(order);
+          // lines are recreated on every price update, a dragged or edited line keeps its new price
+          const dragging = draggingOrderRef.current;
+          const isEditing = editingOrder && getOrderKey(editingOrder.order) === orderKey;
+          const triggerPrice = isEditing ? editingOrder.triggerPrice : order.triggerPrice;
+          let price = parseFloat(formatAmount(triggerPrice, USD_DECIMALS, 2));
+          if (dragging && dragging.orderKey === orderKey) {
+            price = dragging.price;
+          }
+
+          let title = `${order.type === INCREASE ? "Inc." : "Dec."} ${tokenSymbol} ${order.isLong ? "Long" : "Short"}`;
+          let color = PRICE_LINE_COLOR;
+          const position = order.type !== INCREASE && positionsMap && getPositionForOrder(order, positionsMap);
+          if (position) {
+            // decrease orders of an open position are its take profit and stop loss levels
+            const { delta, hasProfit } = getDecreaseOrderPnl({ ...order, triggerPrice }, position);
+            const pnlStr = `${hasProfit ? "+" : "-"}$${formatAmount(delta, USD_DECIMALS, 2, true)}`;
+            title = `${hasProfit ? "TP" : "SL"} ${tokenSymbol} ${order.isLong ? "Long" : "Short"} ${pnlStr}`;
+            color = hasProfit ? TAKE_PROFIT_LINE_COLOR : STOP_LOSS_LINE_COLOR;
+          }
+          const line = currentSeries.createPriceLine({
+            price,
+            color,
+            title: title.padEnd(PRICE_LINE_TEXT_WIDTH, " "),
+          });
+          lines.push(line);
+          orderLines.push({ order, orderKey, line });
         });
       }
       if (positions && positions.length > 0) {
-        const color = "#3a3e5e";
+        const currentPositions = positions.filter(
+          (position) =>
+            position.indexToken.address === chartTokenAddress || (isChartTokenWrapped && position.indexToken.isNative)
+        );
 
-        positions.forEach((position) => {
+        currentPositions.forEach((position) => {
           lines.push(
             currentSeries.createPriceLine({
               price: parseFloat(formatAmount(position.averagePrice, USD_DECIMALS, 2)),
-              color,
+              color: PRICE_LINE_COLOR,
               title: `Open ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"}`.padEnd(
                 PRICE_LINE_TEXT_WIDTH,
                 " "
@@ -303,11 +793,15 @@ export default function ExchangeTVChart(props) {
             })
           );
 
+          // the liquidation price moves with the collateral and the accrued borrow fee
           const liquidationPrice = getLiquidationPrice(position);
+          if (!liquidationPrice) {
+            return;
+          }
           lines.push(
             currentSeries.createPriceLine({
               price: parseFloat(formatAmount(liquidationPrice, USD_DECIMALS, 2)),
-              color,
+              color: LIQUIDATION_LINE_COLOR,
               title: `Liq. ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"}`.padEnd(
                 PRICE_LINE_TEXT_WIDTH,
                 " "
@@ -317,16 +811,234 @@ export default function ExchangeTVChart(props) {
         });
       }
     }
+    orderLinesRef.current = orderLines;
     return () => {
       lines.forEach((line) => currentSeries.removePriceLine(line));
     };
-  }, [currentOrders, positions, currentSeries, chainId, savedShouldShowPositionLines]);
+  }, [
+    currentOrders,
+    positions,
+    positionsMap,
+    chartTokenAddress,
+    isChartTokenWrapped,
+    currentSeries,
+    chainId,
+    savedShouldShowPositionLines,
+    editingOrder,
+  ]);
+
+  useEffect(() => {
+    const container = chartRef.current;
+    if (!currentChart || !currentSeries || !container) {
+      return;
+    }
+
+    const getY = (evt) => evt.clientY - container.getBoundingClientRect().top;
+    const getOrderLineAt = (y) =>
+      orderLinesRef.current.find(({ line }) => {
+        const coordinate = currentSeries.priceToCoordinate(line.options().price);
+        return coordinate !== null && Math.abs(coordinate - y) <= ORDER_LINE_HIT_DISTANCE;
+      });
+
+    const onMouseDown = (evt) => {
+      const orderLine = evt.button === 0 && getOrderLineAt(getY(evt));
+      if (!orderLine) {
+        return;
+      }
+      // the chart would otherwise pan while the line is dragged
+      evt.stopPropagation();
+      currentChart.applyOptions({ handleScroll: false, handleScale: false });
+      draggingOrderRef.current = { orderKey: orderLine.orderKey, price: orderLine.line.options().price };
+      setChartMenu(null);
+    };
+
+    let clickStart;
+    const onClickStart = (evt) => {
+      clickStart = { x: evt.clientX, y: evt.clientY };
+    };
+
+    const onMouseMove = (evt) => {
+      const dragging = draggingOrderRef.current;
+      if (!dragging) {
+        container.style.cursor = getOrderLineAt(getY(evt)) ? "ns-resize" : "";
+        return;
+      }
+      const price = currentSeries.coordinateToPrice(getY(evt));
+      const orderLine = orderLinesRef.current.find(({ orderKey }) => orderKey === dragging.orderKey);
+      if (price === null || price <= 0 || !orderLine) {
+        return;
+      }
+      dragging.price = price;
+      orderLine.line.applyOptions({ price });
+    };
+
+    const onMouseUp = () => {
+      const dragging = draggingOrderRef.current;
+      if (!dragging) {
+        return;
+      }
+      draggingOrderRef.current = null;
+      currentChart.applyOptions({ handleScroll: true, handleScale: true });
+      const orderLine = orderLinesRef.current.find(({ orderKey }) => orderKey === dragging.orderKey);
+      if (!orderLine) {
+        return;
+      }
+      const triggerPrice = parseValue(dragging.price.toFixed(2), USD_DECIMALS);
+      if (triggerPrice.eq(parseValue(formatAmount(orderLine.order.triggerPrice, USD_DECIMALS, 2), USD_DECIMALS))) {
+        orderLine.line.applyOptions({ price: dragging.price });
+        return;
+      }
+      // the editor validates the new price and sends the update, closing it puts the line back
+      setEditingOrder({ order: orderLine.order, triggerPrice });
+    };
+
+    const getMenuPosition = (evt) => {
+      const rect = container.parentElement.getBoundingClientRect();
+      return { x: evt.clientX - rect.left, y: evt.clientY - rect.top };
+    };
+
+    const onContextMenu = (evt) => {
+      const orderLine = getOrderLineAt(getY(evt));
+      if (!orderLine) {
+        return;
+      }
+      evt.preventDefault();
+      setChartMenu({ ...getMenuPosition(evt), order: orderLine.order });
+    };
+
+    const onClick = (evt) => {
+      const isPan =
+        !clickStart ||
+        Math.abs(evt.clientX - clickStart.x) > CLICK_MOVE_TOLERANCE ||
+        Math.abs(evt.clientY - clickStart.y) > CLICK_MOVE_TOLERANCE;
+      if (isPan || getOrderLineAt(getY(evt))) {
+        return;
+      }
+      const price = currentSeries.coordinateToPrice(getY(evt));
+      if (price === null || price <= 0) {
+        return;
+      }
+      // keeps the window listener from closing the menu that is opened here
+      evt.stopPropagation();
+      setChartMenu({ ...getMenuPosition(evt), triggerPrice: parseValue(price.toFixed(2), USD_DECIMALS) });
+    };
+
+    container.addEventListener("mousedown", onMouseDown, true);
+    container.addEventListener("mousedown", onClickStart);
+    container.addEventListener("contextmenu", onContextMenu);
+    container.addEventListener("click", onClick);
+    window.addEventListener("mousemove", onMouseMove);
+    window.addEventListener("mouseup", onMouseUp);
+    return () => {
+      container.removeEventListener("mousedown", onMouseDown, true);
+      container.removeEventListener("mousedown", onClickStart);
+      container.removeEventListener("contextmenu", onContextMenu);
+      container.removeEventListener("click", onClick);
+      window.removeEventListener("mousemove", onMouseMove);
+      window.removeEventListener("mouseup", onMouseUp);
+    };
+  }, [currentChart, currentSeries]);
+
+  useEffect(() => {
+    if (!chartMenu) {
+      return;
+    }
+    const closeChartMenu = () => setChartMenu(null);
+    window.addEventListener("click", closeChartMenu);
+    return () => window.removeEventListener("click", closeChartMenu);
+  }, [chartMenu]);
+
+  const cancelOrder = (order) => {
+    const cancel = order.type === INCREASE ? cancelIncreaseOrder : cancelDecreaseOrder;
+    cancel(chainId, library, order.index, {
+      successMsg: "Order cancelled",
+      failMsg: "Cancel failed",
+      sentMsg: "Cancel submitted",
+      pendingTxns,
+      setPendingTxns,
+    });
+  };
+
+  const getChartMenuItems = () => {
+    const { order, triggerPrice } = chartMenu;
+    if (order) {
+      return [
+        {
+          label: "Edit Order",
+          onClick: () => setEditingOrder({ order, triggerPrice: order.triggerPrice }),
+        },
+        { label: "Cancel Order", onClick: () => cancelOrder(order) },
+      ];
+    }
+
+    const items = [];
+    const priceStr = `$${formatAmount(triggerPrice, USD_DECIMALS, 2, true)}`;
+    // limit orders buy below and sell above the mark price, anything else would execute immediately
+    const isLong = currentAveragePrice && triggerPrice.lt(currentAveragePrice);
+    if (currentAveragePrice && !chartToken.isStable && (isLong || chartToken.isShortable)) {
+      items.push({
+        label: `Limit ${isLong ? "Long" : "Short"} ${symbol} @ ${priceStr}`,
+        onClick: () => onPlaceLimitOrder(isLong, chartToken.address, triggerPrice),
+      });
+    }
+    (positions || [])
+      .filter(
+        (position) =>
+          position.indexToken.address === chartToken.address || (chartToken.isWrapped && position.indexToken.isNative)
+      )
+      .forEach((position) => {
+        const isTakeProfit = position.isLong
+          ? triggerPrice.gt(position.markPrice)
+          : triggerPrice.lt(position.markPrice);
+        items.push({
+          label: `${isTakeProfit ? "Take Profit" : "Stop Loss"} ${symbol} ${
+            position.isLong ? "Long" : "Short"
+          } @ ${priceStr}`,
+          onClick: () => onPlacePositionOrder(position, triggerPrice),
+        });
+      });
+    return items;
+  };
+
+  const renderChartMenu = () => {
+    if (!chartMenu) {
+      return null;
+    }
+    const items = getChartMenuItems();
+    if (items.length === 0) {
+      return null;
+    }
+    return (
+      <div className="ExchangeChart-order-menu" style={{ left: chartMenu.x, top: chartMenu.y }}>
+        {items.map(({ label, onClick }) => (
+          <div key={label} className="ExchangeChart-order-menu-item" onClick={onClick}>
+            {label}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderTradesTooltip = () => {
+    const messages = hoveredTime && tradeMarkers.messagesByTime[hoveredTime];
+    if (!messages) {
+      return null;
+    }
+    return (
+      <div className="ExchangeChart-trades-tooltip">
+        {messages.map((msg, index) => (
+          <div key={index}>{msg}</div>
+        ))}
+      </div>
+    );
+  };
 
   const candleStatsHtml = useMemo(() => {
     if (!priceData) {
       return null;
     }
-    const candlestick = hoveredCandlestick || priceData[priceData.length - 1];
+    const candlestick =
+      (hoveredTime && priceData.find((candle) => candle.time === hoveredTime)) || priceData[priceData.length - 1];
     if (!candlestick) {
       return null;
     }
@@ -352,7 +1064,7 @@ export default function ExchangeTVChart(props) {
         <span className="ExchangeChart-bottom-stats-value">{candlestick.close.toFixed(toFixedNumbers)}</span>
       </div>
     );
-  }, [hoveredCandlestick, priceData]);
+  }, [hoveredTime, priceData]);
 
   let high;
   let low;
@@ -406,6 +1118,10 @@ export default function ExchangeTVChart(props) {
     return null;
   }
 
+  const chartTokenAlertsCount = (priceAlerts || []).filter(
+    (alert) => alert.tokenAddress === chartToken.address && !(alert.triggeredAt && !alert.isRepeating)
+  ).length;
+
   return (
     <div className="ExchangeChart tv" ref={ref}>
       <div className="ExchangeChart-top App-box App-box-border">
@@ -438,17 +1154,107 @@ export default function ExchangeTVChart(props) {
               {low && low.toFixed(2)}
             </div>
           </div>
+          {addPriceAlert && (
+            <div
+              className="ExchangeChart-price-alert clickable"
+              title="Create a price alert"
+              onClick={() => setIsPriceAlertBoxVisible(true)}
+            >
+              <BsBell />
+              {chartTokenAlertsCount > 0 && <span className="muted"> {chartTokenAlertsCount}</span>}
+            </div>
+          )}
         </div>
       </div>
+      {isPriceAlertBoxVisible && (
+        <PriceAlertBox
+          isVisible={isPriceAlertBoxVisible}
+          setIsVisible={setIsPriceAlertBoxVisible}
+          token={chartToken}
+          addPriceAlert={addPriceAlert}
+        />
+      )}
       <div className="ExchangeChart-bottom App-box App-box-border">
         <div className="ExchangeChart-bottom-header">
           <div className="ExchangeChart-bottom-controls">
             <Tab options={Object.keys(CHART_PERIODS)} option={period} setOption={setPeriod} />
           </div>
+          <div className="ExchangeChart-indicators">
+            {ALL_INDICATORS.map((indicator) => (
+              <div
+                key={indicator}
+                className={cx("ExchangeChart-indicator", { active: indicators.includes(indicator) })}
+                title={INDICATOR_TITLES[indicator]}
+                onClick={() => toggleIndicator(indicator)}
+              >
+                {indicator}
+              </div>
+            ))}
+          </div>
+          <div className="ExchangeChart-indicators">
+            {CHART_STYLES.map((style) => (
+              <div
+                key={style}
+                className={cx("ExchangeChart-indicator", { active: chartStyle === style })}
+                title={STYLE_TITLES[style]}
+                onClick={() => setChartStyle(style)}
+              >
+                {style}
+              </div>
+            ))}
+          </div>
+          <div className="ExchangeChart-indicators" title="Overlay the price change of another token">
+            <div className="ExchangeChart-indicators-label muted">Compare</div>
+            {compareTokens.map((token) => (
+              <div
+                key={token.address}
+                className={cx("ExchangeChart-indicator", { active: token === compareToken })}
+                onClick={() => setSavedCompareTokenAddress(token === compareToken ? null : token.address)}
+              >
+                {token.symbol}
+              </div>
+            ))}
+          </div>
+          <div className="ExchangeChart-indicators" title="How periods without price data are drawn">
+            <div className="ExchangeChart-indicators-label muted">Gaps</div>
+            {CHART_GAP_MODES.map((mode) => (
+              <div
+                key={mode}
+                className={cx("ExchangeChart-indicator", { active: gapMode === mode })}
+                onClick={() => setGapMode(mode)}
+              >
+                {mode}
+              </div>
+            ))}
+          </div>
+          {priceDataStatus.isStale && (
+            <div
+              className="ExchangeChart-stale"
+              title="No fresh prices are available from the chart data sources, the latest candles may be missing"
+            >
+              Data stale
+              {priceDataStatus.updatedAt ? ` since ${formatDateTime(priceDataStatus.updatedAt)}` : ""}
+            </div>
+          )}
           {candleStatsHtml}
         </div>
         <div className="ExchangeChart-bottom-content" ref={chartRef}></div>
+        {renderTradesTooltip()}
+        {renderChartMenu()}
       </div>
+      {editingOrder && (
+        <OrderEditor
+          order={editingOrder.order}
+          initialTriggerPrice={editingOrder.triggerPrice}
+          setEditingOrder={setEditingOrder}
+          infoTokens={infoTokens}
+          pendingTxns={pendingTxns}
+          setPendingTxns={setPendingTxns}
+          getPositionForOrder={getPositionForOrder}
+          positionsMap={positionsMap}
+          library={library}
+        />
+      )}
     </div>
   );
 }
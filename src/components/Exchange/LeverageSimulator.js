@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from "react";
+import cx from "classnames";
+import Slider from "rc-slider";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceLine, ResponsiveContainer } from "recharts";
+
+import { USD_DECIMALS, formatAmount, formatAmountFree, parseValue, getLeverageSimulation } from "../../Helpers";
+import ExchangeInfoRow from "./ExchangeInfoRow";
+
+const SIMULATION_STEPS = 20;
+const MAX_PRICE_SHOCK_PERCENT = 50;
+const MIN_LEFTOVER_COLLATERAL = 10;
+
+const priceShockMarks = {
+  [-MAX_PRICE_SHOCK_PERCENT]: `-${MAX_PRICE_SHOCK_PERCENT}%`,
+  0: "0%",
+  [MAX_PRICE_SHOCK_PERCENT]: `+${MAX_PRICE_SHOCK_PERCENT}%`,
+};
+
+function toNumber(amount, decimals) {
+  return amount ? parseFloat(formatAmountFree(amount, decimals, 4)) : null;
+}
+
+function getChartPoint(position, collateralDeltaValue, priceShockBps) {
+  const simulation = getLeverageSimulation({
+    position,
+    collateralDelta: parseValue(collateralDeltaValue.toFixed(2), USD_DECIMALS),
+    priceShockBps,
+  });
+  return {
+    collateralDelta: collateralDeltaValue,
+    liquidationPrice: simulation ? toNumber(simulation.liquidationPrice, USD_DECIMALS) : null,
+    leverage: simulation ? toNumber(simulation.leverage, 4) : null,
+    marginBuffer: simulation ? toNumber(simulation.marginBuffer, 2) : null,
+  };
+}
+
+export default function LeverageSimulator(props) {
+  const { position, onApply } = props;
+  const [collateralDeltaValue, setCollateralDeltaValue] = useState(0);
+  const [priceShockPercent, setPriceShockPercent] = useState(0);
+  const priceShockBps = priceShockPercent * 100;
+
+  // withdrawals are bounded like the position editor, deposits up to the position size which is about 1x leverage
+  const minCollateralDelta = -Math.max(toNumber(position.collateral, USD_DECIMALS) - MIN_LEFTOVER_COLLATERAL, 0);
+  const maxCollateralDelta = toNumber(position.size, USD_DECIMALS);
+
+  const chartData = useMemo(() => {
+    const step = (maxCollateralDelta - minCollateralDelta) / SIMULATION_STEPS;
+    const points = [];
+    for (let i = 0; i <= SIMULATION_STEPS; i++) {
+      points.push(getChartPoint(position, minCollateralDelta + step * i, priceShockBps));
+    }
+    return points;
+  }, [position, minCollateralDelta, maxCollateralDelta, priceShockBps]);
+
+  const collateralDelta = parseValue(collateralDeltaValue.toFixed(2), USD_DECIMALS);
+  const simulation = getLeverageSimulation({ position, collateralDelta, priceShockBps });
+  const isLiquidated = !simulation || !simulation.marginBuffer || simulation.marginBuffer.lte(0);
+
+  const formatTooltipValue = (value, name) => {
+    if (value === null) {
+      return "-";
+    }
+    if (name === "Leverage") {
+      return `${value.toFixed(2)}x`;
+    }
+    if (name === "Margin Buffer") {
+      return `${value.toFixed(2)}%`;
+    }
+    return `$${value.toFixed(2)}`;
+  };
+
+  return (
+    <div className="LeverageSimulator">
+      <div className="LeverageSimulator-label muted">
+        Collateral {collateralDeltaValue >= 0 ? "+" : "-"}${formatAmount(collateralDelta.abs(), USD_DECIMALS, 2, true)}
+      </div>
+      <div className="LeverageSimulator-slider App-slider">
+        <Slider
+          min={minCollateralDelta}
+          max={maxCollateralDelta}
+          step={(maxCollateralDelta - minCollateralDelta) / 1000}
+          startPoint={0}
+          value={collateralDeltaValue}
+          onChange={setCollateralDeltaValue}
+        />
+      </div>
+      <div className="LeverageSimulator-label muted">
+        Price Shock {priceShockPercent > 0 ? "+" : ""}
+        {priceShockPercent}%
+      </div>
+      <div className="LeverageSimulator-slider App-slider">
+        <Slider
+          min={-MAX_PRICE_SHOCK_PERCENT}
+          max={MAX_PRICE_SHOCK_PERCENT}
+          step={1}
+          marks={priceShockMarks}
+          startPoint={0}
+          value={priceShockPercent}
+          onChange={setPriceShockPercent}
+        />
+      </div>
+      <div className="LeverageSimulator-chart">
+        <ResponsiveContainer width="100%" height={160}>
+          <LineChart data={chartData} margin={{ top: 5, right: 0, left: 0, bottom: 5 }}>
+            <XAxis
+              dataKey="collateralDelta"
+              type="number"
+              domain={[minCollateralDelta, maxCollateralDelta]}
+              tickFormatter={(value) => `$${value.toFixed(0)}`}
+              fontSize={12}
+            />
+            <YAxis yAxisId="price" domain={["auto", "auto"]} fontSize={12} width={60} />
+            <YAxis yAxisId="leverage" orientation="right" fontSize={12} width={35} />
+            <YAxis yAxisId="buffer" hide />
+            <Tooltip
+              formatter={formatTooltipValue}
+              labelFormatter={(value) => `Collateral ${value >= 0 ? "+" : "-"}$${Math.abs(value).toFixed(2)}`}
+              contentStyle={{ backgroundColor: "#16182e", border: "1px solid #3a3e5e" }}
+            />
+            <ReferenceLine yAxisId="price" x={collateralDeltaValue} stroke="#3a3e5e" />
+            <Line
+              yAxisId="price"
+              dataKey="liquidationPrice"
+              name="Liq. Price"
+              stroke="#fa3c58"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              yAxisId="leverage"
+              dataKey="leverage"
+              name="Leverage"
+              stroke="#5472cc"
+              dot={false}
+              isAnimationActive={false}
+            />
+            <Line
+              yAxisId="buffer"
+              dataKey="marginBuffer"
+              name="Margin Buffer"
+              stroke="#0ecc83"
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <ExchangeInfoRow label="Collateral">
+        {simulation ? `$${formatAmount(simulation.nextCollateral, USD_DECIMALS, 2, true)}` : "-"}
+      </ExchangeInfoRow>
+      <ExchangeInfoRow label="Leverage">
+        {simulation && simulation.leverage ? `${formatAmount(simulation.leverage, 4, 2, true)}x` : "-"}
+      </ExchangeInfoRow>
+      <ExchangeInfoRow label="Liq. Price">
+        {simulation && simulation.liquidationPrice
+          ? `$${formatAmount(simulation.liquidationPrice, USD_DECIMALS, 2, true)}`
+          : "-"}
+      </ExchangeInfoRow>
+      <ExchangeInfoRow label={priceShockPercent === 0 ? "Mark Price" : "Shocked Price"}>
+        {simulation ? `$${formatAmount(simulation.shockedPrice, USD_DECIMALS, 2, true)}` : "-"}
+      </ExchangeInfoRow>
+      <ExchangeInfoRow label="Margin Buffer">
+        <span className={cx({ negative: isLiquidated })}>
+          {isLiquidated ? "Liquidated" : `${formatAmount(simulation.marginBuffer, 2, 2, true)}%`}
+        </span>
+      </ExchangeInfoRow>
+      <div className="LeverageSimulator-apply">
+        <button
+          className="App-button-option App-card-option"
+          disabled={collateralDelta.eq(0)}
+          onClick={() => onApply(collateralDelta)}
+        >
+          {collateralDelta.gte(0) ? "Use as Deposit" : "Use as Withdrawal"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+
+import { USD_DECIMALS, formatAmount, getLiquidationWarningText } from "../../Helpers";
+
+import "./LiquidationWarningBanner.css";
+
+export default function LiquidationWarningBanner(props) {
+  const { positions, liquidationWarnings, onAddCollateral } = props;
+  const warnedPositions = positions.filter((position) => liquidationWarnings[position.key]);
+
+  if (warnedPositions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="LiquidationWarningBanner">
+      {warnedPositions.map((position) => {
+        const warning = liquidationWarnings[position.key];
+        return (
+          <div className="LiquidationWarningBanner-row" key={position.key}>
+            <div className="LiquidationWarningBanner-text">{getLiquidationWarningText(position, warning)}</div>
+            {warning.depositUsd && (
+              <button
+                className="LiquidationWarningBanner-action"
+                onClick={() => onAddCollateral(position, warning.depositUsd)}
+              >
+                Add ${formatAmount(warning.depositUsd, USD_DECIMALS, 2, true)} Collateral
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
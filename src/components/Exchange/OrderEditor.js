@@ -26,6 +26,7 @@ import {
   getDeltaStr,
   getProfitPrice,
   getTimeRemaining,
+  getIncreaseOrderType,
 } from "../../Helpers";
 import { updateSwapOrder, updateIncreaseOrder, updateDecreaseOrder } from "../../Api";
 import Modal from "../Modal/Modal";
@@ -44,6 +45,7 @@ export default function OrderEditor(props) {
     usdgSupply,
     getPositionForOrder,
     positionsMap,
+    initialTriggerPrice,
   } = props;
 
   const { chainId } = useChainId();
@@ -74,7 +76,9 @@ export default function OrderEditor(props) {
   }
   const [triggerRatioValue, setTriggerRatioValue] = useState(formatAmountFree(initialRatio, USD_DECIMALS, 6));
 
-  const [triggerPriceValue, setTriggerPriceValue] = useState(formatAmountFree(order.triggerPrice, USD_DECIMALS, 4));
+  const [triggerPriceValue, setTriggerPriceValue] = useState(
+    formatAmountFree(initialTriggerPrice || order.triggerPrice, USD_DECIMALS, 4)
+  );
   const triggerPrice = useMemo(() => {
     return triggerPriceValue ? parseValue(triggerPriceValue, USD_DECIMALS) : 0;
   }, [triggerPriceValue]);
@@ -267,7 +271,7 @@ export default function OrderEditor(props) {
         isVisible={true}
         className="Exchange-list-modal"
         setIsVisible={() => setEditingOrder(null)}
-        label="Edit order"
+        label={order.type === INCREASE ? `Edit ${getIncreaseOrderType(order)} order` : "Edit order"}
       >
         {renderMinProfitWarning()}
         <div className="Exchange-swap-section">
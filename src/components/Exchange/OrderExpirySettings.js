@@ -0,0 +1,21 @@
+import React from "react";
+
+import { ORDER_EXPIRY_OPTIONS } from "../../Helpers";
+import Tab from "../Tab/Tab";
+
+export default function OrderExpirySettings(props) {
+  const { expiry, setExpiry } = props;
+
+  return (
+    <div className="Exchange-order-expiry">
+      <div className="muted">Expiry</div>
+      <Tab
+        options={ORDER_EXPIRY_OPTIONS}
+        option={expiry}
+        onChange={setExpiry}
+        type="inline"
+        className="align-right Exchange-order-expiry-tabs"
+      />
+    </div>
+  );
+}
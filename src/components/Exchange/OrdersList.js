@@ -1,4 +1,5 @@
-import React, { useState, useCallback } from "react";
+import React, { useState, useCallback, useMemo, useEffect } from "react";
+import { ethers } from "ethers";
 
 import {
   SWAP,
@@ -11,20 +12,73 @@ import {
   getExchangeRateDisplay,
   getTokenInfo,
   getExchangeRate,
-  getPositionKey,
+  getPositionForOrder,
+  getIncreaseOrderType,
+  getOrderKey,
+  getOrderGroupKey,
+  bigNumberify,
+  TRAILING_STOP_UNIT_PERCENT,
+  canLinkOcoOrders,
+  linkOcoOrders,
+  unlinkOcoOrder,
+  getOrderExpiryStr,
 } from "../../Helpers.js";
-import { cancelSwapOrder, cancelIncreaseOrder, cancelDecreaseOrder } from "../../Api";
+import { cancelSwapOrder, cancelIncreaseOrder, cancelDecreaseOrder, cancelMultipleOrders } from "../../Api";
 import { getContract } from "../../Addresses";
 
 import Tooltip from "../Tooltip/Tooltip";
+import Checkbox from "../Checkbox/Checkbox";
 import OrderEditor from "./OrderEditor";
 
 import "./OrdersList.css";
 
-function getPositionForOrder(order, positionsMap) {
-  const key = getPositionKey(order.collateralToken, order.indexToken, order.isLong);
-  const position = positionsMap[key];
-  return position && position.size && position.size.gt(0) ? position : null;
+function isOrderForToken(order, tokenAddress) {
+  if (order.type === SWAP) {
+    return order.path[0] === tokenAddress || order.path[order.path.length - 1] === tokenAddress;
+  }
+  return order.indexToken === tokenAddress;
+}
+
+function groupOrders(orders, orderGroups) {
+  // orders that were created together, e.g. scaled orders, are kept next to each other
+  const groups = {};
+  const groupedOrders = [];
+  for (const order of orders) {
+    const groupKey = getOrderGroupKey(orderGroups, getOrderKey(order));
+    if (!groupKey) {
+      groupedOrders.push([order]);
+      continue;
+    }
+    if (!groups[groupKey]) {
+      groups[groupKey] = [];
+      groupedOrders.push(groups[groupKey]);
+    }
+    groups[groupKey].push(order);
+  }
+  return groupedOrders;
+}
+
+function getTrailingStopStr(trailingStop) {
+  const distance = bigNumberify(trailingStop.distance);
+  const distanceStr =
+    trailingStop.unit === TRAILING_STOP_UNIT_PERCENT
+      ? `${formatAmount(distance, 2, 2)}%`
+      : `$${formatAmount(distance, USD_DECIMALS, 2, true)}`;
+  return `Peak ${formatAmount(bigNumberify(trailingStop.peakPrice), USD_DECIMALS, 2, true)}, trail ${distanceStr}`;
+}
+
+function renderOrderExpiry(expiresAt, now) {
+  if (!expiresAt) {
+    return null;
+  }
+  if (expiresAt <= now) {
+    return <div className="Exchange-list-item-error">Expired, the order is still open until cancelled</div>;
+  }
+  return <div className="muted">Expires in {getOrderExpiryStr(expiresAt, now)}</div>;
+}
+
+function getGroupSize(groupOrders) {
+  return groupOrders.reduce((size, order) => size.add(order.sizeDelta), bigNumberify(0));
 }
 
 export default function OrdersList(props) {
@@ -37,11 +91,82 @@ export default function OrdersList(props) {
     totalTokenWeights,
     usdgSupply,
     orders,
+    updateOrders,
+    orderGroups,
+    trailingStops,
+    orderExpiries,
+    ocoLinks,
+    setOcoLinks,
+    marketTokenAddress,
     hideActions,
     chainId,
   } = props;
 
   const [editingOrder, setEditingOrder] = useState(null);
+  const [selectedOrderKeys, setSelectedOrderKeys] = useState([]);
+  const [now, setNow] = useState(parseInt(Date.now() / 1000));
+
+  useEffect(() => {
+    if (!orderExpiries || Object.keys(orderExpiries).length === 0) {
+      return;
+    }
+    const interval = setInterval(() => {
+      setNow(parseInt(Date.now() / 1000));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [orderExpiries]);
+
+  const getOrderExpiresAt = useCallback((order) => orderExpiries && orderExpiries[getOrderKey(order)], [orderExpiries]);
+
+  const groupedOrders = useMemo(() => groupOrders(orders || [], orderGroups), [orders, orderGroups]);
+
+  const selectedOrders = useMemo(
+    () => (orders || []).filter((order) => selectedOrderKeys.includes(getOrderKey(order))),
+    [orders, selectedOrderKeys]
+  );
+
+  const marketToken = useMemo(() => {
+    if (!marketTokenAddress) {
+      return null;
+    }
+    const address =
+      marketTokenAddress === ethers.constants.AddressZero ? getContract(chainId, "NATIVE_TOKEN") : marketTokenAddress;
+    return getTokenInfo(infoTokens, address);
+  }, [chainId, infoTokens, marketTokenAddress]);
+
+  const marketOrders = useMemo(() => {
+    if (!marketToken) {
+      return [];
+    }
+    return (orders || []).filter((order) => isOrderForToken(order, marketToken.address));
+  }, [orders, marketToken]);
+
+  const isOrderSelected = useCallback((order) => selectedOrderKeys.includes(getOrderKey(order)), [selectedOrderKeys]);
+
+  const setOrderSelected = useCallback((order, isSelected) => {
+    const orderKey = getOrderKey(order);
+    setSelectedOrderKeys((keys) => {
+      const otherKeys = keys.filter((key) => key !== orderKey);
+      return isSelected ? [...otherKeys, orderKey] : otherKeys;
+    });
+  }, []);
+
+  const isOcoLinked = useCallback(
+    (order) => {
+      const siblingOrderKey = ocoLinks && ocoLinks[getOrderKey(order)];
+      return Boolean(siblingOrderKey) && (orders || []).some((other) => getOrderKey(other) === siblingOrderKey);
+    },
+    [orders, ocoLinks]
+  );
+
+  const isAllSelected = orders && orders.length > 0 && selectedOrders.length === orders.length;
+
+  const setAllSelected = useCallback(
+    (isSelected) => {
+      setSelectedOrderKeys(isSelected ? (orders || []).map(getOrderKey) : []);
+    },
+    [orders]
+  );
 
   const onCancelClick = useCallback(
     (order) => {
@@ -65,6 +190,33 @@ export default function OrdersList(props) {
     [library, pendingTxns, setPendingTxns, chainId]
   );
 
+  const onCancelMultipleClick = useCallback(
+    (ordersToCancel) => {
+      if (!ordersToCancel.length) {
+        return;
+      }
+
+      return cancelMultipleOrders(chainId, library, ordersToCancel, {
+        successMsg: "Orders cancelled",
+        failMsg: "Cancel failed",
+        sentMsg: "Cancel submitted",
+        pendingTxns,
+        setPendingTxns,
+      }).then(() => {
+        // the orders are removed before the transaction is mined, the next fetch restores them if it fails
+        const cancelledKeys = ordersToCancel.map(getOrderKey);
+        setSelectedOrderKeys((keys) => keys.filter((key) => !cancelledKeys.includes(key)));
+        if (updateOrders) {
+          updateOrders(
+            orders.filter((order) => !cancelledKeys.includes(getOrderKey(order))),
+            false
+          );
+        }
+      });
+    },
+    [library, pendingTxns, setPendingTxns, chainId, orders, updateOrders]
+  );
+
   const onEditClick = useCallback(
     (order) => {
       setEditingOrder(order);
@@ -75,6 +227,11 @@ export default function OrdersList(props) {
   const renderHead = useCallback(() => {
     return (
       <tr className="Exchange-list-header">
+        {!hideActions && (
+          <th className="Orders-list-select">
+            <Checkbox isChecked={isAllSelected} setIsChecked={setAllSelected} />
+          </th>
+        )}
         <th>
           <div>Type</div>
         </th>
@@ -90,7 +247,7 @@ export default function OrdersList(props) {
         <th colSpan="2"></th>
       </tr>
     );
-  }, []);
+  }, [hideActions, isAllSelected, setAllSelected]);
 
   const renderEmptyRow = useCallback(() => {
     if (orders && orders.length) {
@@ -99,10 +256,24 @@ export default function OrdersList(props) {
 
     return (
       <tr>
-        <td colSpan="5">No open orders</td>
+        <td colSpan={hideActions ? 4 : 7}>No open orders</td>
       </tr>
     );
-  }, [orders]);
+  }, [orders, hideActions]);
+
+  const renderSelectCell = useCallback(
+    (order) => {
+      return (
+        <td className="Orders-list-select">
+          <Checkbox
+            isChecked={isOrderSelected(order)}
+            setIsChecked={(isSelected) => setOrderSelected(order, isSelected)}
+          />
+        </td>
+      );
+    },
+    [isOrderSelected, setOrderSelected]
+  );
 
   const renderActions = useCallback(
     (order) => {
@@ -129,7 +300,7 @@ export default function OrdersList(props) {
       return null;
     }
 
-    return orders.map((order) => {
+    const renderLargeOrder = (order) => {
       if (order.type === SWAP) {
         const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
         const fromTokenInfo = getTokenInfo(infoTokens, order.path[0], true, nativeTokenAddress);
@@ -144,6 +315,7 @@ export default function OrdersList(props) {
 
         return (
           <tr className="Exchange-list-item" key={`${order.type}-${order.index}`}>
+            {!hideActions && renderSelectCell(order)}
             <td className="Exchange-list-item-type">Limit</td>
             <td>
               Swap{" "}
@@ -161,6 +333,7 @@ export default function OrdersList(props) {
                 true
               )}{" "}
               {toTokenInfo.symbol}
+              {renderOrderExpiry(getOrderExpiresAt(order), now)}
             </td>
             <td>
               <Tooltip
@@ -188,6 +361,7 @@ export default function OrdersList(props) {
       const markPrice = maximisePrice ? indexToken.maxPrice : indexToken.minPrice;
       const triggerPricePrefix = order.triggerAboveThreshold ? TRIGGER_PREFIX_ABOVE : TRIGGER_PREFIX_BELOW;
       const indexTokenSymbol = indexToken.isWrapped ? indexToken.baseSymbol : indexToken.symbol;
+      const trailingStop = order.type === DECREASE && trailingStops && trailingStops[getOrderKey(order)];
 
       let error;
       if (order.type === DECREASE) {
@@ -201,28 +375,73 @@ export default function OrdersList(props) {
 
       return (
         <tr className="Exchange-list-item" key={`${order.isLong}-${order.type}-${order.index}`}>
-          <td className="Exchange-list-item-type">{order.type === INCREASE ? "Limit" : "Trigger"}</td>
+          {!hideActions && renderSelectCell(order)}
+          <td className="Exchange-list-item-type">
+            {order.type === INCREASE ? getIncreaseOrderType(order) : trailingStop ? "Trailing" : "Trigger"}
+            {isOcoLinked(order) && <span className="Orders-list-oco">OCO</span>}
+          </td>
           <td>
             {order.type === INCREASE ? "Increase" : "Decrease"} {indexTokenSymbol} {order.isLong ? "Long" : "Short"}
             &nbsp;by ${formatAmount(order.sizeDelta, USD_DECIMALS, 2, true)}
             {error && <div className="Exchange-list-item-error">{error}</div>}
+            {renderOrderExpiry(getOrderExpiresAt(order), now)}
           </td>
           <td>
             {triggerPricePrefix} {formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}
+            {trailingStop && <div className="muted">{getTrailingStopStr(trailingStop)}</div>}
           </td>
           <td>{formatAmount(markPrice, USD_DECIMALS, 2, true)}</td>
           {!hideActions && renderActions(order)}
         </tr>
       );
+    };
+
+    return groupedOrders.map((groupOrders) => {
+      if (groupOrders.length === 1) {
+        return renderLargeOrder(groupOrders[0]);
+      }
+      return (
+        <React.Fragment key={getOrderKey(groupOrders[0])}>
+          <tr className="Exchange-list-item Orders-list-group">
+            {!hideActions && <td></td>}
+            <td className="Exchange-list-item-type">Group</td>
+            <td colSpan="3">
+              {groupOrders.length} orders, total ${formatAmount(getGroupSize(groupOrders), USD_DECIMALS, 2, true)}
+            </td>
+            {!hideActions && (
+              <td colSpan="2">
+                <button className="Exchange-list-action" onClick={() => onCancelMultipleClick(groupOrders)}>
+                  Cancel All
+                </button>
+              </td>
+            )}
+          </tr>
+          {groupOrders.map(renderLargeOrder)}
+        </React.Fragment>
+      );
     });
-  }, [orders, renderActions, infoTokens, positionsMap, hideActions, chainId]);
+  }, [
+    orders,
+    groupedOrders,
+    renderActions,
+    renderSelectCell,
+    onCancelMultipleClick,
+    infoTokens,
+    positionsMap,
+    trailingStops,
+    getOrderExpiresAt,
+    now,
+    isOcoLinked,
+    hideActions,
+    chainId,
+  ]);
 
   const renderSmallList = useCallback(() => {
     if (!orders || !orders.length) {
       return null;
     }
 
-    return orders.map((order) => {
+    const renderSmallOrder = (order) => {
       if (order.type === SWAP) {
         const nativeTokenAddress = getContract(chainId, "NATIVE_TOKEN");
         const fromTokenInfo = getTokenInfo(infoTokens, order.path[0], true, nativeTokenAddress);
@@ -267,10 +486,23 @@ export default function OrdersList(props) {
                 <div className="label">Mark Price</div>
                 <div>{getExchangeRateDisplay(markExchangeRate, fromTokenInfo, toTokenInfo)}</div>
               </div>
+              {getOrderExpiresAt(order) && (
+                <div className="App-card-row">
+                  <div className="label">Expiry</div>
+                  <div>{renderOrderExpiry(getOrderExpiresAt(order), now)}</div>
+                </div>
+              )}
               {!hideActions && (
                 <>
                   <div className="App-card-divider"></div>
                   <div className="App-card-options">
+                    <Checkbox
+                      className="App-card-option"
+                      isChecked={isOrderSelected(order)}
+                      setIsChecked={(isSelected) => setOrderSelected(order, isSelected)}
+                    >
+                      Select
+                    </Checkbox>
                     <button className="App-button-option App-card-option" onClick={() => onEditClick(order)}>
                       Edit
                     </button>
@@ -290,6 +522,7 @@ export default function OrdersList(props) {
       const markPrice = maximisePrice ? indexToken.maxPrice : indexToken.minPrice;
       const triggerPricePrefix = order.triggerAboveThreshold ? TRIGGER_PREFIX_ABOVE : TRIGGER_PREFIX_BELOW;
       const indexTokenSymbol = indexToken.isWrapped ? indexToken.baseSymbol : indexToken.symbol;
+      const trailingStop = order.type === DECREASE && trailingStops && trailingStops[getOrderKey(order)];
 
       let error;
       if (order.type === DECREASE) {
@@ -306,6 +539,7 @@ export default function OrdersList(props) {
           <div className="App-card-title-small">
             {order.type === INCREASE ? "Increase" : "Decrease"} {indexTokenSymbol} {order.isLong ? "Long" : "Short"}
             &nbsp;by ${formatAmount(order.sizeDelta, USD_DECIMALS, 2, true)}
+            {isOcoLinked(order) && <span className="Orders-list-oco">OCO</span>}
             {error && <div className="Exchange-list-item-error">{error}</div>}
           </div>
           <div className="App-card-divider"></div>
@@ -316,14 +550,33 @@ export default function OrdersList(props) {
                 {triggerPricePrefix} {formatAmount(order.triggerPrice, USD_DECIMALS, 2, true)}
               </div>
             </div>
+            {trailingStop && (
+              <div className="App-card-row">
+                <div className="label">Trailing</div>
+                <div>{getTrailingStopStr(trailingStop)}</div>
+              </div>
+            )}
             <div className="App-card-row">
               <div className="label">Mark Price</div>
               <div>{formatAmount(markPrice, USD_DECIMALS, 2, true)}</div>
             </div>
+            {getOrderExpiresAt(order) && (
+              <div className="App-card-row">
+                <div className="label">Expiry</div>
+                <div>{renderOrderExpiry(getOrderExpiresAt(order), now)}</div>
+              </div>
+            )}
             {!hideActions && (
               <>
                 <div className="App-card-divider"></div>
                 <div className="App-card-options">
+                  <Checkbox
+                    className="App-card-option"
+                    isChecked={isOrderSelected(order)}
+                    setIsChecked={(isSelected) => setOrderSelected(order, isSelected)}
+                  >
+                    Select
+                  </Checkbox>
                   <button className="App-button-option App-card-option" onClick={() => onEditClick(order)}>
                     Edit
                   </button>
@@ -336,11 +589,105 @@ export default function OrdersList(props) {
           </div>
         </div>
       );
+    };
+
+    return groupedOrders.map((groupOrders) => {
+      if (groupOrders.length === 1) {
+        return renderSmallOrder(groupOrders[0]);
+      }
+      return (
+        <React.Fragment key={getOrderKey(groupOrders[0])}>
+          <div className="App-card Orders-list-group">
+            <div className="App-card-title-small">
+              Group of {groupOrders.length} orders, total $
+              {formatAmount(getGroupSize(groupOrders), USD_DECIMALS, 2, true)}
+            </div>
+            {!hideActions && (
+              <>
+                <div className="App-card-divider"></div>
+                <div className="App-card-options">
+                  <button
+                    className="App-button-option App-card-option"
+                    onClick={() => onCancelMultipleClick(groupOrders)}
+                  >
+                    Cancel All
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+          {groupOrders.map(renderSmallOrder)}
+        </React.Fragment>
+      );
     });
-  }, [orders, onEditClick, onCancelClick, infoTokens, positionsMap, hideActions, chainId]);
+  }, [
+    orders,
+    groupedOrders,
+    onEditClick,
+    onCancelClick,
+    onCancelMultipleClick,
+    isOrderSelected,
+    setOrderSelected,
+    infoTokens,
+    positionsMap,
+    trailingStops,
+    getOrderExpiresAt,
+    now,
+    isOcoLinked,
+    hideActions,
+    chainId,
+  ]);
+
+  const renderBulkActions = () => {
+    if (hideActions || !orders || !orders.length) {
+      return null;
+    }
+
+    const marketSymbol = marketToken && (marketToken.isWrapped ? marketToken.baseSymbol : marketToken.symbol);
+    const [order, siblingOrder] = selectedOrders;
+    const canLinkOco = selectedOrders.length === 2 && canLinkOcoOrders(order, siblingOrder);
+    const isSelectionLinked = canLinkOco && ocoLinks && ocoLinks[getOrderKey(order)] === getOrderKey(siblingOrder);
+
+    return (
+      <div className="Orders-list-bulk-actions">
+        {setOcoLinks && (
+          <button
+            className="Exchange-list-action"
+            disabled={!canLinkOco}
+            title="Select a take-profit and a stop-loss order of the same position"
+            onClick={() =>
+              setOcoLinks(
+                isSelectionLinked
+                  ? unlinkOcoOrder(ocoLinks, getOrderKey(order))
+                  : linkOcoOrders(ocoLinks, getOrderKey(order), getOrderKey(siblingOrder))
+              )
+            }
+          >
+            {isSelectionLinked ? "Unlink OCO" : "Link OCO"}
+          </button>
+        )}
+        <button
+          className="Exchange-list-action"
+          disabled={selectedOrders.length === 0}
+          onClick={() => onCancelMultipleClick(selectedOrders)}
+        >
+          Cancel Selected ({selectedOrders.length})
+        </button>
+        {marketOrders.length > 0 && (
+          <button className="Exchange-list-action" onClick={() => onCancelMultipleClick(marketOrders)}>
+            Cancel {marketSymbol} Orders
+          </button>
+        )}
+        <button className="Exchange-list-action" onClick={() => onCancelMultipleClick(orders)}>
+          Cancel All
+        </button>
+      </div>
+    );
+  };
 
   return (
     <React.Fragment>
+      {renderBulkActions()}
       <table className="Exchange-list Orders App-box large">
         <tbody>
           {renderHead()}
@@ -20,10 +20,13 @@ import {
   getTokenInfo,
   getLiquidationPrice,
   approveTokens,
+  useLocalStorageSerializeKey,
 } from "../../Helpers";
 import { getContract } from "../../Addresses";
 import Tab from "../Tab/Tab";
 import Modal from "../Modal/Modal";
+import Checkbox from "../Checkbox/Checkbox";
+import LeverageSimulator from "./LeverageSimulator";
 import { callContract } from "../../Api";
 
 import PositionRouter from "../../abis/PositionRouter.json";
@@ -47,6 +50,7 @@ export default function PositionEditor(props) {
     account,
     library,
     collateralTokenAddress,
+    initialDepositUsd,
     pendingTxns,
     setPendingTxns,
     getUsd,
@@ -64,6 +68,10 @@ export default function PositionEditor(props) {
   const [fromValue, setFromValue] = useState("");
   const [isApproving, setIsApproving] = useState(false);
   const [isSwapping, setIsSwapping] = useState(false);
+  const [isSimulatorEnabled, setIsSimulatorEnabled] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-leverage-simulator-enabled"],
+    false
+  );
   const prevIsVisible = usePrevious(isVisible);
 
   const routerAddress = getContract(chainId, "Router");
@@ -378,6 +386,24 @@ export default function PositionEditor(props) {
       });
   };
 
+  const applyCollateralDelta = (usdDelta) => {
+    if (usdDelta.gt(0)) {
+      const tokenAmount = usdDelta.mul(expandDecimals(1, collateralToken.decimals)).div(collateralToken.minPrice);
+      setOption(DEPOSIT);
+      setFromValue(formatAmountFree(tokenAmount, collateralToken.decimals, collateralToken.decimals));
+      return;
+    }
+    setOption(WITHDRAW);
+    setFromValue(formatAmountFree(usdDelta.abs(), USD_DECIMALS, 2));
+  };
+
+  useEffect(() => {
+    if (prevIsVisible !== isVisible && isVisible && initialDepositUsd && initialDepositUsd.gt(0)) {
+      applyCollateralDelta(initialDepositUsd);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [prevIsVisible, isVisible, initialDepositUsd]);
+
   const onClickPrimary = () => {
     if (needApproval) {
       approveTokens({
@@ -522,6 +548,13 @@ export default function PositionEditor(props) {
                   </div>
                 </div>
 
+                <div className="PositionEditor-simulator-settings">
+                  <Checkbox isChecked={isSimulatorEnabled} setIsChecked={setIsSimulatorEnabled}>
+                    <span className="muted">What-if simulator</span>
+                  </Checkbox>
+                </div>
+                {isSimulatorEnabled && <LeverageSimulator position={position} onApply={applyCollateralDelta} />}
+
                 <div className="Exchange-swap-button-container">
                   <button
                     className="App-cta Exchange-swap-button"
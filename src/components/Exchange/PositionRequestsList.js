@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from "react";
+import useSWR from "swr";
+
+import {
+  INCREASE,
+  USD_DECIMALS,
+  POSITION_REQUEST_PENDING,
+  formatAmount,
+  getTokenInfo,
+  shortenAddress,
+  fetcher,
+} from "../../Helpers";
+import { getConstant } from "../../Constants";
+import { getContract } from "../../Addresses";
+import { cancelPositionRequest } from "../../Api";
+import PositionRouter from "../../abis/PositionRouter.json";
+
+function formatAge(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+export default function PositionRequestsList(props) {
+  const {
+    active,
+    library,
+    chainId,
+    infoTokens,
+    nativeTokenAddress,
+    positionRequests,
+    updatePositionRequests,
+    setPendingTxns,
+  } = props;
+  const [now, setNow] = useState(parseInt(Date.now() / 1000));
+  const [cancellingKey, setCancellingKey] = useState(null);
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const nativeTokenSymbol = getConstant(chainId, "nativeTokenSymbol");
+
+  const { data: minTimeDelayPublic } = useSWR([active, chainId, positionRouterAddress, "minTimeDelayPublic"], {
+    fetcher: fetcher(library, PositionRouter),
+  });
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setNow(parseInt(Date.now() / 1000));
+    }, 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const onCancelClick = (request) => {
+    setCancellingKey(request.key);
+    cancelPositionRequest(chainId, library, request, {
+      sentMsg: "Cancel submitted!",
+      successMsg: "Request cancelled!",
+      failMsg: "Cancel failed.",
+      setPendingTxns,
+    })
+      .then(() => {
+        updatePositionRequests();
+      })
+      .finally(() => {
+        setCancellingKey(null);
+      });
+  };
+
+  const getRequestInfo = (request) => {
+    const indexToken = getTokenInfo(infoTokens, request.indexToken, true, nativeTokenAddress);
+    const title = `${request.type === INCREASE ? "Increase" : "Decrease"} ${indexToken.symbol} ${
+      request.isLong ? "Long" : "Short"
+    } by $${formatAmount(request.sizeDelta, USD_DECIMALS, 2, true)}`;
+
+    let details;
+    if (request.type === INCREASE) {
+      const payToken = getTokenInfo(infoTokens, request.path[0], true, nativeTokenAddress);
+      details = `Pay ${formatAmount(request.amountIn, payToken.decimals, 4, true)} ${payToken.symbol}`;
+    } else if (request.collateralDelta.gt(0)) {
+      details = `Withdraw $${formatAmount(request.collateralDelta, USD_DECIMALS, 2, true)}`;
+    }
+    const acceptablePrice = `Acceptable Price $${formatAmount(request.acceptablePrice, USD_DECIMALS, 2, true)}`;
+
+    return { title, details: details ? `${details}, ${acceptablePrice}` : acceptablePrice };
+  };
+
+  const renderCancelButton = (request, className) => {
+    if (request.status !== POSITION_REQUEST_PENDING) {
+      return null;
+    }
+    // the router only lets the account cancel its own request after the public delay
+    const cancelTime = minTimeDelayPublic && request.blockTime + minTimeDelayPublic.toNumber();
+    const isCancellable = cancelTime && cancelTime <= now && cancellingKey !== request.key;
+    return (
+      <button className={className} onClick={() => onCancelClick(request)} disabled={!isCancellable}>
+        {cancelTime && cancelTime > now ? `Cancel in ${formatAge(cancelTime - now)}` : "Cancel"}
+      </button>
+    );
+  };
+
+  const formatExecutionFee = (request) => `${formatAmount(request.executionFee, 18, 4)} ${nativeTokenSymbol}`;
+
+  return (
+    <React.Fragment>
+      <table className="Exchange-list Orders App-box large">
+        <tbody>
+          <tr className="Exchange-list-header">
+            <th>
+              <div>Request</div>
+            </th>
+            <th>
+              <div>Key</div>
+            </th>
+            <th>
+              <div>Execution Fee</div>
+            </th>
+            <th>
+              <div>Age</div>
+            </th>
+            <th>
+              <div>Status</div>
+            </th>
+            <th></th>
+          </tr>
+          {positionRequests.length === 0 && (
+            <tr>
+              <td colSpan="6">No pending requests</td>
+            </tr>
+          )}
+          {positionRequests.map((request) => {
+            const { title, details } = getRequestInfo(request);
+            return (
+              <tr className="Exchange-list-item" key={request.key}>
+                <td>
+                  {title}
+                  <div className="muted">{details}</div>
+                </td>
+                <td title={request.key}>{shortenAddress(request.key, 13)}</td>
+                <td>{formatExecutionFee(request)}</td>
+                <td>{formatAge(Math.max(now - request.blockTime, 0))}</td>
+                <td>{request.status}</td>
+                <td>{renderCancelButton(request, "Exchange-list-action")}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="Exchange-list Orders small">
+        {positionRequests.length === 0 && (
+          <div className="Exchange-empty-positions-list-note App-card">No pending requests</div>
+        )}
+        {positionRequests.map((request) => {
+          const { title, details } = getRequestInfo(request);
+          const cancelButton = renderCancelButton(request, "App-button-option App-card-option");
+          return (
+            <div key={request.key} className="App-card">
+              <div className="App-card-title-small">
+                {title}
+                <div className="muted">{details}</div>
+              </div>
+              <div className="App-card-divider"></div>
+              <div className="App-card-content">
+                <div className="App-card-row">
+                  <div className="label">Key</div>
+                  <div>{shortenAddress(request.key, 13)}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Execution Fee</div>
+                  <div>{formatExecutionFee(request)}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Age</div>
+                  <div>{formatAge(Math.max(now - request.blockTime, 0))}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Status</div>
+                  <div>{request.status}</div>
+                </div>
+                {cancelButton && (
+                  <>
+                    <div className="App-card-divider"></div>
+                    <div className="App-card-options">{cancelButton}</div>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </React.Fragment>
+  );
+}
@@ -0,0 +1,453 @@
+import React, { useState } from "react";
+import useSWR from "swr";
+import { ethers } from "ethers";
+
+import {
+  formatAmount,
+  bigNumberify,
+  fetcher,
+  USD_DECIMALS,
+  BASIS_POINTS_DIVISOR,
+  DEFAULT_SLIPPAGE_AMOUNT,
+  SLIPPAGE_BPS_KEY,
+  DUST_BNB,
+  helperToast,
+  useLocalStorageSerializeKey,
+  getTokenInfo,
+  getTokenAmount,
+  getDecreaseReceiveAmount,
+  getMarginFee,
+  getNextToAmount,
+  getLiquidationPrice,
+  getPositionKey,
+} from "../../Helpers";
+import { getConstant } from "../../Constants";
+import { callContract, waitForDecreasePositionRequest } from "../../Api";
+import { getContract } from "../../Addresses";
+import { getTokenBySymbol } from "../../data/Tokens";
+import PositionRouter from "../../abis/PositionRouter.json";
+import Vault from "../../abis/Vault.json";
+import Token from "../../abis/Token.json";
+import Tooltip from "../Tooltip/Tooltip";
+import Modal from "../Modal/Modal";
+import ExchangeInfoRow from "./ExchangeInfoRow";
+
+const { AddressZero } = ethers.constants;
+
+export default function PositionReverser(props) {
+  const {
+    pendingPositions,
+    setPendingPositions,
+    positionsMap,
+    positionKey,
+    isVisible,
+    setIsVisible,
+    active,
+    account,
+    library,
+    chainId,
+    infoTokens,
+    nativeTokenAddress,
+    setPendingTxns,
+    usdgSupply,
+    totalTokenWeights,
+    positionRouterApproved,
+    isWaitingForPositionRouterApproval,
+    isPositionRouterApproving,
+    approvePositionRouter,
+  } = props;
+  const [savedSlippageAmount] = useLocalStorageSerializeKey([chainId, SLIPPAGE_BPS_KEY], DEFAULT_SLIPPAGE_AMOUNT);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitStatus, setSubmitStatus] = useState();
+  // the closed position leaves positionsMap while the reverse is still in progress, so it is kept until the end
+  const [submittedPosition, setSubmittedPosition] = useState();
+  // set once the close is executed, a failed open is then retried without closing again
+  const [releasedAmount, setReleasedAmount] = useState();
+  const position = submittedPosition || (positionsMap && positionKey ? positionsMap[positionKey] : undefined);
+  const positionRouterAddress = getContract(chainId, "PositionRouter");
+  const nativeTokenSymbol = getConstant(chainId, "nativeTokenSymbol");
+
+  const { data: minExecutionFee } = useSWR([active, chainId, positionRouterAddress, "minExecutionFee"], {
+    fetcher: fetcher(library, PositionRouter),
+  });
+
+  if (!position) {
+    return null;
+  }
+
+  const isLong = !position.isLong;
+  const indexTokenAddress = position.indexToken.isNative ? nativeTokenAddress : position.indexToken.address;
+  const closeCollateralTokenAddress = position.collateralToken.isNative
+    ? nativeTokenAddress
+    : position.collateralToken.address;
+  // the released collateral is withdrawn as the native token when it is the wrapped native token
+  const payTokenAddress =
+    closeCollateralTokenAddress === nativeTokenAddress ? AddressZero : closeCollateralTokenAddress;
+  const payToken = getTokenInfo(infoTokens, payTokenAddress);
+  const collateralTokenAddress = isLong
+    ? indexTokenAddress
+    : getTokenBySymbol(chainId, getConstant(chainId, "defaultCollateralSymbol")).address;
+  const collateralToken = getTokenInfo(infoTokens, collateralTokenAddress);
+  const tokenAddress0 = payTokenAddress === AddressZero ? nativeTokenAddress : payTokenAddress;
+  const path =
+    tokenAddress0 === collateralTokenAddress ? [collateralTokenAddress] : [tokenAddress0, collateralTokenAddress];
+
+  const close = getDecreaseReceiveAmount({
+    position,
+    fromAmount: position.size,
+    delta: position.delta,
+    hasProfit: position.hasProfit,
+    keepLeverage: false,
+  });
+  const closeFees = close.totalFees || close.positionFee;
+  const receiveAmount = close.receiveAmount;
+  const payAmount = getTokenAmount(receiveAmount, position.collateralToken.address, false, infoTokens);
+
+  let swapFees = bigNumberify(0);
+  if (path.length > 1) {
+    const { feeBasisPoints } = getNextToAmount(
+      chainId,
+      payAmount,
+      payTokenAddress,
+      collateralTokenAddress,
+      infoTokens,
+      undefined,
+      undefined,
+      usdgSupply,
+      totalTokenWeights
+    );
+    if (feeBasisPoints) {
+      swapFees = receiveAmount.mul(feeBasisPoints).div(BASIS_POINTS_DIVISOR);
+    }
+  }
+  const openFee = getMarginFee(position.size);
+  const totalFees = closeFees.add(swapFees).add(openFee);
+  const nextCollateral = receiveAmount.sub(swapFees).sub(openFee);
+  const nextLeverage = nextCollateral.gt(0) ? position.size.mul(BASIS_POINTS_DIVISOR).div(nextCollateral) : undefined;
+  const entryPrice = isLong ? position.indexToken.maxPrice : position.indexToken.minPrice;
+  const nextLiquidationPrice = getLiquidationPrice({
+    isLong,
+    size: bigNumberify(0),
+    collateral: bigNumberify(0),
+    averagePrice: entryPrice,
+    entryFundingRate: bigNumberify(0),
+    cumulativeFundingRate: bigNumberify(0),
+    sizeDelta: position.size,
+    collateralDelta: receiveAmount.sub(swapFees),
+    increaseCollateral: true,
+    increaseSize: true,
+  });
+
+  const needPositionRouterApproval = !positionRouterApproved;
+
+  const getError = () => {
+    if (!isLong && !position.indexToken.isShortable) {
+      return `${position.indexToken.symbol} cannot be shorted`;
+    }
+    if (!minExecutionFee || !payAmount) {
+      return "Loading...";
+    }
+    if (!nextLeverage) {
+      return "Not enough collateral";
+    }
+    if (nextLeverage.gt(30.5 * BASIS_POINTS_DIVISOR)) {
+      return "Max leverage: 30.5x";
+    }
+  };
+
+  const isPrimaryEnabled = () => {
+    if (getError()) {
+      return false;
+    }
+    if (isSubmitting || isPositionRouterApproving) {
+      return false;
+    }
+    if (needPositionRouterApproval && isWaitingForPositionRouterApproval) {
+      return false;
+    }
+    return true;
+  };
+
+  const getPrimaryText = () => {
+    const error = getError();
+    if (error) {
+      return error;
+    }
+    if ((needPositionRouterApproval && isWaitingForPositionRouterApproval) || isPositionRouterApproving) {
+      return "Enabling Leverage...";
+    }
+    if (needPositionRouterApproval) {
+      return "Enable Leverage";
+    }
+    if (isSubmitting) {
+      return submitStatus;
+    }
+    if (releasedAmount) {
+      return `Open ${isLong ? "Long" : "Short"}`;
+    }
+    return "Reverse";
+  };
+
+  const closePosition = () => {
+    const priceBasisPoints = position.isLong
+      ? BASIS_POINTS_DIVISOR - savedSlippageAmount
+      : BASIS_POINTS_DIVISOR + savedSlippageAmount;
+    const refPrice = position.isLong ? position.indexToken.minPrice : position.indexToken.maxPrice;
+    const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+
+    const params = [
+      [closeCollateralTokenAddress], // _path
+      indexTokenAddress, // _indexToken
+      0, // _collateralDelta
+      position.size, // _sizeDelta
+      position.isLong, // _isLong
+      account, // _receiver
+      priceLimit, // _acceptablePrice
+      0, // _minOut
+      minExecutionFee, // _executionFee
+      closeCollateralTokenAddress === nativeTokenAddress, // _withdrawETH
+    ];
+
+    const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, library.getSigner());
+    return callContract(chainId, contract, "createDecreasePosition", params, {
+      value: minExecutionFee,
+      sentMsg: "Close submitted!",
+      successMsg: `Requested close of ${position.indexToken.symbol} ${position.isLong ? "Long" : "Short"}.`,
+      failMsg: "Close failed.",
+      setPendingTxns,
+    });
+  };
+
+  const getPayTokenBalance = (blockTag) => {
+    if (payTokenAddress === AddressZero) {
+      return library.getBalance(account, blockTag);
+    }
+    const tokenContract = new ethers.Contract(payTokenAddress, Token.abi, library);
+    return tokenContract.balanceOf(account, blockTag ? { blockTag } : {});
+  };
+
+  // only the collateral released by the close is paid in, never other funds of the wallet
+  const closeAndGetReleasedAmount = async () => {
+    setSubmittedPosition(position);
+    try {
+      setSubmitStatus("Closing...");
+      const closeTx = await closePosition();
+      pendingPositions[position.key] = {
+        updatedAt: Date.now(),
+        pendingChanges: {
+          size: bigNumberify(0),
+        },
+      };
+      setPendingPositions({ ...pendingPositions });
+
+      // the balance is read after the close request is mined, so its gas and execution fee are not counted
+      const receipt = await closeTx.wait();
+      const balanceBefore = await getPayTokenBalance(receipt.blockNumber);
+
+      // the new position is only requested once the keeper has executed the close
+      setSubmitStatus("Waiting for close...");
+      await waitForDecreasePositionRequest(chainId, library, closeTx);
+      const vault = new ethers.Contract(getContract(chainId, "Vault"), Vault.abi, library);
+      const [remainingSize] = await vault.getPosition(
+        account,
+        closeCollateralTokenAddress,
+        indexTokenAddress,
+        position.isLong
+      );
+      if (remainingSize.gt(0)) {
+        throw new Error("Close was not executed, the reverse position was not opened");
+      }
+
+      const balanceAfter = await getPayTokenBalance();
+      return balanceAfter.sub(balanceBefore);
+    } catch (e) {
+      setSubmittedPosition(undefined);
+      throw e;
+    }
+  };
+
+  const openPosition = async (releasedAmount) => {
+    const signer = library.getSigner();
+    const routerAddress = getContract(chainId, "Router");
+
+    let amountIn = releasedAmount;
+    if (payTokenAddress === AddressZero) {
+      const balance = await library.getBalance(account);
+      const maxAmountIn = balance.sub(minExecutionFee).sub(DUST_BNB);
+      amountIn = amountIn.gt(maxAmountIn) ? maxAmountIn : amountIn;
+    } else {
+      const tokenContract = new ethers.Contract(payTokenAddress, Token.abi, signer);
+      const balance = await tokenContract.balanceOf(account);
+      amountIn = amountIn.gt(balance) ? balance : amountIn;
+
+      const allowance = await tokenContract.allowance(account, routerAddress);
+      if (allowance.lt(amountIn)) {
+        const approveTx = await callContract(
+          chainId,
+          tokenContract,
+          "approve",
+          [routerAddress, ethers.constants.MaxUint256],
+          {
+            sentMsg: "Approval submitted!",
+            failMsg: "Approval failed.",
+          }
+        );
+        await approveTx.wait();
+      }
+    }
+    if (amountIn.lte(0)) {
+      throw new Error("No collateral released");
+    }
+
+    const vault = new ethers.Contract(getContract(chainId, "Vault"), Vault.abi, library);
+    const refPrice = isLong ? await vault.getMaxPrice(indexTokenAddress) : await vault.getMinPrice(indexTokenAddress);
+    const priceBasisPoints = isLong
+      ? BASIS_POINTS_DIVISOR + savedSlippageAmount
+      : BASIS_POINTS_DIVISOR - savedSlippageAmount;
+    const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
+    const referralCode = ethers.constants.HashZero;
+
+    let method = "createIncreasePosition";
+    let value = minExecutionFee;
+    let params = [
+      path, // _path
+      indexTokenAddress, // _indexToken
+      amountIn, // _amountIn
+      0, // _minOut
+      position.size, // _sizeDelta
+      isLong, // _isLong
+      priceLimit, // _acceptablePrice
+      minExecutionFee, // _executionFee
+      referralCode, // _referralCode
+    ];
+    if (payTokenAddress === AddressZero) {
+      method = "createIncreasePositionETH";
+      value = amountIn.add(minExecutionFee);
+      params = [
+        path, // _path
+        indexTokenAddress, // _indexToken
+        0, // _minOut
+        position.size, // _sizeDelta
+        isLong, // _isLong
+        priceLimit, // _acceptablePrice
+        minExecutionFee, // _executionFee
+        referralCode, // _referralCode
+      ];
+    }
+
+    const contract = new ethers.Contract(positionRouterAddress, PositionRouter.abi, signer);
+    await callContract(chainId, contract, method, params, {
+      value,
+      sentMsg: `${isLong ? "Long" : "Short"} submitted!`,
+      successMsg: `Requested increase of ${position.indexToken.symbol} ${isLong ? "Long" : "Short"} by ${formatAmount(
+        position.size,
+        USD_DECIMALS,
+        2
+      )} USD`,
+      failMsg: `${isLong ? "Long" : "Short"} failed.`,
+      setPendingTxns,
+    });
+
+    const key = getPositionKey(collateralTokenAddress, indexTokenAddress, isLong, nativeTokenAddress);
+    const existingPosition = positionsMap[key];
+    pendingPositions[key] = {
+      updatedAt: Date.now(),
+      pendingChanges: {
+        size: existingPosition ? existingPosition.size.add(position.size) : position.size,
+      },
+    };
+    setPendingPositions({ ...pendingPositions });
+  };
+
+  const onClickPrimary = async () => {
+    if (needPositionRouterApproval) {
+      approvePositionRouter({
+        sentMsg: "Enable leverage sent",
+        failMsg: "Enable leverage failed",
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      let amountIn = releasedAmount;
+      if (!amountIn) {
+        amountIn = await closeAndGetReleasedAmount();
+        if (amountIn.lte(0)) {
+          throw new Error("No collateral released");
+        }
+        setReleasedAmount(amountIn);
+      }
+
+      setSubmitStatus("Opening...");
+      await openPosition(amountIn);
+      setIsVisible(false);
+    } catch (e) {
+      console.error(e);
+      if (!e.code) {
+        // contract call failures are already shown by callContract
+        helperToast.error(e.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const title = `Reverse ${position.isLong ? "Long" : "Short"} ${position.indexToken.symbol}`;
+
+  return (
+    <div className="Confirmation-box PositionReverser">
+      <Modal isVisible={isVisible} setIsVisible={setIsVisible} label={title}>
+        <ExchangeInfoRow label="Close">
+          {position.isLong ? "Long" : "Short"} {position.indexToken.symbol} $
+          {formatAmount(position.size, USD_DECIMALS, 2, true)}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Receive">
+          {formatAmount(payAmount, position.collateralToken.decimals, 4, true)} {payToken.symbol} ($
+          {formatAmount(receiveAmount, USD_DECIMALS, 2, true)})
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Open" isTop>
+          {isLong ? "Long" : "Short"} {position.indexToken.symbol} ${formatAmount(position.size, USD_DECIMALS, 2, true)}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Collateral In">{collateralToken.symbol}</ExchangeInfoRow>
+        <ExchangeInfoRow label="Leverage">
+          {nextLeverage ? `${formatAmount(nextLeverage, 4, 2)}x` : "-"}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Entry Price">${formatAmount(entryPrice, USD_DECIMALS, 2, true)}</ExchangeInfoRow>
+        <ExchangeInfoRow label="Liq. Price">
+          {nextLiquidationPrice ? `$${formatAmount(nextLiquidationPrice, USD_DECIMALS, 2, true)}` : "-"}
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Fees" isTop>
+          <Tooltip
+            handle={`$${formatAmount(totalFees, USD_DECIMALS, 2, true)}`}
+            position="right-bottom"
+            renderContent={() => (
+              <>
+                Closing Fee: ${formatAmount(close.positionFee, USD_DECIMALS, 2, true)}
+                <br />
+                Borrow Fee: ${formatAmount(position.fundingFee, USD_DECIMALS, 2, true)}
+                <br />
+                {swapFees.gt(0) && (
+                  <>
+                    Swap {payToken.symbol} to {collateralToken.symbol} Fee: $
+                    {formatAmount(swapFees, USD_DECIMALS, 2, true)}
+                    <br />
+                  </>
+                )}
+                Opening Fee: ${formatAmount(openFee, USD_DECIMALS, 2, true)}
+              </>
+            )}
+          />
+        </ExchangeInfoRow>
+        <ExchangeInfoRow label="Execution Fees">
+          {minExecutionFee ? `${formatAmount(minExecutionFee.mul(2), 18, 4)} ${nativeTokenSymbol}` : "-"}
+        </ExchangeInfoRow>
+        <div className="Confirmation-box-row">
+          <button className="App-cta Confirmation-box-button" onClick={onClickPrimary} disabled={!isPrimaryEnabled()}>
+            {getPrimaryText()}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -10,9 +10,7 @@ import {
   DEFAULT_SLIPPAGE_AMOUNT,
   DEFAULT_HIGHER_SLIPPAGE_AMOUNT,
   USD_DECIMALS,
-  DUST_USD,
   BASIS_POINTS_DIVISOR,
-  USDG_ADDRESS,
   SLIPPAGE_BPS_KEY,
   TRIGGER_PREFIX_BELOW,
   TRIGGER_PREFIX_ABOVE,
@@ -23,12 +21,22 @@ import {
   parseValue,
   expandDecimals,
   getTokenInfo,
+  getTokenAmount,
+  getDecreaseReceiveAmount,
   getLiquidationPrice,
   getLeverage,
   getPositionFee,
   PRECISION,
   MARKET,
   STOP,
+  SCALED,
+  TRAILING_STOP,
+  TRAILING_STOP_UNITS,
+  TRAILING_STOP_UNIT_USD,
+  TRAILING_STOP_UNIT_PERCENT,
+  SCALED_DISTRIBUTION_EVEN,
+  SCALED_ORDERS_MIN_COUNT,
+  SCALED_ORDERS_MAX_COUNT,
   DECREASE,
   useLocalStorageSerializeKey,
   calculatePositionDelta,
@@ -36,42 +44,76 @@ import {
   getProfitPrice,
   formatDateTime,
   getTimeRemaining,
+  getOrderKey,
+  addOrderGroup,
+  addOrderExpiries,
+  ORDER_EXPIRY_NONE,
+  ORDER_EXPIRY_DURATIONS,
+  getScaledOrderPrices,
+  getScaledOrderAmounts,
+  getTrailingStopTriggerPrice,
+  DEFAULT_TWAP_SETTINGS,
+  getTwapSchedule,
+  getTwapSettingsError,
+  helperToast,
 } from "../../Helpers";
 import { getConstant } from "../../Constants";
-import { createDecreaseOrder, callContract, useHasOutdatedUi } from "../../Api";
+import {
+  createDecreaseOrder,
+  getCreatedOrderIndex,
+  getCreatedOrderKeys,
+  callContract,
+  useHasOutdatedUi,
+} from "../../Api";
 import { getContract } from "../../Addresses";
 import PositionRouter from "../../abis/PositionRouter.json";
 import Checkbox from "../Checkbox/Checkbox";
 import Tab from "../Tab/Tab";
 import Modal from "../Modal/Modal";
 import ExchangeInfoRow from "./ExchangeInfoRow";
+import TwapSettings from "./TwapSettings";
+import ScaledOrdersSettings from "./ScaledOrdersSettings";
+import OrderExpirySettings from "./OrderExpirySettings";
 
 const { AddressZero } = ethers.constants;
 
 const orderOptionLabels = {
   [MARKET]: "Market",
   [STOP]: "Trigger",
+  [SCALED]: "Scaled",
+  [TRAILING_STOP]: "Trailing",
 };
 
-function getTokenAmount(usdAmount, tokenAddress, max, infoTokens) {
-  if (!usdAmount) {
-    return;
-  }
-  if (tokenAddress === USDG_ADDRESS) {
-    return usdAmount.mul(expandDecimals(1, 18)).div(PRECISION);
-  }
-  const info = getTokenInfo(infoTokens, tokenAddress);
-  if (!info) {
-    return;
-  }
-  if (max && !info.maxPrice) {
-    return;
-  }
-  if (!max && !info.minPrice) {
-    return;
+function getScaledDecreaseOrders({ prices, sizeDelta, position, keepLeverage, isClosing }) {
+  if (prices.length === 0 || !sizeDelta || !position) {
+    return [];
   }
+  const sizeDeltas = getScaledOrderAmounts(sizeDelta, prices.length);
+
+  return prices.map((price, i) => {
+    const { delta, hasProfit } = calculatePositionDelta(price, position);
+    const { pendingDelta, pendingDeltaPercentage } = calculatePositionDelta(price, position, sizeDeltas[i]);
+    const { deltaStr } = getDeltaStr({ delta: pendingDelta, deltaPercentage: pendingDeltaPercentage, hasProfit });
+
+    let collateralDelta = bigNumberify(0);
+    if (keepLeverage && !isClosing) {
+      collateralDelta = sizeDeltas[i].mul(position.collateral).div(position.size);
+      // same as for a single order, a realised loss is taken from the collateral first
+      if (!hasProfit) {
+        const adjustedDelta = delta.mul(sizeDeltas[i]).div(position.size);
+        const deductions = adjustedDelta.add(getPositionFee(sizeDeltas[i])).add(position.fundingFee);
+        collateralDelta = collateralDelta.gt(deductions) ? collateralDelta.sub(deductions) : bigNumberify(0);
+      }
+    }
 
-  return usdAmount.mul(expandDecimals(1, info.decimals)).div(max ? info.minPrice : info.maxPrice);
+    return {
+      price,
+      sizeDelta: sizeDeltas[i],
+      collateralDelta,
+      triggerAboveThreshold: price.gt(position.markPrice),
+      deltaStr,
+    };
+  });
 }
 
 export default function PositionSeller(props) {
@@ -81,6 +123,7 @@ export default function PositionSeller(props) {
     setPendingPositions,
     positionsMap,
     positionKey,
+    initialTriggerPrice,
     isVisible,
     setIsVisible,
     account,
@@ -92,6 +135,13 @@ export default function PositionSeller(props) {
     chainId,
     nativeTokenAddress,
     orders,
+    orderGroups,
+    setOrderGroups,
+    orderExpiries,
+    setOrderExpiries,
+    trailingStops,
+    setTrailingStops,
+    addTwapSchedule,
     isWaitingForPluginApproval,
     isPluginApproving,
     orderBookApproved,
@@ -109,6 +159,7 @@ export default function PositionSeller(props) {
   const [fromValue, setFromValue] = useState("");
   const [isProfitWarningAccepted, setIsProfitWarningAccepted] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [twapSettings, setTwapSettings] = useState(DEFAULT_TWAP_SETTINGS);
   const prevIsVisible = usePrevious(isVisible);
   const positionRouterAddress = getContract(chainId, "PositionRouter");
   const nativeTokenSymbol = getConstant(chainId, "nativeTokenSymbol");
@@ -122,14 +173,17 @@ export default function PositionSeller(props) {
     fetcher: fetcher(library, PositionRouter),
   });
 
-  const orderOptions = [MARKET, STOP];
-  let [orderOption, setOrderOption] = useState(MARKET);
+  const orderOptions = [MARKET, STOP, SCALED, TRAILING_STOP];
+  // the seller is mounted when opened, a price picked on the chart opens it as a trigger order
+  let [orderOption, setOrderOption] = useState(initialTriggerPrice ? STOP : MARKET);
 
   if (!flagOrdersEnabled) {
     orderOption = MARKET;
   }
 
   const needPositionRouterApproval = !positionRouterApproved && orderOption === MARKET;
+  const isTriggerOrder = orderOption === STOP || orderOption === TRAILING_STOP;
+  const isTwapOrder = Boolean(addTwapSchedule) && orderOption === MARKET && twapSettings.isEnabled;
 
   const onOrderOptionChange = (option) => {
     setOrderOption(option);
@@ -138,15 +192,63 @@ export default function PositionSeller(props) {
   const onTriggerPriceChange = (evt) => {
     setTriggerPriceValue(evt.target.value || "");
   };
-  const [triggerPriceValue, setTriggerPriceValue] = useState("");
-  const triggerPriceUsd = orderOption === MARKET ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  const [triggerPriceValue, setTriggerPriceValue] = useState(
+    initialTriggerPrice ? formatAmountFree(initialTriggerPrice, USD_DECIMALS, 2) : ""
+  );
+  const [orderExpiry, setOrderExpiry] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-decrease-order-expiry"],
+    ORDER_EXPIRY_NONE
+  );
+  let triggerPriceUsd = orderOption === MARKET ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+
+  const [trailingDistanceValue, setTrailingDistanceValue] = useState("");
+  const [trailingUnit, setTrailingUnit] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-trailing-stop-unit"],
+    TRAILING_STOP_UNIT_PERCENT
+  );
+  // percent distances are kept in basis points
+  const trailingDistance = parseValue(
+    trailingDistanceValue,
+    trailingUnit === TRAILING_STOP_UNIT_PERCENT ? 2 : USD_DECIMALS
+  );
+  if (orderOption === TRAILING_STOP) {
+    // the order is placed at the distance from the current mark price and follows it from there
+    triggerPriceUsd =
+      position &&
+      getTrailingStopTriggerPrice({
+        peakPrice: position.markPrice,
+        distance: trailingDistance,
+        unit: trailingUnit,
+        isLong: position.isLong,
+      });
+  }
+
+  const [scaledFromPriceValue, setScaledFromPriceValue] = useState("");
+  const [scaledToPriceValue, setScaledToPriceValue] = useState("");
+  const [scaledOrdersCountValue, setScaledOrdersCountValue] = useState("5");
+  const [scaledDistribution, setScaledDistribution] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-scaled-distribution"],
+    SCALED_DISTRIBUTION_EVEN
+  );
+  const scaledOrdersCount = parseInt(scaledOrdersCountValue);
+  const scaledOrderPrices = useMemo(() => {
+    if (orderOption !== SCALED) {
+      return [];
+    }
+    return getScaledOrderPrices(
+      parseValue(scaledFromPriceValue, USD_DECIMALS),
+      parseValue(scaledToPriceValue, USD_DECIMALS),
+      scaledOrdersCount,
+      scaledDistribution
+    );
+  }, [orderOption, scaledFromPriceValue, scaledToPriceValue, scaledOrdersCount, scaledDistribution]);
 
   const [nextDelta, nextHasProfit = bigNumberify(0)] = useMemo(() => {
     if (!position) {
       return [bigNumberify(0), false];
     }
 
-    if (orderOption !== STOP) {
+    if (!isTriggerOrder) {
       return [position.delta, position.hasProfit, position.deltaPercentage];
     }
 
@@ -156,10 +258,10 @@ export default function PositionSeller(props) {
 
     const { delta, hasProfit, deltaPercentage } = calculatePositionDelta(triggerPriceUsd, position);
     return [delta, hasProfit, deltaPercentage];
-  }, [position, orderOption, triggerPriceUsd]);
+  }, [position, isTriggerOrder, triggerPriceUsd]);
 
   const existingOrder = useMemo(() => {
-    if (orderOption === STOP && (!triggerPriceUsd || triggerPriceUsd.eq(0))) {
+    if (isTriggerOrder && (!triggerPriceUsd || triggerPriceUsd.eq(0))) {
       return null;
     }
     if (!orders || !position) {
@@ -170,7 +272,7 @@ export default function PositionSeller(props) {
       if (order.type !== DECREASE) continue;
 
       // if user creates Stop-Loss we need only Stop-Loss orders and vice versa
-      if (orderOption === STOP) {
+      if (isTriggerOrder) {
         const triggerAboveThreshold = triggerPriceUsd.gt(position.markPrice);
         if (triggerAboveThreshold !== order.triggerAboveThreshold) continue;
       }
@@ -183,9 +285,9 @@ export default function PositionSeller(props) {
         return order;
       }
     }
-  }, [position, orders, triggerPriceUsd, orderOption, nativeTokenAddress]);
+  }, [position, orders, triggerPriceUsd, isTriggerOrder, nativeTokenAddress]);
 
-  const needOrderBookApproval = orderOption === STOP && !orderBookApproved;
+  const needOrderBookApproval = orderOption !== MARKET && !orderBookApproved;
 
   const { data: hasOutdatedUi } = useHasOutdatedUi();
 
@@ -213,63 +315,21 @@ export default function PositionSeller(props) {
   let title;
   let fundingFee;
   let positionFee;
-  let totalFees;
   if (position) {
     fundingFee = position.fundingFee;
     fromAmount = parseValue(fromValue, USD_DECIMALS);
-    sizeDelta = fromAmount;
 
     title = `Close ${position.isLong ? "Long" : "Short"} ${position.indexToken.symbol}`;
     collateralToken = position.collateralToken;
     liquidationPrice = getLiquidationPrice(position);
 
-    if (fromAmount) {
-      isClosing = position.size.sub(fromAmount).lt(DUST_USD);
-      positionFee = getPositionFee(fromAmount);
-    }
-
-    if (isClosing) {
-      sizeDelta = position.size;
-      receiveAmount = position.collateral;
-    }
-
-    if (sizeDelta) {
-      adjustedDelta = nextDelta.mul(sizeDelta).div(position.size);
-    }
-
-    if (nextHasProfit) {
-      receiveAmount = receiveAmount.add(adjustedDelta);
-    } else {
-      if (receiveAmount.gt(adjustedDelta)) {
-        receiveAmount = receiveAmount.sub(adjustedDelta);
-      } else {
-        receiveAmount = bigNumberify(0);
-      }
-    }
-
-    if (keepLeverage && sizeDelta && !isClosing) {
-      collateralDelta = sizeDelta.mul(position.collateral).div(position.size);
-      // if the position will be realising a loss then reduce collateralDelta by the realised loss
-      if (!nextHasProfit) {
-        const deductions = adjustedDelta.add(positionFee).add(fundingFee);
-        if (collateralDelta.gt(deductions)) {
-          collateralDelta = collateralDelta = collateralDelta.sub(deductions);
-        } else {
-          collateralDelta = bigNumberify(0);
-        }
-      }
-    }
-
-    receiveAmount = receiveAmount.add(collateralDelta);
-
-    if (sizeDelta && positionFee && fundingFee) {
-      totalFees = positionFee.add(fundingFee);
-      if (receiveAmount.gt(totalFees)) {
-        receiveAmount = receiveAmount.sub(totalFees);
-      } else {
-        receiveAmount = bigNumberify(0);
-      }
-    }
+    ({ sizeDelta, isClosing, positionFee, adjustedDelta, collateralDelta, receiveAmount } = getDecreaseReceiveAmount({
+      position,
+      fromAmount,
+      delta: nextDelta,
+      hasProfit: nextHasProfit,
+      keepLeverage,
+    }));
 
     convertedReceiveAmount = getTokenAmount(receiveAmount, collateralToken.address, false, infoTokens);
 
@@ -324,11 +384,19 @@ export default function PositionSeller(props) {
     }
   }
 
+  const scaledOrders = getScaledDecreaseOrders({
+    prices: scaledOrderPrices,
+    sizeDelta,
+    position,
+    keepLeverage,
+    isClosing,
+  });
+
   const [deltaStr, deltaPercentageStr] = useMemo(() => {
     if (!position || !position.markPrice) {
       return ["-", "-"];
     }
-    if (orderOption !== STOP) {
+    if (!isTriggerOrder) {
       const { pendingDelta, pendingDeltaPercentage, hasProfit } = calculatePositionDelta(
         position.markPrice,
         position,
@@ -357,7 +425,7 @@ export default function PositionSeller(props) {
       hasProfit,
     });
     return [deltaStr, deltaPercentageStr];
-  }, [position, triggerPriceUsd, orderOption, fromAmount]);
+  }, [position, triggerPriceUsd, isTriggerOrder, fromAmount]);
 
   const getError = () => {
     if (hasOutdatedUi) {
@@ -369,7 +437,15 @@ export default function PositionSeller(props) {
     if (nextLeverage && nextLeverage.eq(0)) {
       return "Enter an amount";
     }
-    if (orderOption === STOP) {
+    if (orderOption === TRAILING_STOP) {
+      if (!trailingDistance || trailingDistance.eq(0)) {
+        return "Enter a distance";
+      }
+      if (!triggerPriceUsd) {
+        return "Distance exceeds Mark Price";
+      }
+    }
+    if (isTriggerOrder) {
       if (!triggerPriceUsd || triggerPriceUsd.eq(0)) {
         return "Enter Price";
       }
@@ -384,6 +460,23 @@ export default function PositionSeller(props) {
         return "Invalid price, see warning";
       }
     }
+    if (orderOption === SCALED) {
+      if (!scaledOrdersCount || scaledOrdersCount < SCALED_ORDERS_MIN_COUNT) {
+        return `Min orders: ${SCALED_ORDERS_MIN_COUNT}`;
+      }
+      if (scaledOrdersCount > SCALED_ORDERS_MAX_COUNT) {
+        return `Max orders: ${SCALED_ORDERS_MAX_COUNT}`;
+      }
+      if (scaledOrderPrices.length === 0) {
+        return "Enter a price range";
+      }
+      if (position.isLong && scaledOrderPrices.some((price) => price.lte(liquidationPrice))) {
+        return "Price below Liq. Price";
+      }
+      if (!position.isLong && scaledOrderPrices.some((price) => price.gte(liquidationPrice))) {
+        return "Price above Liq. Price";
+      }
+    }
 
     if (!isClosing && position && position.size && fromAmount) {
       if (position.size.sub(fromAmount).lt(expandDecimals(10, USD_DECIMALS))) {
@@ -403,9 +496,13 @@ export default function PositionSeller(props) {
       return "Max leverage: 30.5x";
     }
 
-    if (hasPendingProfit && orderOption !== STOP && !isProfitWarningAccepted) {
+    if (hasPendingProfit && orderOption === MARKET && !isProfitWarningAccepted) {
       return "Forfeit profit not checked";
     }
+
+    if (isTwapOrder) {
+      return getTwapSettingsError(twapSettings);
+    }
   };
 
   const isPrimaryEnabled = () => {
@@ -440,7 +537,7 @@ export default function PositionSeller(props) {
       return error;
     }
 
-    if (orderOption === STOP) {
+    if (orderOption !== MARKET) {
       if (isSubmitting) return "Creating Order...";
 
       if (needOrderBookApproval && isWaitingForPluginApproval) {
@@ -468,6 +565,10 @@ export default function PositionSeller(props) {
       return "Enable Leverage";
     }
 
+    if (isTwapOrder) {
+      return "Start TWAP";
+    }
+
     if (hasPendingProfit) {
       return "Close without profit";
     }
@@ -506,26 +607,18 @@ export default function PositionSeller(props) {
       : position.collateralToken.address;
     const indexTokenAddress = position.indexToken.isNative ? nativeTokenAddress : position.indexToken.address;
 
-    if (orderOption === STOP) {
-      const triggerAboveThreshold = triggerPriceUsd.gt(position.markPrice);
+    if (orderOption === SCALED) {
+      createScaledDecreaseOrders(indexTokenAddress, collateralTokenAddress);
+      return;
+    }
 
-      createDecreaseOrder(
-        chainId,
-        library,
-        indexTokenAddress,
-        sizeDelta,
-        collateralTokenAddress,
-        collateralDelta,
-        position.isLong,
-        triggerPriceUsd,
-        triggerAboveThreshold,
-        {
-          sentMsg: "Order submitted!",
-          successMsg: "Order created!",
-          failMsg: "Order creation failed",
-          setPendingTxns,
-        }
-      )
+    if (orderOption === TRAILING_STOP) {
+      createTrailingStopOrder(indexTokenAddress, collateralTokenAddress);
+      return;
+    }
+
+    if (orderOption === STOP) {
+      createStopOrder(indexTokenAddress, collateralTokenAddress)
         .then(() => {
           setFromValue("");
           setIsVisible(false);
@@ -536,6 +629,11 @@ export default function PositionSeller(props) {
       return;
     }
 
+    if (isTwapOrder) {
+      createDecreaseTwap(indexTokenAddress, collateralTokenAddress);
+      return;
+    }
+
     const tokenAddress0 = collateralTokenAddress === AddressZero ? nativeTokenAddress : collateralTokenAddress;
     const priceBasisPoints = position.isLong
       ? BASIS_POINTS_DIVISOR - allowedSlippage
@@ -598,6 +696,135 @@ export default function PositionSeller(props) {
       });
   };
 
+  const createDecreaseTwap = (indexTokenAddress, collateralTokenAddress) => {
+    // the schedule applies the slippage to the price at each chunk, the min profit price is not enforced per chunk
+    addTwapSchedule(
+      getTwapSchedule({
+        type: DECREASE,
+        account,
+        path: [collateralTokenAddress],
+        indexToken: indexTokenAddress,
+        collateralToken: collateralTokenAddress,
+        isLong: position.isLong,
+        isNative: collateralTokenAddress === nativeTokenAddress,
+        sizeDelta,
+        collateralDelta,
+        startPrice: position.markPrice,
+        slippage: allowedSlippage,
+        settings: twapSettings,
+      })
+    );
+    helperToast.success("TWAP started, keep this tab open until it completes");
+    setIsSubmitting(false);
+    setFromValue("");
+    setIsVisible(false);
+  };
+
+  const createStopOrder = async (indexTokenAddress, collateralTokenAddress) => {
+    const tx = await createDecreaseOrder(
+      chainId,
+      library,
+      indexTokenAddress,
+      sizeDelta,
+      collateralTokenAddress,
+      collateralDelta,
+      position.isLong,
+      triggerPriceUsd,
+      triggerPriceUsd.gt(position.markPrice),
+      {
+        sentMsg: "Order submitted!",
+        successMsg: "Order created!",
+        failMsg: "Order creation failed",
+        setPendingTxns,
+      }
+    );
+    if (ORDER_EXPIRY_DURATIONS[orderExpiry]) {
+      const index = await getCreatedOrderIndex(chainId, tx, DECREASE);
+      setOrderExpiries(addOrderExpiries(orderExpiries, [getOrderKey({ type: DECREASE, account, index })], orderExpiry));
+    }
+    return tx;
+  };
+
+  const createScaledDecreaseOrders = async (indexTokenAddress, collateralTokenAddress) => {
+    const txs = [];
+
+    try {
+      for (let i = 0; i < scaledOrders.length; i++) {
+        const order = scaledOrders[i];
+        const orderNumber = `${i + 1}/${scaledOrders.length}`;
+        const tx = await createDecreaseOrder(
+          chainId,
+          library,
+          indexTokenAddress,
+          order.sizeDelta,
+          collateralTokenAddress,
+          order.collateralDelta,
+          position.isLong,
+          order.price,
+          order.triggerAboveThreshold,
+          {
+            sentMsg: `Order ${orderNumber} submitted!`,
+            successMsg: `Order ${orderNumber} created!`,
+            failMsg: `Order ${orderNumber} creation failed`,
+            setPendingTxns,
+          }
+        );
+        txs.push(tx);
+      }
+    } catch (e) {
+      // the remaining orders are not submitted once one of them fails or is rejected
+      console.error(e);
+    }
+
+    if (txs.length > 0) {
+      const orderKeys = await getCreatedOrderKeys(chainId, account, txs, DECREASE);
+      setOrderGroups(addOrderGroup(orderGroups, orderKeys));
+      setOrderExpiries(addOrderExpiries(orderExpiries, orderKeys, orderExpiry));
+      setFromValue("");
+      setIsVisible(false);
+    }
+    setIsSubmitting(false);
+  };
+
+  const createTrailingStopOrder = async (indexTokenAddress, collateralTokenAddress) => {
+    try {
+      const tx = await createDecreaseOrder(
+        chainId,
+        library,
+        indexTokenAddress,
+        sizeDelta,
+        collateralTokenAddress,
+        collateralDelta,
+        position.isLong,
+        triggerPriceUsd,
+        !position.isLong,
+        {
+          sentMsg: "Order submitted!",
+          successMsg: "Order created!",
+          failMsg: "Order creation failed",
+          setPendingTxns,
+        }
+      );
+      const index = await getCreatedOrderIndex(chainId, tx, DECREASE);
+      const orderKey = getOrderKey({ type: DECREASE, account, index });
+      setTrailingStops({
+        ...trailingStops,
+        [orderKey]: {
+          peakPrice: position.markPrice.toString(),
+          distance: trailingDistance.toString(),
+          unit: trailingUnit,
+          triggerPrice: triggerPriceUsd.toString(),
+        },
+      });
+      setOrderExpiries(addOrderExpiries(orderExpiries, [orderKey], orderExpiry));
+      setFromValue("");
+      setIsVisible(false);
+    } catch (e) {
+      console.error(e);
+    }
+    setIsSubmitting(false);
+  };
+
   const renderExistingOrderWarning = useCallback(() => {
     if (!existingOrder) {
       return;
@@ -662,16 +889,92 @@ export default function PositionSeller(props) {
 
   const DECREASE_ORDER_EXECUTION_GAS_FEE = getConstant(chainId, "DECREASE_ORDER_EXECUTION_GAS_FEE");
   function renderExecutionFee() {
-    if (orderOption !== STOP) {
+    if (orderOption === MARKET) {
       return null;
     }
+    const ordersCount = orderOption === SCALED ? scaledOrderPrices.length : 1;
     return (
       <ExchangeInfoRow label="Execution Fees">
-        {formatAmount(DECREASE_ORDER_EXECUTION_GAS_FEE, 18, 4)} {nativeTokenSymbol}
+        {formatAmount(DECREASE_ORDER_EXECUTION_GAS_FEE.mul(ordersCount), 18, 4)} {nativeTokenSymbol}
       </ExchangeInfoRow>
     );
   }
 
+  function renderScaledOrdersSection() {
+    if (orderOption !== SCALED) {
+      return null;
+    }
+    return (
+      <ScaledOrdersSettings
+        markPrice={position.markPrice}
+        fromPriceValue={scaledFromPriceValue}
+        setFromPriceValue={setScaledFromPriceValue}
+        toPriceValue={scaledToPriceValue}
+        setToPriceValue={setScaledToPriceValue}
+        distribution={scaledDistribution}
+        setDistribution={setScaledDistribution}
+        countValue={scaledOrdersCountValue}
+        setCountValue={setScaledOrdersCountValue}
+        orders={scaledOrders}
+        columns={[
+          {
+            label: "Price",
+            render: ({ price, triggerAboveThreshold }) =>
+              `${triggerAboveThreshold ? TRIGGER_PREFIX_ABOVE : TRIGGER_PREFIX_BELOW} ${formatAmount(
+                price,
+                USD_DECIMALS,
+                2,
+                true
+              )}`,
+          },
+          { label: "Size", render: ({ sizeDelta }) => `$${formatAmount(sizeDelta, USD_DECIMALS, 2, true)}` },
+          { label: "PnL", render: ({ deltaStr }) => deltaStr },
+        ]}
+      />
+    );
+  }
+
+  function renderTrailingStopSection() {
+    if (orderOption !== TRAILING_STOP) {
+      return null;
+    }
+    return (
+      <>
+        <div className="Exchange-swap-section">
+          <div className="Exchange-swap-section-top">
+            <div className="muted">Trailing Distance</div>
+            <Tab
+              options={TRAILING_STOP_UNITS}
+              option={trailingUnit}
+              onChange={setTrailingUnit}
+              type="inline"
+              className="align-right Exchange-trailing-stop-unit-tabs"
+            />
+          </div>
+          <div className="Exchange-swap-section-bottom">
+            <div className="Exchange-swap-input-container">
+              <input
+                type="number"
+                min="0"
+                placeholder="0.0"
+                className="Exchange-swap-input"
+                value={trailingDistanceValue}
+                onChange={(e) => setTrailingDistanceValue(e.target.value || "")}
+              />
+            </div>
+            <div className="PositionEditor-token-symbol">
+              {trailingUnit === TRAILING_STOP_UNIT_USD ? "USD" : TRAILING_STOP_UNIT_PERCENT}
+            </div>
+          </div>
+        </div>
+        <div className="Exchange-trailing-stop-note muted">
+          The trigger follows new {position.isLong ? "highs" : "lows"} of the mark price only while this app is open,
+          each move is a separate transaction.
+        </div>
+      </>
+    );
+  }
+
   const profitPrice = getProfitPrice(orderOption === MARKET ? position.markPrice : triggerPriceUsd, position);
 
   let triggerPricePrefix;
@@ -761,10 +1064,16 @@ export default function PositionSeller(props) {
               </div>
             </div>
           )}
+          {renderScaledOrdersSection()}
+          {renderTrailingStopSection()}
+          {orderOption !== MARKET && <OrderExpirySettings expiry={orderExpiry} setExpiry={setOrderExpiry} />}
+          {addTwapSchedule && orderOption === MARKET && (
+            <TwapSettings settings={twapSettings} setSettings={setTwapSettings} sizeDelta={sizeDelta} />
+          )}
           {renderMinProfitWarning()}
           {shouldShowExistingOrderWarning && renderExistingOrderWarning()}
           <div className="PositionEditor-info-box">
-            {hasPendingProfit && orderOption !== STOP && (
+            {hasPendingProfit && orderOption === MARKET && (
               <div className="PositionEditor-accept-profit-warning">
                 <Checkbox isChecked={isProfitWarningAccepted} setIsChecked={setIsProfitWarningAccepted}>
                   <span className="muted">Forfeit profit</span>
@@ -783,7 +1092,7 @@ export default function PositionSeller(props) {
                 </Checkbox>
               </div>
             )}
-            {orderOption === STOP && (
+            {isTriggerOrder && (
               <div className="Exchange-info-row">
                 <div className="Exchange-info-label">Trigger Price</div>
                 <div className="align-right">
@@ -803,8 +1112,8 @@ export default function PositionSeller(props) {
             <div className="Exchange-info-row">
               <div className="Exchange-info-label">Liq. Price</div>
               <div className="align-right">
-                {isClosing && orderOption !== STOP && "-"}
-                {(!isClosing || orderOption === STOP) && (
+                {isClosing && orderOption === MARKET && "-"}
+                {(!isClosing || orderOption !== MARKET) && (
                   <div>
                     {(!nextLiquidationPrice || nextLiquidationPrice.eq(liquidationPrice)) && (
                       <div>{`$${formatAmount(liquidationPrice, USD_DECIMALS, 2, true)}`}</div>
@@ -1,9 +1,11 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import cx from "classnames";
 
 import Tooltip from "../Tooltip/Tooltip";
 import PositionSeller from "./PositionSeller";
 import PositionEditor from "./PositionEditor";
+import PositionReverser from "./PositionReverser";
+import CloseAllBox from "./CloseAllBox";
 import OrdersToa from "./OrdersToa";
 
 import { ImSpinner2 } from "react-icons/im";
@@ -15,6 +17,8 @@ import {
   getUsd,
   getLeverage,
   formatAmount,
+  formatDateTime,
+  getBorrowFeeProjection,
   USD_DECIMALS,
   SWAP,
   LONG,
@@ -23,6 +27,59 @@ import {
   DECREASE,
 } from "../../Helpers";
 
+function renderBorrowFeeProjection(position) {
+  const projection = getBorrowFeeProjection(position);
+  if (!projection) {
+    return null;
+  }
+  return (
+    <>
+      <br />
+      Borrow Fee / Hour: ${formatAmount(projection.hourlyFee, USD_DECIMALS, 4, true)}
+      <br />
+      Borrow Fee / Day: ${formatAmount(projection.dailyFee, USD_DECIMALS, 2, true)}
+      <br />
+      Borrow Fee / Week: ${formatAmount(projection.weeklyFee, USD_DECIMALS, 2, true)}
+      {projection.liquidationTime && (
+        <>
+          <br />
+          Liq. from Fees: {formatDateTime(projection.liquidationTime)}
+        </>
+      )}
+      <br />
+      <br />
+      Projected at the current borrow rate, assuming the price stays flat.
+    </>
+  );
+}
+
+function renderLiquidationWarning(position, warning, onAddCollateral) {
+  if (!warning) {
+    return null;
+  }
+  return (
+    <div className="Position-list-warning-label negative">
+      {warning.isNearLiquidation
+        ? `${formatAmount(warning.liquidationDistance, 2, 2, true)}% from liq.`
+        : "High leverage"}
+      {warning.depositUsd && (
+        <>
+          ,{" "}
+          <span
+            className="Position-list-warning-action"
+            onClick={(e) => {
+              e.stopPropagation();
+              onAddCollateral(position, warning.depositUsd);
+            }}
+          >
+            add ${formatAmount(warning.depositUsd, USD_DECIMALS, 2, true)}
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
+
 const getOrdersForPosition = (position, orders, nativeTokenAddress) => {
   if (!orders || orders.length === 0) {
     return [];
@@ -59,6 +116,11 @@ export default function PositionsList(props) {
     setPendingPositions,
     positions,
     positionsMap,
+    liquidationWarnings,
+    positionEditRequest,
+    setPositionEditRequest,
+    positionSellRequest,
+    setPositionSellRequest,
     infoTokens,
     active,
     account,
@@ -71,6 +133,14 @@ export default function PositionsList(props) {
     chainId,
     nativeTokenAddress,
     orders,
+    updateOrders,
+    orderGroups,
+    setOrderGroups,
+    orderExpiries,
+    setOrderExpiries,
+    trailingStops,
+    setTrailingStops,
+    addTwapSchedule,
     setIsWaitingForPluginApproval,
     approveOrderBook,
     isPluginApproving,
@@ -82,6 +152,8 @@ export default function PositionsList(props) {
     approvePositionRouter,
     showPnlAfterFees,
     setMarket,
+    usdgSupply,
+    totalTokenWeights,
   } = props;
   const [positionToEditKey, setPositionToEditKey] = useState(undefined);
   const [positionToSellKey, setPositionToSellKey] = useState(undefined);
@@ -90,19 +162,59 @@ export default function PositionsList(props) {
   const [collateralTokenAddress, setCollateralTokenAddress] = useState(undefined);
   const [ordersToaOpen, setOrdersToaOpen] = useState(false);
   const [isHigherSlippageAllowed, setIsHigherSlippageAllowed] = useState(false);
+  const [isCloseAllVisible, setIsCloseAllVisible] = useState(false);
+  const [positionToReverseKey, setPositionToReverseKey] = useState(undefined);
+  const [isPositionReverserVisible, setIsPositionReverserVisible] = useState(false);
+  const [editDepositUsd, setEditDepositUsd] = useState(undefined);
+  const [sellTriggerPrice, setSellTriggerPrice] = useState(undefined);
 
-  const editPosition = (position) => {
+  const editPosition = (position, depositUsd) => {
     setCollateralTokenAddress(position.collateralToken.address);
     setPositionToEditKey(position.key);
+    setEditDepositUsd(depositUsd);
     setIsPositionEditorVisible(true);
   };
 
+  useEffect(() => {
+    if (!positionEditRequest) {
+      return;
+    }
+    const position = positionsMap[positionEditRequest.positionKey];
+    if (position) {
+      setCollateralTokenAddress(position.collateralToken.address);
+      setPositionToEditKey(position.key);
+      setEditDepositUsd(positionEditRequest.depositUsd);
+      setIsPositionEditorVisible(true);
+    }
+    setPositionEditRequest(undefined);
+  }, [positionEditRequest, setPositionEditRequest, positionsMap]);
+
   const sellPosition = (position) => {
     setPositionToSellKey(position.key);
+    setSellTriggerPrice(undefined);
     setIsPositionSellerVisible(true);
     setIsHigherSlippageAllowed(false);
   };
 
+  useEffect(() => {
+    if (!positionSellRequest) {
+      return;
+    }
+    const position = positionsMap[positionSellRequest.positionKey];
+    if (position) {
+      setPositionToSellKey(position.key);
+      setSellTriggerPrice(positionSellRequest.triggerPrice);
+      setIsPositionSellerVisible(true);
+      setIsHigherSlippageAllowed(false);
+    }
+    setPositionSellRequest(undefined);
+  }, [positionSellRequest, setPositionSellRequest, positionsMap]);
+
+  const reversePosition = (position) => {
+    setPositionToReverseKey(position.key);
+    setIsPositionReverserVisible(true);
+  };
+
   const onPositionClick = (position) => {
     helperToast.success(`${position.isLong ? "Long" : "Short"} ${position.indexToken.symbol} market selected`);
     setMarket(position.isLong ? LONG : SHORT, position.indexToken.address);
@@ -122,6 +234,7 @@ export default function PositionsList(props) {
         account={account}
         library={library}
         collateralTokenAddress={collateralTokenAddress}
+        initialDepositUsd={editDepositUsd}
         pendingTxns={pendingTxns}
         setPendingTxns={setPendingTxns}
         getUsd={getUsd}
@@ -151,12 +264,20 @@ export default function PositionsList(props) {
           orderBookApproved={orderBookApproved}
           positionsMap={positionsMap}
           positionKey={positionToSellKey}
+          initialTriggerPrice={sellTriggerPrice}
           isVisible={isPositionSellerVisible}
           setIsVisible={setIsPositionSellerVisible}
           infoTokens={infoTokens}
           active={active}
           account={account}
           orders={orders}
+          orderGroups={orderGroups}
+          setOrderGroups={setOrderGroups}
+          orderExpiries={orderExpiries}
+          setOrderExpiries={setOrderExpiries}
+          trailingStops={trailingStops}
+          setTrailingStops={setTrailingStops}
+          addTwapSchedule={addTwapSchedule}
           library={library}
           pendingTxns={pendingTxns}
           setPendingTxns={setPendingTxns}
@@ -173,6 +294,59 @@ export default function PositionsList(props) {
           setIsHigherSlippageAllowed={setIsHigherSlippageAllowed}
         />
       )}
+      {isPositionReverserVisible && (
+        <PositionReverser
+          pendingPositions={pendingPositions}
+          setPendingPositions={setPendingPositions}
+          positionsMap={positionsMap}
+          positionKey={positionToReverseKey}
+          isVisible={isPositionReverserVisible}
+          setIsVisible={setIsPositionReverserVisible}
+          active={active}
+          account={account}
+          library={library}
+          chainId={chainId}
+          infoTokens={infoTokens}
+          nativeTokenAddress={nativeTokenAddress}
+          setPendingTxns={setPendingTxns}
+          usdgSupply={usdgSupply}
+          totalTokenWeights={totalTokenWeights}
+          positionRouterApproved={positionRouterApproved}
+          isWaitingForPositionRouterApproval={isWaitingForPositionRouterApproval}
+          isPositionRouterApproving={isPositionRouterApproving}
+          approvePositionRouter={approvePositionRouter}
+        />
+      )}
+      {isCloseAllVisible && (
+        <CloseAllBox
+          isVisible={isCloseAllVisible}
+          setIsVisible={setIsCloseAllVisible}
+          active={active}
+          account={account}
+          library={library}
+          chainId={chainId}
+          infoTokens={infoTokens}
+          positions={positions}
+          orders={orders}
+          updateOrders={updateOrders}
+          nativeTokenAddress={nativeTokenAddress}
+          pendingPositions={pendingPositions}
+          setPendingPositions={setPendingPositions}
+          pendingTxns={pendingTxns}
+          setPendingTxns={setPendingTxns}
+          positionRouterApproved={positionRouterApproved}
+          approvePositionRouter={approvePositionRouter}
+          isPositionRouterApproving={isPositionRouterApproving}
+          isWaitingForPositionRouterApproval={isWaitingForPositionRouterApproval}
+        />
+      )}
+      {positions && (positions.length > 0 || (orders && orders.length > 0)) && (
+        <div className="PositionsList-actions">
+          <button className="Exchange-list-action" onClick={() => setIsCloseAllVisible(true)}>
+            Close All
+          </button>
+        </div>
+      )}
       {positions && (
         <div className="Exchange-list small">
           <div>
@@ -182,11 +356,13 @@ export default function PositionsList(props) {
             {positions.map((position) => {
               const positionOrders = getOrdersForPosition(position, orders, nativeTokenAddress);
               const liquidationPrice = getLiquidationPrice(position);
+              const liquidationWarning = liquidationWarnings && liquidationWarnings[position.key];
 
               return (
-                <div key={position.key} className="App-card">
+                <div key={position.key} className={cx("App-card", { "Position-list-warning": liquidationWarning })}>
                   <div className="App-card-title">
                     <span className="Exchange-list-title">{position.indexToken.symbol}</span>
+                    {renderLiquidationWarning(position, liquidationWarning, editPosition)}
                   </div>
                   <div className="App-card-divider"></div>
                   <div className="App-card-content">
@@ -229,6 +405,7 @@ export default function PositionsList(props) {
                                 Initial Collateral: ${formatAmount(position.collateral, USD_DECIMALS, 2, true)}
                                 <br />
                                 Borrow Fee: ${formatAmount(position.fundingFee, USD_DECIMALS, 2, true)}
+                                {renderBorrowFeeProjection(position)}
                                 <br />
                                 <br />
                                 Use the "Edit" button to deposit or withdraw collateral.
@@ -325,6 +502,9 @@ export default function PositionsList(props) {
                     <button className="App-button-option App-card-option" onClick={() => sellPosition(position)}>
                       Close
                     </button>
+                    <button className="App-button-option App-card-option" onClick={() => reversePosition(position)}>
+                      Reverse
+                    </button>
                   </div>
                 </div>
               );
@@ -344,6 +524,7 @@ export default function PositionsList(props) {
             <th>Liq. Price</th>
             <th></th>
             <th></th>
+            <th></th>
           </tr>
           {positions.length === 0 && (
             <tr>
@@ -356,8 +537,9 @@ export default function PositionsList(props) {
             const liquidationPrice = getLiquidationPrice(position) || bigNumberify(0);
             const positionOrders = getOrdersForPosition(position, orders, nativeTokenAddress);
             const hasOrderError = !!positionOrders.find((order) => order.error);
+            const liquidationWarning = liquidationWarnings && liquidationWarnings[position.key];
             return (
-              <tr key={position.key}>
+              <tr key={position.key} className={cx({ "Position-list-warning": liquidationWarning })}>
                 <td className="clickable" onClick={() => onPositionClick(position)}>
                   <div className="Exchange-list-title">
                     {position.indexToken.symbol}
@@ -371,6 +553,7 @@ export default function PositionsList(props) {
                       {position.isLong ? "Long" : "Short"}
                     </span>
                   </div>
+                  {renderLiquidationWarning(position, liquidationWarning, editPosition)}
                 </td>
                 <td>
                   <div>
@@ -475,6 +658,7 @@ export default function PositionsList(props) {
                           Initial Collateral: ${formatAmount(position.collateral, USD_DECIMALS, 2, true)}
                           <br />
                           Borrow Fee: ${formatAmount(position.fundingFee, USD_DECIMALS, 2, true)}
+                          {renderBorrowFeeProjection(position)}
                           <br />
                           <br />
                           Use the "Edit" button to deposit or withdraw collateral.
@@ -525,6 +709,15 @@ export default function PositionsList(props) {
                     Close
                   </button>
                 </td>
+                <td>
+                  <button
+                    className="Exchange-list-action"
+                    onClick={() => reversePosition(position)}
+                    disabled={position.size.eq(0)}
+                  >
+                    Reverse
+                  </button>
+                </td>
               </tr>
             );
           })}
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+
+import {
+  USD_DECIMALS,
+  PRICE_ALERT_ABOVE,
+  PRICE_ALERT_BELOW,
+  PRICE_ALERT_MOVE,
+  PRICE_ALERT_TYPES,
+  formatAmount,
+  parseValue,
+  getPriceAlertPrice,
+} from "../../Helpers";
+import Tab from "../Tab/Tab";
+import Modal from "../Modal/Modal";
+import Checkbox from "../Checkbox/Checkbox";
+
+export default function PriceAlertBox(props) {
+  const { isVisible, setIsVisible, token, addPriceAlert } = props;
+  const [type, setType] = useState(PRICE_ALERT_ABOVE);
+  const [value, setValue] = useState("");
+  const [isRepeating, setIsRepeating] = useState(false);
+
+  const symbol = token.isWrapped ? token.baseSymbol : token.symbol;
+  const price = getPriceAlertPrice(token);
+  const isMove = type === PRICE_ALERT_MOVE;
+  const amount = parseValue(value, isMove ? 2 : USD_DECIMALS);
+
+  const getError = () => {
+    if (!price) {
+      return "Loading...";
+    }
+    if (!amount || amount.eq(0)) {
+      return isMove ? "Enter a percentage" : "Enter a price";
+    }
+    if (type === PRICE_ALERT_ABOVE && amount.lte(price)) {
+      return "Price below current price";
+    }
+    if (type === PRICE_ALERT_BELOW && amount.gte(price)) {
+      return "Price above current price";
+    }
+  };
+
+  const onMarkPriceClick = () => {
+    if (!isMove && price) {
+      setValue(formatAmount(price, USD_DECIMALS, 2));
+    }
+  };
+
+  const onClickPrimary = () => {
+    const createdAt = parseInt(Date.now() / 1000);
+    addPriceAlert({
+      id: `${token.address}-${Date.now()}`,
+      tokenAddress: token.address,
+      symbol,
+      type,
+      triggerPrice: isMove ? undefined : amount.toString(),
+      moveBasisPoints: isMove ? amount.toNumber() : undefined,
+      referencePrice: price.toString(),
+      isRepeating,
+      createdAt,
+    });
+    setValue("");
+    setIsVisible(false);
+  };
+
+  const error = getError();
+
+  return (
+    <div className="Confirmation-box PriceAlertBox">
+      <Modal isVisible={isVisible} setIsVisible={setIsVisible} label={`${symbol} Price Alert`}>
+        <Tab options={PRICE_ALERT_TYPES} option={type} setOption={setType} onChange={() => setValue("")} />
+        <div className="Exchange-swap-section">
+          <div className="Exchange-swap-section-top">
+            <div className="muted">{isMove ? "Move" : "Price"}</div>
+            <div className="muted align-right clickable" onClick={onMarkPriceClick}>
+              Mark: ${formatAmount(price, USD_DECIMALS, 2, true)}
+            </div>
+          </div>
+          <div className="Exchange-swap-section-bottom">
+            <div className="Exchange-swap-input-container">
+              <input
+                type="number"
+                min="0"
+                placeholder="0.0"
+                className="Exchange-swap-input"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              />
+            </div>
+            <div className="PositionEditor-token-symbol">{isMove ? "%" : "USD"}</div>
+          </div>
+        </div>
+        <div className="PriceAlertBox-repeat">
+          <Checkbox isChecked={isRepeating} setIsChecked={setIsRepeating}>
+            <span className="muted">Repeat</span>
+          </Checkbox>
+        </div>
+        <div className="Confirmation-box-row">
+          <button className="App-cta Confirmation-box-button" onClick={onClickPrimary} disabled={Boolean(error)}>
+            {error || "Create Alert"}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React from "react";
+
+import { PRICE_ALERT_SNOOZE_DURATION, formatDateTime, getPriceAlertDescription } from "../../Helpers";
+
+function getPriceAlertStatus(alert, now) {
+  if (alert.snoozedUntil && alert.snoozedUntil > now) {
+    return `Snoozed until ${formatDateTime(alert.snoozedUntil)}`;
+  }
+  if (alert.triggeredAt && !alert.isRepeating) {
+    return "Triggered";
+  }
+  return alert.isRepeating ? "Active, repeating" : "Active";
+}
+
+export default function PriceAlertsList(props) {
+  const { priceAlerts, updatePriceAlert, removePriceAlert } = props;
+  const now = parseInt(Date.now() / 1000);
+
+  const renderActions = (alert, className) => {
+    const isSnoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+    return (
+      <>
+        <button
+          className={className}
+          onClick={() =>
+            updatePriceAlert(alert.id, { snoozedUntil: isSnoozed ? undefined : now + PRICE_ALERT_SNOOZE_DURATION })
+          }
+        >
+          {isSnoozed ? "Unsnooze" : "Snooze 1h"}
+        </button>
+        <button className={className} onClick={() => updatePriceAlert(alert.id, { isRepeating: !alert.isRepeating })}>
+          {alert.isRepeating ? "Don't Repeat" : "Repeat"}
+        </button>
+        <button className={className} onClick={() => removePriceAlert(alert.id)}>
+          Delete
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <React.Fragment>
+      <table className="Exchange-list Orders App-box large">
+        <tbody>
+          <tr className="Exchange-list-header">
+            <th>
+              <div>Alert</div>
+            </th>
+            <th>
+              <div>Status</div>
+            </th>
+            <th>
+              <div>Last Triggered</div>
+            </th>
+            <th colSpan="3"></th>
+          </tr>
+          {priceAlerts.length === 0 && (
+            <tr>
+              <td colSpan="6">No price alerts, use the bell in the chart header to create one</td>
+            </tr>
+          )}
+          {priceAlerts.map((alert) => (
+            <tr className="Exchange-list-item" key={alert.id}>
+              <td>{getPriceAlertDescription(alert)}</td>
+              <td>{getPriceAlertStatus(alert, now)}</td>
+              <td>{alert.triggeredAt ? formatDateTime(alert.triggeredAt) : "-"}</td>
+              <td colSpan="3">{renderActions(alert, "Exchange-list-action")}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="Exchange-list Orders small">
+        {priceAlerts.length === 0 && (
+          <div className="Exchange-empty-positions-list-note App-card">
+            No price alerts, use the bell in the chart header to create one
+          </div>
+        )}
+        {priceAlerts.map((alert) => (
+          <div key={alert.id} className="App-card">
+            <div className="App-card-title-small">{getPriceAlertDescription(alert)}</div>
+            <div className="App-card-divider"></div>
+            <div className="App-card-content">
+              <div className="App-card-row">
+                <div className="label">Status</div>
+                <div>{getPriceAlertStatus(alert, now)}</div>
+              </div>
+              <div className="App-card-row">
+                <div className="label">Last Triggered</div>
+                <div>{alert.triggeredAt ? formatDateTime(alert.triggeredAt) : "-"}</div>
+              </div>
+              <div className="App-card-divider"></div>
+              <div className="App-card-options">{renderActions(alert, "App-button-option App-card-option")}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </React.Fragment>
+  );
+}
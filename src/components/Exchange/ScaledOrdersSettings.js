@@ -0,0 +1,113 @@
+import React from "react";
+
+import {
+  USD_DECIMALS,
+  SCALED_DISTRIBUTIONS,
+  SCALED_ORDERS_MIN_COUNT,
+  SCALED_ORDERS_MAX_COUNT,
+  formatAmount,
+  formatAmountFree,
+} from "../../Helpers";
+import Tab from "../Tab/Tab";
+
+// the preview table columns differ between increase and decrease orders, children are rendered below it
+export default function ScaledOrdersSettings(props) {
+  const {
+    markPrice,
+    fromPriceValue,
+    setFromPriceValue,
+    toPriceValue,
+    setToPriceValue,
+    distribution,
+    setDistribution,
+    countValue,
+    setCountValue,
+    orders,
+    columns,
+    children,
+  } = props;
+
+  const priceInputs = [
+    { label: "From Price", value: fromPriceValue, setValue: setFromPriceValue },
+    { label: "To Price", value: toPriceValue, setValue: setToPriceValue },
+  ];
+
+  return (
+    <>
+      {priceInputs.map(({ label, value, setValue }) => (
+        <div className="Exchange-swap-section" key={label}>
+          <div className="Exchange-swap-section-top">
+            <div className="muted">{label}</div>
+            <div
+              className="muted align-right clickable"
+              onClick={() => {
+                setValue(formatAmountFree(markPrice, USD_DECIMALS, 2));
+              }}
+            >
+              Mark: {formatAmount(markPrice, USD_DECIMALS, 2, true)}
+            </div>
+          </div>
+          <div className="Exchange-swap-section-bottom">
+            <div className="Exchange-swap-input-container">
+              <input
+                type="number"
+                min="0"
+                placeholder="0.0"
+                className="Exchange-swap-input"
+                value={value}
+                onChange={(e) => setValue(e.target.value || "")}
+              />
+            </div>
+            <div className="PositionEditor-token-symbol">USD</div>
+          </div>
+        </div>
+      ))}
+      <div className="Exchange-swap-section">
+        <div className="Exchange-swap-section-top">
+          <div className="muted">Orders</div>
+          <Tab
+            options={SCALED_DISTRIBUTIONS}
+            option={distribution}
+            onChange={setDistribution}
+            type="inline"
+            className="align-right Exchange-scaled-distribution-tabs"
+          />
+        </div>
+        <div className="Exchange-swap-section-bottom">
+          <div className="Exchange-swap-input-container">
+            <input
+              type="number"
+              min={SCALED_ORDERS_MIN_COUNT}
+              max={SCALED_ORDERS_MAX_COUNT}
+              step="1"
+              className="Exchange-swap-input"
+              value={countValue}
+              onChange={(e) => setCountValue(e.target.value || "")}
+            />
+          </div>
+        </div>
+      </div>
+      {orders.length > 0 && (
+        <div className="Exchange-scaled-orders">
+          <table>
+            <tbody>
+              <tr>
+                {columns.map(({ label }) => (
+                  <th key={label}>{label}</th>
+                ))}
+              </tr>
+              {orders.map((order, i) => (
+                <tr key={i}>
+                  {columns.map(({ label, render }) => (
+                    <td key={label}>{render(order)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {children}
+        </div>
+      )}
+    </>
+  );
+}
@@ -22,6 +22,7 @@ import {
   SHORT,
   SWAP,
   MARKET,
+  INCREASE,
   SWAP_ORDER_OPTIONS,
   LEVERAGE_ORDER_OPTIONS,
   DEFAULT_HIGHER_SLIPPAGE_AMOUNT,
@@ -33,6 +34,13 @@ import {
   USDG_ADDRESS,
   STOP,
   LIMIT,
+  SCALED,
+  SCALED_DISTRIBUTION_EVEN,
+  SCALED_ORDERS_MIN_COUNT,
+  SCALED_ORDERS_MAX_COUNT,
+  DEFAULT_TWAP_SETTINGS,
+  getTwapSchedule,
+  getTwapSettingsError,
   SWAP_OPTIONS,
   DUST_BNB,
   isTriggerRatioInverted,
@@ -55,8 +63,18 @@ import {
   useLocalStorageSerializeKey,
   useLocalStorageByChainId,
   calculatePositionDelta,
+  getDeltaStr,
   replaceNativeTokenAddress,
   adjustForDecimals,
+  getOrderKey,
+  addOrderGroup,
+  addOrderExpiries,
+  ORDER_EXPIRY_NONE,
+  ORDER_EXPIRY_DURATIONS,
+  getScaledOrderPrices,
+  getScaledOrderAmounts,
+  getScaledOrdersAveragePrice,
+  getRiskPositionSize,
 } from "../../Helpers";
 import { getConstant } from "../../Constants";
 import * as Api from "../../Api";
@@ -68,6 +86,9 @@ import TokenSelector from "./TokenSelector";
 import ExchangeInfoRow from "./ExchangeInfoRow";
 import ConfirmationBox from "./ConfirmationBox";
 import OrdersToa from "./OrdersToa";
+import TwapSettings from "./TwapSettings";
+import ScaledOrdersSettings from "./ScaledOrdersSettings";
+import OrderExpirySettings from "./OrderExpirySettings";
 
 import { getTokens, getWhitelistedTokens, getToken, getTokenBySymbol } from "../../data/Tokens";
 import PositionRouter from "../../abis/PositionRouter.json";
@@ -86,6 +107,10 @@ const SWAP_ICONS = {
 };
 const { AddressZero } = ethers.constants;
 
+const RISK_UNIT_USD = "USD";
+const RISK_UNIT_PERCENT = "%";
+const RISK_UNITS = [RISK_UNIT_USD, RISK_UNIT_PERCENT];
+
 const leverageSliderHandle = (props) => {
   const { value, dragging, index, ...restProps } = props;
   return (
@@ -119,6 +144,58 @@ function getNextAveragePrice({ size, sizeDelta, hasProfit, delta, nextPrice, isL
   return nextAveragePrice;
 }
 
+function getScaledOrders({ prices, sizeDelta, amountIn, existingPosition, isLong }) {
+  if (prices.length === 0 || !sizeDelta || !amountIn) {
+    return [];
+  }
+  const sizeDeltas = getScaledOrderAmounts(sizeDelta, prices.length);
+  const amountsIn = getScaledOrderAmounts(amountIn, prices.length);
+  let size = existingPosition && existingPosition.size ? existingPosition.size : bigNumberify(0);
+  let averagePrice = existingPosition && existingPosition.averagePrice;
+
+  // average entry price of the position after each order in the range is executed
+  return prices.map((price, i) => {
+    if (size.eq(0)) {
+      averagePrice = price;
+    } else {
+      const priceDelta = averagePrice.gt(price) ? averagePrice.sub(price) : price.sub(averagePrice);
+      averagePrice = getNextAveragePrice({
+        size,
+        sizeDelta: sizeDeltas[i],
+        hasProfit: isLong ? price.gt(averagePrice) : price.lt(averagePrice),
+        delta: size.mul(priceDelta).div(averagePrice),
+        nextPrice: price,
+        isLong,
+      });
+    }
+    size = size.add(sizeDeltas[i]);
+    return { price, sizeDelta: sizeDeltas[i], amountIn: amountsIn[i], averagePrice };
+  });
+}
+
+function getTriggerOrderDelta({ triggerPrice, averagePrice, sizeDelta, collateral, fees, isLong }) {
+  if (!triggerPrice || triggerPrice.eq(0) || !averagePrice || !sizeDelta || !collateral) {
+    return;
+  }
+  if (fees) {
+    collateral = collateral.sub(fees);
+  }
+  if (!collateral.gt(0)) {
+    return;
+  }
+  const { pendingDelta, pendingDeltaPercentage, hasProfit } = calculatePositionDelta(triggerPrice, {
+    size: sizeDelta,
+    collateral,
+    isLong,
+    averagePrice,
+  });
+  return getDeltaStr({
+    delta: pendingDelta,
+    deltaPercentage: pendingDeltaPercentage,
+    hasProfit,
+  });
+}
+
 export default function SwapBox(props) {
   const {
     pendingPositions,
@@ -149,6 +226,10 @@ export default function SwapBox(props) {
     totalTokenWeights,
     usdgSupply,
     orders,
+    orderGroups,
+    setOrderGroups,
+    orderExpiries,
+    setOrderExpiries,
     savedIsPnlInLeverage,
     orderBookApproved,
     positionRouterApproved,
@@ -160,6 +241,9 @@ export default function SwapBox(props) {
     setIsWaitingForPositionRouterApproval,
     isPluginApproving,
     isPositionRouterApproving,
+    addTwapSchedule,
+    orderPrefillRequest,
+    setOrderPrefillRequest,
   } = props;
 
   const [fromValue, setFromValue] = useState("");
@@ -212,31 +296,133 @@ export default function SwapBox(props) {
 
   const [ordersToaOpen, setOrdersToaOpen] = useState(false);
 
-  let [orderOption, setOrderOption] = useLocalStorageSerializeKey([chainId, "Order-option"], MARKET);
-  if (!flagOrdersEnabled) {
-    orderOption = MARKET;
-  }
+  const orderOptions = isSwap ? SWAP_ORDER_OPTIONS : LEVERAGE_ORDER_OPTIONS;
+  const [savedOrderOption, setOrderOption] = useLocalStorageSerializeKey([chainId, "Order-option"], MARKET);
+  const orderOption = useMemo(() => {
+    if (!flagOrdersEnabled || !orderOptions.includes(savedOrderOption)) {
+      return MARKET;
+    }
+    return savedOrderOption;
+  }, [flagOrdersEnabled, orderOptions, savedOrderOption]);
 
   const onOrderOptionChange = (option) => {
     setOrderOption(option);
   };
 
-  const [sellValue, setSellValue] = useState("");
+  const isMarketOrder = orderOption === MARKET;
 
-  const onSellChange = (evt) => {
-    setSellValue(evt.target.value || "");
-  };
+  const isScaledOrder = orderOption === SCALED;
 
-  const isMarketOrder = orderOption === MARKET;
-  const orderOptions = isSwap ? SWAP_ORDER_OPTIONS : LEVERAGE_ORDER_OPTIONS;
+  const [scaledFromPriceValue, setScaledFromPriceValue] = useState("");
+  const [scaledToPriceValue, setScaledToPriceValue] = useState("");
+  const [scaledOrdersCountValue, setScaledOrdersCountValue] = useState("5");
+  const [scaledDistribution, setScaledDistribution] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-scaled-distribution"],
+    SCALED_DISTRIBUTION_EVEN
+  );
+  const scaledOrdersCount = parseInt(scaledOrdersCountValue);
+  const scaledOrderPrices = useMemo(() => {
+    if (!isScaledOrder) {
+      return [];
+    }
+    return getScaledOrderPrices(
+      parseValue(scaledFromPriceValue, USD_DECIMALS),
+      parseValue(scaledToPriceValue, USD_DECIMALS),
+      scaledOrdersCount,
+      scaledDistribution
+    );
+  }, [isScaledOrder, scaledFromPriceValue, scaledToPriceValue, scaledOrdersCount, scaledDistribution]);
 
   const [triggerPriceValue, setTriggerPriceValue] = useState("");
-  const triggerPriceUsd = isMarketOrder ? 0 : parseValue(triggerPriceValue, USD_DECIMALS);
+  const [orderExpiry, setOrderExpiry] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-order-expiry"],
+    ORDER_EXPIRY_NONE
+  );
+  const triggerPriceUsd = useMemo(() => {
+    if (isMarketOrder) {
+      return 0;
+    }
+    if (isScaledOrder) {
+      return getScaledOrdersAveragePrice(scaledOrderPrices);
+    }
+    return parseValue(triggerPriceValue, USD_DECIMALS);
+  }, [isMarketOrder, isScaledOrder, scaledOrderPrices, triggerPriceValue]);
 
   const onTriggerPriceChange = (evt) => {
     setTriggerPriceValue(evt.target.value || "");
   };
 
+  useEffect(() => {
+    if (!orderPrefillRequest) {
+      return;
+    }
+    // the pay amount is kept, only the order type and price are replaced
+    setOrderOption(LIMIT);
+    setTriggerPriceValue(formatAmountFree(orderPrefillRequest.triggerPrice, USD_DECIMALS, 2));
+    setOrderPrefillRequest(undefined);
+  }, [orderPrefillRequest, setOrderPrefillRequest, setOrderOption]);
+
+  const [isTriggerOrdersEnabled, setIsTriggerOrdersEnabled] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-trigger-orders-enabled"],
+    false
+  );
+  const [stopLossValue, setStopLossValue] = useState("");
+  const [takeProfitValue, setTakeProfitValue] = useState("");
+  const canAttachTriggerOrders = !isSwap && flagOrdersEnabled;
+  const showTriggerOrdersSection = canAttachTriggerOrders && isTriggerOrdersEnabled;
+  const [twapSettings, setTwapSettings] = useState(DEFAULT_TWAP_SETTINGS);
+  const isTwapOrder = useMemo(
+    () => Boolean(addTwapSchedule) && !isSwap && isMarketOrder && twapSettings.isEnabled,
+    [addTwapSchedule, isSwap, isMarketOrder, twapSettings.isEnabled]
+  );
+  const [isRiskSizingEnabled, setIsRiskSizingEnabled] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-risk-sizing-enabled"],
+    false
+  );
+  const [riskUnit, setRiskUnit] = useLocalStorageSerializeKey([chainId, "Exchange-swap-risk-unit"], RISK_UNIT_USD);
+  const [riskValue, setRiskValue] = useState("");
+  const [riskStopPriceValue, setRiskStopPriceValue] = useState("");
+  const [isRiskStopLossEnabled, setIsRiskStopLossEnabled] = useLocalStorageSerializeKey(
+    [chainId, "Exchange-swap-risk-stop-loss-enabled"],
+    true
+  );
+  const showRiskSizingSection = !isSwap && isRiskSizingEnabled;
+  const [stopLossPriceUsd, takeProfitPriceUsd, isRiskStopLoss] = useMemo(() => {
+    // trigger orders sized to the whole position cannot be placed before all the chunks are executed
+    if (isTwapOrder) {
+      return [];
+    }
+    // the stop price of risk sizing is used as the stop loss without changing the take profit / stop loss settings
+    const isRiskStopLoss = showRiskSizingSection && isRiskStopLossEnabled && canAttachTriggerOrders;
+    const [stopLoss, takeProfit] = [
+      isRiskStopLoss ? riskStopPriceValue : showTriggerOrdersSection && stopLossValue,
+      showTriggerOrdersSection && takeProfitValue,
+    ].map((value) => {
+      const price = value && parseValue(value, USD_DECIMALS);
+      return price && price.gt(0) ? price : undefined;
+    });
+    return [stopLoss, takeProfit, isRiskStopLoss];
+  }, [
+    showTriggerOrdersSection,
+    isTwapOrder,
+    stopLossValue,
+    takeProfitValue,
+    showRiskSizingSection,
+    isRiskStopLossEnabled,
+    canAttachTriggerOrders,
+    riskStopPriceValue,
+  ]);
+  const hasTriggerOrders = Boolean(stopLossPriceUsd || takeProfitPriceUsd);
+
+  const onRiskSizingChange = (isEnabled) => {
+    setIsRiskSizingEnabled(isEnabled);
+    // the pay amount is derived from the size at the selected leverage
+    if (isEnabled) {
+      setIsLeverageSliderEnabled(true);
+      applyRiskSizing({ isEnabled });
+    }
+  };
+
   const onTriggerRatioChange = (evt) => {
     setTriggerRatioValue(evt.target.value || "");
   };
@@ -266,7 +452,8 @@ export default function SwapBox(props) {
     toTokens = shortableTokens;
   }
 
-  const needOrderBookApproval = !isMarketOrder && !orderBookApproved;
+  const isOrderBookRequired = !isMarketOrder || hasTriggerOrders;
+  const needOrderBookApproval = isOrderBookRequired && !orderBookApproved;
   const prevNeedOrderBookApproval = usePrevious(needOrderBookApproval);
 
   const needPositionRouterApproval = (isLong || isShort) && isMarketOrder && !positionRouterApproved;
@@ -647,6 +834,64 @@ export default function SwapBox(props) {
   const existingLiquidationPrice = existingPosition ? getLiquidationPrice(existingPosition) : undefined;
   let displayLiquidationPrice = liquidationPrice ? liquidationPrice : existingLiquidationPrice;
 
+  // sizing uses the current inputs with the edited ones passed as changes, as state updates are not applied yet
+  function getRiskSizing(changes = {}) {
+    const inputs = {
+      isEnabled: showRiskSizingSection,
+      riskValue,
+      riskUnit,
+      riskStopPriceValue,
+      leverageOption,
+      ...changes,
+    };
+    if (!inputs.isEnabled || !hasLeverageOption || !fromTokenInfo || !fromTokenInfo.minPrice) {
+      return;
+    }
+    let riskUsd = parseValue(inputs.riskValue, USD_DECIMALS);
+    if (inputs.riskUnit === RISK_UNIT_PERCENT) {
+      const balanceUsd = getUsd(fromBalance, fromTokenAddress, false, infoTokens);
+      const riskBasisPoints = parseValue(inputs.riskValue, 2);
+      riskUsd = balanceUsd && riskBasisPoints && balanceUsd.mul(riskBasisPoints).div(BASIS_POINTS_DIVISOR);
+    }
+    const params = {
+      riskUsd,
+      entryPrice: isMarketOrder ? entryMarkPrice : triggerPriceUsd,
+      stopPrice: parseValue(inputs.riskStopPriceValue, USD_DECIMALS),
+      isLong,
+      leverage: bigNumberify(parseInt(Math.min(parseFloat(inputs.leverageOption), 30.5) * BASIS_POINTS_DIVISOR)),
+    };
+    const getPayAmount = (payUsd) => payUsd.mul(expandDecimals(1, fromTokenInfo.decimals)).div(fromTokenInfo.minPrice);
+
+    // the swap fee depends on the pay amount, so it is looked up for the amount sized without it
+    const estimate = getRiskPositionSize(params);
+    if (!estimate) {
+      return;
+    }
+    const { feeBasisPoints } = getNextToAmount(
+      chainId,
+      getPayAmount(estimate.payUsd),
+      fromTokenAddress,
+      collateralTokenAddress,
+      infoTokens,
+      undefined,
+      undefined,
+      usdgSupply,
+      totalTokenWeights
+    );
+    const sizing = getRiskPositionSize({ ...params, swapFeeBasisPoints: feeBasisPoints });
+    return { ...sizing, riskUsd, payAmount: getPayAmount(sizing.payUsd) };
+  }
+
+  // the pay amount is only sized when a risk input is edited, so price updates never overwrite the user's amount
+  function applyRiskSizing(changes) {
+    const riskSizing = getRiskSizing(changes);
+    if (!riskSizing) {
+      return;
+    }
+    setAnchorOnFromAmount(true);
+    setFromValue(formatAmountFree(riskSizing.payAmount, fromToken.decimals, fromToken.decimals));
+  }
+
   if (hasExistingPosition) {
     const collateralDelta = fromUsdMin ? fromUsdMin : bigNumberify(0);
     const sizeDelta = toUsdMax ? toUsdMax : bigNumberify(0);
@@ -761,6 +1006,11 @@ export default function SwapBox(props) {
       return ["Enter an amount"];
     }
 
+    const twapError = isTwapOrder && getTwapSettingsError(twapSettings);
+    if (twapError) {
+      return [twapError];
+    }
+
     let toTokenInfo = getTokenInfo(infoTokens, toTokenAddress);
     if (toTokenInfo && toTokenInfo.isStable) {
       return [`${swapOption === LONG ? "Longing" : "Shorting"} ${toTokenInfo.symbol} not supported`];
@@ -774,7 +1024,17 @@ export default function SwapBox(props) {
     if (leverage && leverage.eq(0)) {
       return ["Enter an amount"];
     }
-    if (!isMarketOrder && (!triggerPriceValue || triggerPriceUsd.eq(0))) {
+    if (isScaledOrder) {
+      if (!scaledOrdersCount || scaledOrdersCount < SCALED_ORDERS_MIN_COUNT) {
+        return [`Min orders: ${SCALED_ORDERS_MIN_COUNT}`];
+      }
+      if (scaledOrdersCount > SCALED_ORDERS_MAX_COUNT) {
+        return [`Max orders: ${SCALED_ORDERS_MAX_COUNT}`];
+      }
+      if (scaledOrderPrices.length === 0) {
+        return ["Enter a price range"];
+      }
+    } else if (!isMarketOrder && (!triggerPriceValue || triggerPriceUsd.eq(0))) {
       return ["Enter a price"];
     }
 
@@ -782,6 +1042,10 @@ export default function SwapBox(props) {
       return ["Min order: 10 USD"];
     }
 
+    if (isScaledOrder && fromUsdMin && fromUsdMin.div(scaledOrdersCount).lt(expandDecimals(10, USD_DECIMALS))) {
+      return ["Min order: 10 USD per order"];
+    }
+
     if (leverage && leverage.lt(1.1 * BASIS_POINTS_DIVISOR)) {
       return ["Min leverage: 1.1x"];
     }
@@ -790,7 +1054,7 @@ export default function SwapBox(props) {
       return ["Max leverage: 30.5x"];
     }
 
-    if (!isMarketOrder && entryMarkPrice && triggerPriceUsd) {
+    if (orderOption === LIMIT && entryMarkPrice && triggerPriceUsd) {
       if (isLong && entryMarkPrice.lt(triggerPriceUsd)) {
         return ["Price above Mark Price"];
       }
@@ -799,6 +1063,48 @@ export default function SwapBox(props) {
       }
     }
 
+    if (orderOption === STOP && entryMarkPrice && triggerPriceUsd) {
+      if (isLong && entryMarkPrice.gt(triggerPriceUsd)) {
+        return ["Price below Mark Price"];
+      }
+      if (!isLong && entryMarkPrice.lt(triggerPriceUsd)) {
+        return ["Price above Mark Price"];
+      }
+    }
+
+    if (isScaledOrder && entryMarkPrice) {
+      if (isLong && scaledOrderPrices.some((price) => entryMarkPrice.lt(price))) {
+        return ["Price above Mark Price"];
+      }
+      if (!isLong && scaledOrderPrices.some((price) => entryMarkPrice.gt(price))) {
+        return ["Price below Mark Price"];
+      }
+    }
+
+    if (stopLossPriceUsd && nextAveragePrice) {
+      if (isLong && stopLossPriceUsd.gte(nextAveragePrice)) {
+        return ["Stop Loss above Entry Price"];
+      }
+      if (!isLong && stopLossPriceUsd.lte(nextAveragePrice)) {
+        return ["Stop Loss below Entry Price"];
+      }
+      if (isLong && displayLiquidationPrice && stopLossPriceUsd.lte(displayLiquidationPrice)) {
+        return ["Stop Loss below Liq. Price"];
+      }
+      if (!isLong && displayLiquidationPrice && stopLossPriceUsd.gte(displayLiquidationPrice)) {
+        return ["Stop Loss above Liq. Price"];
+      }
+    }
+
+    if (takeProfitPriceUsd && nextAveragePrice) {
+      if (isLong && takeProfitPriceUsd.lte(nextAveragePrice)) {
+        return ["Take Profit below Entry Price"];
+      }
+      if (!isLong && takeProfitPriceUsd.gte(nextAveragePrice)) {
+        return ["Take Profit above Entry Price"];
+      }
+    }
+
     if (isLong) {
       let requiredAmount = toAmount;
       if (fromTokenAddress !== toTokenAddress) {
@@ -928,6 +1234,10 @@ export default function SwapBox(props) {
     infoTokens,
     isLong,
     isMarketOrder,
+    orderOption,
+    isScaledOrder,
+    scaledOrdersCount,
+    scaledOrderPrices,
     isShort,
     leverage,
     shortCollateralAddress,
@@ -942,6 +1252,12 @@ export default function SwapBox(props) {
     usdgSupply,
     entryMarkPrice,
     hasOutdatedUi,
+    stopLossPriceUsd,
+    takeProfitPriceUsd,
+    nextAveragePrice,
+    displayLiquidationPrice,
+    isTwapOrder,
+    twapSettings,
   ]);
 
   const getToLabel = () => {
@@ -1261,13 +1577,15 @@ export default function SwapBox(props) {
 
     if (!isMarketOrder) {
       minOut = toAmount;
-      Api.createSwapOrder(chainId, library, path, fromAmount, minOut, triggerRatio, nativeTokenAddress, {
-        sentMsg: "Swap Order submitted!",
-        successMsg: "Swap Order created!",
-        failMsg: "Swap Order creation failed",
-        pendingTxns,
-        setPendingTxns,
-      })
+      createOrderWithExpiry(SWAP, () =>
+        Api.createSwapOrder(chainId, library, path, fromAmount, minOut, triggerRatio, nativeTokenAddress, {
+          sentMsg: "Swap Order submitted!",
+          successMsg: "Swap Order created!",
+          failMsg: "Swap Order creation failed",
+          pendingTxns,
+          setPendingTxns,
+        })
+      )
         .then(() => {
           setIsConfirming(false);
         })
@@ -1312,8 +1630,79 @@ export default function SwapBox(props) {
       });
   };
 
-  const createIncreaseOrder = () => {
-    let path = [fromTokenAddress];
+  const createOrderWithExpiry = async (type, createOrder) => {
+    const tx = await createOrder();
+    if (ORDER_EXPIRY_DURATIONS[orderExpiry]) {
+      const index = await Api.getCreatedOrderIndex(chainId, tx, type);
+      setOrderExpiries(addOrderExpiries(orderExpiries, [getOrderKey({ type, account, index })], orderExpiry));
+    }
+    return tx;
+  };
+
+  const createTriggerOrders = async () => {
+    const triggerOrders = [];
+    if (stopLossPriceUsd) {
+      triggerOrders.push({ label: "Stop Loss", triggerPrice: stopLossPriceUsd, triggerAboveThreshold: !isLong });
+    }
+    if (takeProfitPriceUsd) {
+      triggerOrders.push({ label: "Take Profit", triggerPrice: takeProfitPriceUsd, triggerAboveThreshold: isLong });
+    }
+
+    const failedLabels = [];
+    for (const { label, triggerPrice, triggerAboveThreshold } of triggerOrders) {
+      try {
+        await Api.createDecreaseOrder(
+          chainId,
+          library,
+          indexTokenAddress,
+          toUsdMax,
+          collateralTokenAddress,
+          bigNumberify(0),
+          isLong,
+          triggerPrice,
+          triggerAboveThreshold,
+          {
+            pendingTxns,
+            setPendingTxns,
+            sentMsg: `${label} order submitted!`,
+            successMsg: `${label} order created!`,
+            failMsg: `${label} order creation failed.`,
+          }
+        );
+      } catch (e) {
+        console.error(e);
+        failedLabels.push(label);
+      }
+    }
+    if (failedLabels.length > 0) {
+      helperToast.error(`${failedLabels.join(" and ")} order was not created, the position is not protected by it`);
+    }
+  };
+
+  // trigger orders for a position that is never opened could not execute and would only cost their execution fees
+  const createTriggerOrdersOnExecution = async (tx) => {
+    if (!hasTriggerOrders) {
+      return;
+    }
+    let isExecuted;
+    try {
+      isExecuted = await Api.waitForIncreasePositionRequest(chainId, library, tx);
+    } catch (e) {
+      console.error(e);
+      helperToast.error(
+        "The position increase was not executed in time, Take Profit / Stop Loss orders were not created"
+      );
+      return;
+    }
+    if (!isExecuted) {
+      helperToast.error("The position increase was cancelled, Take Profit / Stop Loss orders were not created");
+      return;
+    }
+    await createTriggerOrders();
+  };
+
+  const getIncreaseOrderPath = () => {
+    const path = [fromTokenAddress];
 
     if (path[0] === USDG_ADDRESS) {
       if (isLong) {
@@ -1324,37 +1713,48 @@ export default function SwapBox(props) {
       }
     }
 
+    return path;
+  };
+
+  const createIncreaseOrder = () => {
+    const path = getIncreaseOrderPath();
     const minOut = 0;
     const indexToken = getToken(chainId, indexTokenAddress);
+    const orderLabel = orderOption.toLowerCase();
     const successMsg = `
-      Created limit order for ${indexToken.symbol} ${isLong ? "Long" : "Short"}: ${formatAmount(
+      Created ${orderLabel} order for ${indexToken.symbol} ${isLong ? "Long" : "Short"}: ${formatAmount(
       toUsdMax,
       USD_DECIMALS,
       2
     )} USD
     `;
-    return Api.createIncreaseOrder(
-      chainId,
-      library,
-      nativeTokenAddress,
-      path,
-      fromAmount,
-      indexTokenAddress,
-      minOut,
-      toUsdMax,
-      collateralTokenAddress,
-      isLong,
-      triggerPriceUsd,
-      {
-        pendingTxns,
-        setPendingTxns,
-        sentMsg: "Limit order submitted!",
-        successMsg,
-        failMsg: "Limit order creation failed.",
-      }
+    const triggerAboveThreshold = orderOption === STOP ? isLong : !isLong;
+    return createOrderWithExpiry(INCREASE, () =>
+      Api.createIncreaseOrder(
+        chainId,
+        library,
+        nativeTokenAddress,
+        path,
+        fromAmount,
+        indexTokenAddress,
+        minOut,
+        toUsdMax,
+        collateralTokenAddress,
+        isLong,
+        triggerPriceUsd,
+        triggerAboveThreshold,
+        {
+          pendingTxns,
+          setPendingTxns,
+          sentMsg: `${orderOption} order submitted!`,
+          successMsg,
+          failMsg: `${orderOption} order creation failed.`,
+        }
+      )
     )
       .then(() => {
         setIsConfirming(false);
+        return createTriggerOrders();
       })
       .finally(() => {
         setIsSubmitting(false);
@@ -1362,10 +1762,61 @@ export default function SwapBox(props) {
       });
   };
 
+  const createScaledIncreaseOrders = async () => {
+    setIsSubmitting(true);
+    const path = getIncreaseOrderPath();
+    const minOut = 0;
+    const indexToken = getToken(chainId, indexTokenAddress);
+    const txs = [];
+
+    try {
+      for (let i = 0; i < scaledOrders.length; i++) {
+        const { price, sizeDelta, amountIn } = scaledOrders[i];
+        const orderNumber = `${i + 1}/${scaledOrders.length}`;
+        const tx = await Api.createIncreaseOrder(
+          chainId,
+          library,
+          nativeTokenAddress,
+          path,
+          amountIn,
+          indexTokenAddress,
+          minOut,
+          sizeDelta,
+          collateralTokenAddress,
+          isLong,
+          price,
+          !isLong,
+          {
+            pendingTxns,
+            setPendingTxns,
+            sentMsg: `Scaled order ${orderNumber} submitted!`,
+            successMsg: `Created scaled order ${orderNumber} for ${indexToken.symbol} ${
+              isLong ? "Long" : "Short"
+            }: ${formatAmount(sizeDelta, USD_DECIMALS, 2)} USD`,
+            failMsg: `Scaled order ${orderNumber} creation failed.`,
+          }
+        );
+        txs.push(tx);
+      }
+    } catch (e) {
+      // the remaining orders are not submitted once one of them fails or is rejected
+      console.error(e);
+    }
+
+    if (txs.length > 0) {
+      const orderKeys = await Api.getCreatedOrderKeys(chainId, account, txs, INCREASE);
+      setOrderGroups(addOrderGroup(orderGroups, orderKeys));
+      setOrderExpiries(addOrderExpiries(orderExpiries, orderKeys, orderExpiry));
+      setIsConfirming(false);
+      await createTriggerOrders();
+    }
+    setIsSubmitting(false);
+    setIsPendingConfirmation(false);
+  };
+
   const referralCode = ethers.constants.HashZero;
 
-  const increasePosition = async () => {
-    setIsSubmitting(true);
+  const getIncreasePath = () => {
     const tokenAddress0 = fromTokenAddress === AddressZero ? nativeTokenAddress : fromTokenAddress;
     const indexTokenAddress = toTokenAddress === AddressZero ? nativeTokenAddress : toTokenAddress;
     let path = [indexTokenAddress]; // assume long
@@ -1388,6 +1839,38 @@ export default function SwapBox(props) {
       }
     }
 
+    return path;
+  };
+
+  const createIncreaseTwap = () => {
+    const indexTokenAddress = toTokenAddress === AddressZero ? nativeTokenAddress : toTokenAddress;
+    const path = getIncreasePath();
+    addTwapSchedule(
+      getTwapSchedule({
+        type: INCREASE,
+        account,
+        path,
+        indexToken: indexTokenAddress,
+        collateralToken: path[path.length - 1],
+        isLong,
+        isNative: fromTokenAddress === AddressZero,
+        sizeDelta: toUsdMax,
+        amountIn: fromAmount,
+        startPrice: isLong ? toTokenInfo.maxPrice : toTokenInfo.minPrice,
+        slippage: allowedSlippage,
+        settings: twapSettings,
+      })
+    );
+    helperToast.success("TWAP started, keep this tab open until it completes");
+    setIsConfirming(false);
+    setIsPendingConfirmation(false);
+  };
+
+  const increasePosition = async () => {
+    setIsSubmitting(true);
+    const indexTokenAddress = toTokenAddress === AddressZero ? nativeTokenAddress : toTokenAddress;
+    let path = getIncreasePath();
+
     const refPrice = isLong ? toTokenInfo.maxPrice : toTokenInfo.minPrice;
     const priceBasisPoints = isLong ? BASIS_POINTS_DIVISOR + allowedSlippage : BASIS_POINTS_DIVISOR - allowedSlippage;
     const priceLimit = refPrice.mul(priceBasisPoints).div(BASIS_POINTS_DIVISOR);
@@ -1470,7 +1953,7 @@ export default function SwapBox(props) {
       failMsg: `${isLong ? "Long" : "Short"} failed.`,
       successMsg,
     })
-      .then(async () => {
+      .then(async (tx) => {
         setIsConfirming(false);
 
         const key = getPositionKey(path[path.length - 1], indexTokenAddress, isLong);
@@ -1487,6 +1970,8 @@ export default function SwapBox(props) {
         };
 
         setPendingPositions({ ...pendingPositions });
+
+        createTriggerOrdersOnExecution(tx);
       })
       .finally(() => {
         setIsSubmitting(false);
@@ -1501,6 +1986,8 @@ export default function SwapBox(props) {
     setToValue("");
     setTriggerPriceValue("");
     setTriggerRatioValue("");
+    setStopLossValue("");
+    setTakeProfitValue("");
 
     if (opt === SHORT && infoTokens) {
       const fromToken = getToken(chainId, tokenSelection[opt].from);
@@ -1531,11 +2018,21 @@ export default function SwapBox(props) {
       return;
     }
 
-    if (orderOption === LIMIT) {
+    if (isScaledOrder) {
+      createScaledIncreaseOrders();
+      return;
+    }
+
+    if (!isMarketOrder) {
       createIncreaseOrder();
       return;
     }
 
+    if (isTwapOrder) {
+      createIncreaseTwap();
+      return;
+    }
+
     increasePosition();
   };
 
@@ -1603,9 +2100,7 @@ export default function SwapBox(props) {
     setIsHigherSlippageAllowed(false);
   };
 
-  const showFromAndToSection = orderOption !== STOP;
-  const showSizeSection = orderOption === STOP;
-  const showTriggerPriceSection = !isSwap && !isMarketOrder;
+  const showTriggerPriceSection = !isSwap && !isMarketOrder && !isScaledOrder;
   const showTriggerRatioSection = isSwap && !isMarketOrder;
 
   let fees;
@@ -1656,6 +2151,31 @@ export default function SwapBox(props) {
     feeBps = feeBasisPoints;
   }
 
+  const scaledOrders = getScaledOrders({
+    prices: scaledOrderPrices,
+    sizeDelta: toUsdMax,
+    amountIn: fromAmount,
+    existingPosition,
+    isLong,
+  });
+
+  const stopLossDelta = getTriggerOrderDelta({
+    triggerPrice: stopLossPriceUsd,
+    averagePrice: nextAveragePrice,
+    sizeDelta: toUsdMax,
+    collateral: fromUsdMin,
+    fees: feesUsd,
+    isLong,
+  });
+  const takeProfitDelta = getTriggerOrderDelta({
+    triggerPrice: takeProfitPriceUsd,
+    averagePrice: nextAveragePrice,
+    sizeDelta: toUsdMax,
+    collateral: fromUsdMin,
+    fees: feesUsd,
+    isLong,
+  });
+
   const leverageMarks = {
     2: "2x",
     5: "5x",
@@ -1695,54 +2215,200 @@ export default function SwapBox(props) {
     setAnchorOnFromAmount(true);
   }
 
-  function shouldShowMaxButton() {
-    if (!fromToken || !fromBalance) {
-      return false;
+  function renderLeverageSection() {
+    if (!isLong && !isShort) {
+      return null;
     }
-    const maxAvailableAmount = fromToken.isNative ? fromBalance.sub(bigNumberify(DUST_BNB).mul(2)) : fromBalance;
-    return fromValue !== formatAmountFree(maxAvailableAmount, fromToken.decimals, fromToken.decimals);
+    return (
+      <div className="Exchange-leverage-box">
+        <div className="Exchange-leverage-slider-settings">
+          <Checkbox isChecked={isLeverageSliderEnabled} setIsChecked={setIsLeverageSliderEnabled}>
+            <span className="muted">Leverage slider</span>
+          </Checkbox>
+        </div>
+        {isLeverageSliderEnabled && (
+          <div
+            className={cx("Exchange-leverage-slider", "App-slider", {
+              positive: isLong,
+              negative: isShort,
+            })}
+          >
+            <Slider
+              min={1.1}
+              max={30.5}
+              step={0.1}
+              marks={leverageMarks}
+              handle={leverageSliderHandle}
+              onChange={(value) => {
+                setLeverageOption(value);
+                applyRiskSizing({ leverageOption: value });
+              }}
+              value={leverageOption}
+              defaultValue={leverageOption}
+            />
+          </div>
+        )}
+        {isShort && (
+          <div className="Exchange-info-row">
+            <div className="Exchange-info-label">Profits In</div>
+            <div className="align-right">
+              <TokenSelector
+                label="Profits In"
+                chainId={chainId}
+                tokenAddress={shortCollateralAddress}
+                onSelectToken={onSelectShortCollateralAddress}
+                tokens={stableTokens}
+                showTokenImgInDropdown={true}
+              />
+            </div>
+          </div>
+        )}
+        {isLong && (
+          <div className="Exchange-info-row">
+            <div className="Exchange-info-label">Profits In</div>
+            <div className="align-right strong">{toToken.symbol}</div>
+          </div>
+        )}
+        <div className="Exchange-info-row">
+          <div className="Exchange-info-label">Leverage</div>
+          <div className="align-right">
+            {hasExistingPosition && toAmount && toAmount.gt(0) && (
+              <div className="inline-block muted">
+                {formatAmount(existingPosition.leverage, 4, 2)}x
+                <BsArrowRight className="transition-arrow" />
+              </div>
+            )}
+            {toAmount && leverage && leverage.gt(0) && `${formatAmount(leverage, 4, 2)}x`}
+            {!toAmount && leverage && leverage.gt(0) && `-`}
+            {leverage && leverage.eq(0) && `-`}
+          </div>
+        </div>
+        <div className="Exchange-info-row">
+          <div className="Exchange-info-label">Entry Price</div>
+          <div className="align-right">
+            {hasExistingPosition && toAmount && toAmount.gt(0) && (
+              <div className="inline-block muted">
+                ${formatAmount(existingPosition.averagePrice, USD_DECIMALS, 2, true)}
+                <BsArrowRight className="transition-arrow" />
+              </div>
+            )}
+            {nextAveragePrice && `$${formatAmount(nextAveragePrice, USD_DECIMALS, 2, true)}`}
+            {!nextAveragePrice && `-`}
+          </div>
+        </div>
+        <div className="Exchange-info-row">
+          <div className="Exchange-info-label">Liq. Price</div>
+          <div className="align-right">
+            {hasExistingPosition && toAmount && toAmount.gt(0) && (
+              <div className="inline-block muted">
+                ${formatAmount(existingLiquidationPrice, USD_DECIMALS, 2, true)}
+                <BsArrowRight className="transition-arrow" />
+              </div>
+            )}
+            {toAmount && displayLiquidationPrice && `$${formatAmount(displayLiquidationPrice, USD_DECIMALS, 2, true)}`}
+            {!toAmount && displayLiquidationPrice && `-`}
+            {!displayLiquidationPrice && `-`}
+          </div>
+        </div>
+        <ExchangeInfoRow label="Fees">
+          <div>
+            {!feesUsd && "-"}
+            {feesUsd && (
+              <Tooltip
+                handle={`$${formatAmount(feesUsd, USD_DECIMALS, 2, true)}`}
+                position="right-bottom"
+                renderContent={() => {
+                  return (
+                    <>
+                      {swapFees && (
+                        <div>
+                          {collateralToken.symbol} is required for collateral. <br />
+                          <br />
+                          Swap {fromToken.symbol} to {collateralToken.symbol} Fee: $
+                          {formatAmount(swapFees, USD_DECIMALS, 2, true)}
+                          <br />
+                          <br />
+                        </div>
+                      )}
+                      <div>
+                        Position Fee (0.1% of position size): ${formatAmount(positionFee, USD_DECIMALS, 2, true)}
+                      </div>
+                    </>
+                  );
+                }}
+              />
+            )}
+          </div>
+        </ExchangeInfoRow>
+      </div>
+    );
   }
 
-  return (
-    <div className="Exchange-swap-box">
-      {/* <div className="Exchange-swap-wallet-box App-box">
-        {active && <div className="Exchange-swap-account" >
-        </div>}
-      </div> */}
-      <div className="Exchange-swap-box-inner App-box-highlight">
-        <div>
-          <Tab
-            icons={SWAP_ICONS}
-            options={SWAP_OPTIONS}
-            option={swapOption}
-            onChange={onSwapOptionChange}
-            className="Exchange-swap-option-tabs"
-          />
-          {flagOrdersEnabled && (
-            <Tab
-              options={orderOptions}
-              className="Exchange-swap-order-type-tabs"
-              type="inline"
-              option={orderOption}
-              onChange={onOrderOptionChange}
-            />
-          )}
+  function renderScaledOrdersSection() {
+    if (!isScaledOrder) {
+      return null;
+    }
+    return (
+      <ScaledOrdersSettings
+        markPrice={entryMarkPrice}
+        fromPriceValue={scaledFromPriceValue}
+        setFromPriceValue={setScaledFromPriceValue}
+        toPriceValue={scaledToPriceValue}
+        setToPriceValue={setScaledToPriceValue}
+        distribution={scaledDistribution}
+        setDistribution={setScaledDistribution}
+        countValue={scaledOrdersCountValue}
+        setCountValue={setScaledOrdersCountValue}
+        orders={scaledOrders}
+        columns={[
+          { label: "Price", render: ({ price }) => `$${formatAmount(price, USD_DECIMALS, 2, true)}` },
+          { label: "Size", render: ({ sizeDelta }) => `$${formatAmount(sizeDelta, USD_DECIMALS, 2, true)}` },
+          {
+            label: "Avg. Entry",
+            render: ({ averagePrice }) => `$${formatAmount(averagePrice, USD_DECIMALS, 2, true)}`,
+          },
+        ]}
+      >
+        <ExchangeInfoRow label="Liq. Price after all orders">
+          {displayLiquidationPrice ? `$${formatAmount(displayLiquidationPrice, USD_DECIMALS, 2, true)}` : "-"}
+        </ExchangeInfoRow>
+      </ScaledOrdersSettings>
+    );
+  }
+
+  function renderRiskSizingSection() {
+    if (isSwap) {
+      return null;
+    }
+    const riskSizing = getRiskSizing();
+    const riskStopPriceUsd = parseValue(riskStopPriceValue, USD_DECIMALS);
+    const isStopBeyondLiquidation =
+      riskSizing &&
+      riskStopPriceUsd &&
+      displayLiquidationPrice &&
+      (isLong ? riskStopPriceUsd.lte(displayLiquidationPrice) : riskStopPriceUsd.gte(displayLiquidationPrice));
+    return (
+      <>
+        <div className="Exchange-trigger-orders-settings">
+          <Checkbox isChecked={isRiskSizingEnabled} setIsChecked={onRiskSizingChange}>
+            <span className="muted">Size by risk</span>
+          </Checkbox>
         </div>
-        {showFromAndToSection && (
+        {showRiskSizingSection && (
           <React.Fragment>
             <div className="Exchange-swap-section">
               <div className="Exchange-swap-section-top">
-                <div className="muted">
-                  {fromUsdMin && (
-                    <div className="Exchange-swap-usd">Pay: {formatAmount(fromUsdMin, USD_DECIMALS, 2, true)} USD</div>
-                  )}
-                  {!fromUsdMin && "Pay"}
-                </div>
-                {fromBalance && (
-                  <div className="muted align-right clickable" onClick={setFromValueToMaximumAvailable}>
-                    Balance: {formatAmount(fromBalance, fromToken.decimals, 4, true)}
-                  </div>
-                )}
+                <div className="muted">Risk</div>
+                <Tab
+                  options={RISK_UNITS}
+                  option={riskUnit}
+                  onChange={(riskUnit) => {
+                    setRiskUnit(riskUnit);
+                    applyRiskSizing({ riskUnit });
+                  }}
+                  type="inline"
+                  className="align-right Exchange-risk-unit-tabs"
+                />
               </div>
               <div className="Exchange-swap-section-bottom">
                 <div className="Exchange-swap-input-container">
@@ -1751,89 +2417,208 @@ export default function SwapBox(props) {
                     min="0"
                     placeholder="0.0"
                     className="Exchange-swap-input"
-                    value={fromValue}
-                    onChange={onFromValueChange}
+                    value={riskValue}
+                    onChange={(e) => {
+                      setRiskValue(e.target.value || "");
+                      applyRiskSizing({ riskValue: e.target.value || "" });
+                    }}
                   />
-                  {shouldShowMaxButton() && (
-                    <div className="Exchange-swap-max" onClick={setFromValueToMaximumAvailable}>
-                      MAX
-                    </div>
-                  )}
                 </div>
-                <div>
-                  <TokenSelector
-                    label="Pay"
-                    chainId={chainId}
-                    tokenAddress={fromTokenAddress}
-                    onSelectToken={onSelectFromToken}
-                    tokens={fromTokens}
-                    infoTokens={infoTokens}
-                    showMintingCap={false}
-                    showTokenImgInDropdown={true}
-                  />
+                <div className="PositionEditor-token-symbol">
+                  {riskUnit === RISK_UNIT_PERCENT ? `% of ${fromToken.symbol} balance` : "USD"}
                 </div>
               </div>
             </div>
-            <div className="Exchange-swap-ball-container">
-              <div className="Exchange-swap-ball" onClick={switchTokens}>
-                <IoMdSwap className="Exchange-swap-ball-icon" />
+            <div className="Exchange-swap-section">
+              <div className="Exchange-swap-section-top">
+                <div className="muted">Stop Price</div>
+                <div
+                  className="muted align-right clickable"
+                  onClick={() => {
+                    const riskStopPriceValue = formatAmountFree(exitMarkPrice, USD_DECIMALS, 2);
+                    setRiskStopPriceValue(riskStopPriceValue);
+                    applyRiskSizing({ riskStopPriceValue });
+                  }}
+                >
+                  Mark: {formatAmount(exitMarkPrice, USD_DECIMALS, 2, true)}
+                </div>
+              </div>
+              <div className="Exchange-swap-section-bottom">
+                <div className="Exchange-swap-input-container">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="0.0"
+                    className="Exchange-swap-input"
+                    value={riskStopPriceValue}
+                    onChange={(e) => {
+                      setRiskStopPriceValue(e.target.value || "");
+                      applyRiskSizing({ riskStopPriceValue: e.target.value || "" });
+                    }}
+                  />
+                </div>
+                <div className="PositionEditor-token-symbol">USD</div>
               </div>
             </div>
+            {canAttachTriggerOrders && (
+              <div className="Exchange-trigger-orders-settings">
+                <Checkbox isChecked={isRiskStopLossEnabled} setIsChecked={setIsRiskStopLossEnabled}>
+                  <span className="muted">Create Stop Loss at this price</span>
+                </Checkbox>
+              </div>
+            )}
+            <ExchangeInfoRow label="Loss at Stop">
+              {riskSizing ? `$${formatAmount(riskSizing.riskUsd, USD_DECIMALS, 2, true)}` : "-"}
+            </ExchangeInfoRow>
+            <ExchangeInfoRow label="Fees at Stop">
+              {riskSizing
+                ? `$${formatAmount(riskSizing.marginFees.add(riskSizing.swapFees), USD_DECIMALS, 2, true)}`
+                : "-"}
+            </ExchangeInfoRow>
+            {!hasLeverageOption && (
+              <div className="Exchange-risk-sizing-warning">Enable the leverage slider to size by risk</div>
+            )}
+            {isStopBeyondLiquidation && (
+              <div className="Exchange-risk-sizing-warning">
+                Stop Price is beyond the Liq. Price, lower the leverage
+              </div>
+            )}
+          </React.Fragment>
+        )}
+      </>
+    );
+  }
+
+  function getTwapConfirmationSettings() {
+    return isTwapOrder ? twapSettings : undefined;
+  }
+
+  function renderTwapSection() {
+    if (!addTwapSchedule || isSwap || !isMarketOrder) {
+      return null;
+    }
+    return <TwapSettings settings={twapSettings} setSettings={setTwapSettings} sizeDelta={toUsdMax} />;
+  }
+
+  function renderOrderExpirySection() {
+    if (!flagOrdersEnabled || isMarketOrder) {
+      return null;
+    }
+    return <OrderExpirySettings expiry={orderExpiry} setExpiry={setOrderExpiry} />;
+  }
+
+  function renderTriggerOrdersSection() {
+    if (!canAttachTriggerOrders || isTwapOrder) {
+      return null;
+    }
+    return (
+      <>
+        <div className="Exchange-trigger-orders-settings">
+          <Checkbox isChecked={isTriggerOrdersEnabled} setIsChecked={setIsTriggerOrdersEnabled}>
+            <span className="muted">Take Profit / Stop Loss</span>
+          </Checkbox>
+        </div>
+        {showTriggerOrdersSection && (
+          <React.Fragment>
             <div className="Exchange-swap-section">
               <div className="Exchange-swap-section-top">
-                <div className="muted">
-                  {toUsdMax && (
-                    <div className="Exchange-swap-usd">
-                      {getToLabel()}: {formatAmount(toUsdMax, USD_DECIMALS, 2, true)} USD
-                    </div>
-                  )}
-                  {!toUsdMax && getToLabel()}
-                </div>
-                {toBalance && isSwap && (
-                  <div className="muted align-right">Balance: {formatAmount(toBalance, toToken.decimals, 4, true)}</div>
-                )}
-                {(isLong || isShort) && hasLeverageOption && (
-                  <div className="muted align-right">Leverage: {parseFloat(leverageOption).toFixed(2)}x</div>
+                <div className="muted">Stop Loss</div>
+                {stopLossDelta && (
+                  <div className="muted align-right">
+                    PnL: {stopLossDelta.deltaStr} ({stopLossDelta.deltaPercentageStr})
+                  </div>
                 )}
               </div>
               <div className="Exchange-swap-section-bottom">
-                <div>
+                <div className="Exchange-swap-input-container">
                   <input
                     type="number"
                     min="0"
                     placeholder="0.0"
                     className="Exchange-swap-input"
-                    value={toValue}
-                    onChange={onToValueChange}
+                    value={isRiskStopLoss ? riskStopPriceValue : stopLossValue}
+                    disabled={isRiskStopLoss}
+                    title={isRiskStopLoss ? "The stop loss is set to the stop price of the risk sizing" : undefined}
+                    onChange={(e) => setStopLossValue(e.target.value || "")}
                   />
                 </div>
-                <div>
-                  <TokenSelector
-                    label={getTokenLabel()}
-                    chainId={chainId}
-                    tokenAddress={toTokenAddress}
-                    onSelectToken={onSelectToToken}
-                    tokens={toTokens}
-                    infoTokens={infoTokens}
-                    showTokenImgInDropdown={true}
+                <div className="PositionEditor-token-symbol">USD</div>
+              </div>
+            </div>
+            <div className="Exchange-swap-section">
+              <div className="Exchange-swap-section-top">
+                <div className="muted">Take Profit</div>
+                {takeProfitDelta && (
+                  <div className="muted align-right">
+                    PnL: {takeProfitDelta.deltaStr} ({takeProfitDelta.deltaPercentageStr})
+                  </div>
+                )}
+              </div>
+              <div className="Exchange-swap-section-bottom">
+                <div className="Exchange-swap-input-container">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="0.0"
+                    className="Exchange-swap-input"
+                    value={takeProfitValue}
+                    onChange={(e) => setTakeProfitValue(e.target.value || "")}
                   />
                 </div>
+                <div className="PositionEditor-token-symbol">USD</div>
               </div>
             </div>
           </React.Fragment>
         )}
-        {showSizeSection && (
+      </>
+    );
+  }
+
+  function shouldShowMaxButton() {
+    if (!fromToken || !fromBalance) {
+      return false;
+    }
+    const maxAvailableAmount = fromToken.isNative ? fromBalance.sub(bigNumberify(DUST_BNB).mul(2)) : fromBalance;
+    return fromValue !== formatAmountFree(maxAvailableAmount, fromToken.decimals, fromToken.decimals);
+  }
+
+  return (
+    <div className="Exchange-swap-box">
+      {/* <div className="Exchange-swap-wallet-box App-box">
+        {active && <div className="Exchange-swap-account" >
+        </div>}
+      </div> */}
+      <div className="Exchange-swap-box-inner App-box-highlight">
+        <div>
+          <Tab
+            icons={SWAP_ICONS}
+            options={SWAP_OPTIONS}
+            option={swapOption}
+            onChange={onSwapOptionChange}
+            className="Exchange-swap-option-tabs"
+          />
+          {flagOrdersEnabled && (
+            <Tab
+              options={orderOptions}
+              className="Exchange-swap-order-type-tabs"
+              type="inline"
+              option={orderOption}
+              onChange={onOrderOptionChange}
+            />
+          )}
+        </div>
+        <React.Fragment>
           <div className="Exchange-swap-section">
             <div className="Exchange-swap-section-top">
-              <div className="muted">Sell, USD</div>
-              {existingPosition && (
-                <div
-                  className="muted align-right clickable"
-                  onClick={() => {
-                    setSellValue(formatAmountFree(existingPosition.size, USD_DECIMALS, 2));
-                  }}
-                >
-                  Position: {formatAmount(existingPosition.size, USD_DECIMALS, 2, true)}
+              <div className="muted">
+                {fromUsdMin && (
+                  <div className="Exchange-swap-usd">Pay: {formatAmount(fromUsdMin, USD_DECIMALS, 2, true)} USD</div>
+                )}
+                {!fromUsdMin && "Pay"}
+              </div>
+              {fromBalance && (
+                <div className="muted align-right clickable" onClick={setFromValueToMaximumAvailable}>
+                  Balance: {formatAmount(fromBalance, fromToken.decimals, 4, true)}
                 </div>
               )}
             </div>
@@ -1844,33 +2629,76 @@ export default function SwapBox(props) {
                   min="0"
                   placeholder="0.0"
                   className="Exchange-swap-input"
-                  value={sellValue}
-                  onChange={onSellChange}
+                  value={fromValue}
+                  onChange={onFromValueChange}
                 />
-                {existingPosition && sellValue !== formatAmountFree(existingPosition.size, USD_DECIMALS, 2) && (
-                  <div
-                    className="Exchange-swap-max"
-                    onClick={() => {
-                      setSellValue(formatAmountFree(existingPosition.size, USD_DECIMALS, 2));
-                    }}
-                  >
+                {shouldShowMaxButton() && (
+                  <div className="Exchange-swap-max" onClick={setFromValueToMaximumAvailable}>
                     MAX
                   </div>
                 )}
               </div>
               <div>
                 <TokenSelector
-                  label="To"
+                  label="Pay"
+                  chainId={chainId}
+                  tokenAddress={fromTokenAddress}
+                  onSelectToken={onSelectFromToken}
+                  tokens={fromTokens}
+                  infoTokens={infoTokens}
+                  showMintingCap={false}
+                  showTokenImgInDropdown={true}
+                />
+              </div>
+            </div>
+          </div>
+          <div className="Exchange-swap-ball-container">
+            <div className="Exchange-swap-ball" onClick={switchTokens}>
+              <IoMdSwap className="Exchange-swap-ball-icon" />
+            </div>
+          </div>
+          <div className="Exchange-swap-section">
+            <div className="Exchange-swap-section-top">
+              <div className="muted">
+                {toUsdMax && (
+                  <div className="Exchange-swap-usd">
+                    {getToLabel()}: {formatAmount(toUsdMax, USD_DECIMALS, 2, true)} USD
+                  </div>
+                )}
+                {!toUsdMax && getToLabel()}
+              </div>
+              {toBalance && isSwap && (
+                <div className="muted align-right">Balance: {formatAmount(toBalance, toToken.decimals, 4, true)}</div>
+              )}
+              {(isLong || isShort) && hasLeverageOption && (
+                <div className="muted align-right">Leverage: {parseFloat(leverageOption).toFixed(2)}x</div>
+              )}
+            </div>
+            <div className="Exchange-swap-section-bottom">
+              <div>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="0.0"
+                  className="Exchange-swap-input"
+                  value={toValue}
+                  onChange={onToValueChange}
+                />
+              </div>
+              <div>
+                <TokenSelector
+                  label={getTokenLabel()}
                   chainId={chainId}
                   tokenAddress={toTokenAddress}
                   onSelectToken={onSelectToToken}
                   tokens={toTokens}
                   infoTokens={infoTokens}
+                  showTokenImgInDropdown={true}
                 />
               </div>
             </div>
           </div>
-        )}
+        </React.Fragment>
         {showTriggerRatioSection && (
           <div className="Exchange-swap-section">
             <div className="Exchange-swap-section-top">
@@ -1946,6 +2774,11 @@ export default function SwapBox(props) {
             </div>
           </div>
         )}
+        {renderScaledOrdersSection()}
+        {renderRiskSizingSection()}
+        {renderTwapSection()}
+        {renderOrderExpirySection()}
+        {renderTriggerOrdersSection()}
         {isSwap && (
           <div className="Exchange-swap-box-info">
             <ExchangeInfoRow label="Fees">
@@ -1961,128 +2794,7 @@ export default function SwapBox(props) {
             </ExchangeInfoRow>
           </div>
         )}
-        {(isLong || isShort) && (
-          <div className="Exchange-leverage-box">
-            <div className="Exchange-leverage-slider-settings">
-              <Checkbox isChecked={isLeverageSliderEnabled} setIsChecked={setIsLeverageSliderEnabled}>
-                <span className="muted">Leverage slider</span>
-              </Checkbox>
-            </div>
-            {isLeverageSliderEnabled && (
-              <div
-                className={cx("Exchange-leverage-slider", "App-slider", {
-                  positive: isLong,
-                  negative: isShort,
-                })}
-              >
-                <Slider
-                  min={1.1}
-                  max={30.5}
-                  step={0.1}
-                  marks={leverageMarks}
-                  handle={leverageSliderHandle}
-                  onChange={(value) => setLeverageOption(value)}
-                  value={leverageOption}
-                  defaultValue={leverageOption}
-                />
-              </div>
-            )}
-            {isShort && (
-              <div className="Exchange-info-row">
-                <div className="Exchange-info-label">Profits In</div>
-                <div className="align-right">
-                  <TokenSelector
-                    label="Profits In"
-                    chainId={chainId}
-                    tokenAddress={shortCollateralAddress}
-                    onSelectToken={onSelectShortCollateralAddress}
-                    tokens={stableTokens}
-                    showTokenImgInDropdown={true}
-                  />
-                </div>
-              </div>
-            )}
-            {isLong && (
-              <div className="Exchange-info-row">
-                <div className="Exchange-info-label">Profits In</div>
-                <div className="align-right strong">{toToken.symbol}</div>
-              </div>
-            )}
-            <div className="Exchange-info-row">
-              <div className="Exchange-info-label">Leverage</div>
-              <div className="align-right">
-                {hasExistingPosition && toAmount && toAmount.gt(0) && (
-                  <div className="inline-block muted">
-                    {formatAmount(existingPosition.leverage, 4, 2)}x
-                    <BsArrowRight className="transition-arrow" />
-                  </div>
-                )}
-                {toAmount && leverage && leverage.gt(0) && `${formatAmount(leverage, 4, 2)}x`}
-                {!toAmount && leverage && leverage.gt(0) && `-`}
-                {leverage && leverage.eq(0) && `-`}
-              </div>
-            </div>
-            <div className="Exchange-info-row">
-              <div className="Exchange-info-label">Entry Price</div>
-              <div className="align-right">
-                {hasExistingPosition && toAmount && toAmount.gt(0) && (
-                  <div className="inline-block muted">
-                    ${formatAmount(existingPosition.averagePrice, USD_DECIMALS, 2, true)}
-                    <BsArrowRight className="transition-arrow" />
-                  </div>
-                )}
-                {nextAveragePrice && `$${formatAmount(nextAveragePrice, USD_DECIMALS, 2, true)}`}
-                {!nextAveragePrice && `-`}
-              </div>
-            </div>
-            <div className="Exchange-info-row">
-              <div className="Exchange-info-label">Liq. Price</div>
-              <div className="align-right">
-                {hasExistingPosition && toAmount && toAmount.gt(0) && (
-                  <div className="inline-block muted">
-                    ${formatAmount(existingLiquidationPrice, USD_DECIMALS, 2, true)}
-                    <BsArrowRight className="transition-arrow" />
-                  </div>
-                )}
-                {toAmount &&
-                  displayLiquidationPrice &&
-                  `$${formatAmount(displayLiquidationPrice, USD_DECIMALS, 2, true)}`}
-                {!toAmount && displayLiquidationPrice && `-`}
-                {!displayLiquidationPrice && `-`}
-              </div>
-            </div>
-            <ExchangeInfoRow label="Fees">
-              <div>
-                {!feesUsd && "-"}
-                {feesUsd && (
-                  <Tooltip
-                    handle={`$${formatAmount(feesUsd, USD_DECIMALS, 2, true)}`}
-                    position="right-bottom"
-                    renderContent={() => {
-                      return (
-                        <>
-                          {swapFees && (
-                            <div>
-                              {collateralToken.symbol} is required for collateral. <br />
-                              <br />
-                              Swap {fromToken.symbol} to {collateralToken.symbol} Fee: $
-                              {formatAmount(swapFees, USD_DECIMALS, 2, true)}
-                              <br />
-                              <br />
-                            </div>
-                          )}
-                          <div>
-                            Position Fee (0.1% of position size): ${formatAmount(positionFee, USD_DECIMALS, 2, true)}
-                          </div>
-                        </>
-                      );
-                    }}
-                  />
-                )}
-              </div>
-            </ExchangeInfoRow>
-          </div>
-        )}
+        {renderLeverageSection()}
         <div className="Exchange-swap-button-container">
           <button className="App-cta Exchange-swap-button" onClick={onClickPrimary} disabled={!isPrimaryEnabled()}>
             {getPrimaryText()}
@@ -2291,6 +3003,12 @@ export default function SwapBox(props) {
           nextAveragePrice={nextAveragePrice}
           triggerPriceUsd={triggerPriceUsd}
           triggerRatio={triggerRatio}
+          scaledOrders={scaledOrders}
+          twapSettings={getTwapConfirmationSettings()}
+          stopLossPriceUsd={stopLossPriceUsd}
+          takeProfitPriceUsd={takeProfitPriceUsd}
+          stopLossDelta={stopLossDelta}
+          takeProfitDelta={takeProfitDelta}
           fees={fees}
           feesUsd={feesUsd}
           isSubmitting={isSubmitting}
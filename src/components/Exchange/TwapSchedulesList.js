@@ -0,0 +1,157 @@
+import React from "react";
+
+import {
+  INCREASE,
+  USD_DECIMALS,
+  TWAP_ACTIVE,
+  TWAP_PAUSED,
+  TWAP_CANCELLED,
+  bigNumberify,
+  formatAmount,
+  formatDateTime,
+  getTokenInfo,
+  getTwapAveragePrice,
+} from "../../Helpers";
+
+export default function TwapSchedulesList(props) {
+  const { infoTokens, nativeTokenAddress, twapSchedules, updateTwapSchedule, removeTwapSchedule } = props;
+  const schedules = [...twapSchedules].sort((a, b) => b.createdAt - a.createdAt);
+
+  const getScheduleInfo = (schedule) => {
+    const indexToken = getTokenInfo(infoTokens, schedule.indexToken, true, nativeTokenAddress);
+    const title = `${schedule.type === INCREASE ? "Increase" : "Decrease"} ${indexToken.symbol} ${
+      schedule.isLong ? "Long" : "Short"
+    } by $${formatAmount(schedule.sizeDelta, USD_DECIMALS, 2, true)}`;
+
+    const filledSize = schedule.fills.reduce((sum, fill) => sum.add(fill.sizeDelta), bigNumberify(0));
+    const filledUsd = formatAmount(filledSize, USD_DECIMALS, 2, true);
+    const progress = `${schedule.fills.length}/${schedule.chunks} ($${filledUsd})`;
+
+    const averagePrice = getTwapAveragePrice(schedule);
+    const isRunning = schedule.status === TWAP_ACTIVE || schedule.status === TWAP_PAUSED;
+    let nextChunk = isRunning ? formatDateTime(Math.max(schedule.nextExecutionAt, Date.now()) / 1000) : "-";
+    if (schedule.pendingChunk) {
+      nextChunk = "Executing...";
+    }
+    const status = schedule.pauseReason ? `${schedule.status}: ${schedule.pauseReason}` : schedule.status;
+
+    return {
+      title,
+      progress,
+      averagePrice: averagePrice ? `$${formatAmount(averagePrice, USD_DECIMALS, 2, true)}` : "-",
+      nextChunk,
+      status,
+      isRunning,
+    };
+  };
+
+  const renderActions = (schedule, isRunning, className) => {
+    if (!isRunning) {
+      return (
+        <button className={className} onClick={() => removeTwapSchedule(schedule.id)}>
+          Remove
+        </button>
+      );
+    }
+    const isPaused = schedule.status === TWAP_PAUSED;
+    return (
+      <>
+        <button
+          className={className}
+          onClick={() =>
+            isPaused
+              ? updateTwapSchedule(schedule.id, { status: TWAP_ACTIVE, pauseReason: undefined, isAutoPaused: false })
+              : updateTwapSchedule(schedule.id, { status: TWAP_PAUSED, pauseReason: "Paused", isAutoPaused: false })
+          }
+        >
+          {isPaused ? "Resume" : "Pause"}
+        </button>
+        <button
+          className={className}
+          onClick={() => updateTwapSchedule(schedule.id, { status: TWAP_CANCELLED, pauseReason: undefined })}
+        >
+          Cancel
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <React.Fragment>
+      <table className="Exchange-list Orders App-box large">
+        <tbody>
+          <tr className="Exchange-list-header">
+            <th>
+              <div>Schedule</div>
+            </th>
+            <th>
+              <div>Progress</div>
+            </th>
+            <th>
+              <div>Avg. Price</div>
+            </th>
+            <th>
+              <div>Next Chunk</div>
+            </th>
+            <th>
+              <div>Status</div>
+            </th>
+            <th colSpan="2"></th>
+          </tr>
+          {schedules.length === 0 && (
+            <tr>
+              <td colSpan="7">No TWAP schedules</td>
+            </tr>
+          )}
+          {schedules.map((schedule) => {
+            const { title, progress, averagePrice, nextChunk, status, isRunning } = getScheduleInfo(schedule);
+            return (
+              <tr className="Exchange-list-item" key={schedule.id}>
+                <td>{title}</td>
+                <td>{progress}</td>
+                <td>{averagePrice}</td>
+                <td>{nextChunk}</td>
+                <td>{status}</td>
+                <td colSpan="2">{renderActions(schedule, isRunning, "Exchange-list-action")}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="Exchange-list Orders small">
+        {schedules.length === 0 && <div className="Exchange-empty-positions-list-note App-card">No TWAP schedules</div>}
+        {schedules.map((schedule) => {
+          const { title, progress, averagePrice, nextChunk, status, isRunning } = getScheduleInfo(schedule);
+          return (
+            <div key={schedule.id} className="App-card">
+              <div className="App-card-title-small">{title}</div>
+              <div className="App-card-divider"></div>
+              <div className="App-card-content">
+                <div className="App-card-row">
+                  <div className="label">Progress</div>
+                  <div>{progress}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Avg. Price</div>
+                  <div>{averagePrice}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Next Chunk</div>
+                  <div>{nextChunk}</div>
+                </div>
+                <div className="App-card-row">
+                  <div className="label">Status</div>
+                  <div>{status}</div>
+                </div>
+                <div className="App-card-divider"></div>
+                <div className="App-card-options">
+                  {renderActions(schedule, isRunning, "App-button-option App-card-option")}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </React.Fragment>
+  );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+
+import { USD_DECIMALS, formatAmount, getScaledOrderAmounts, getTwapSettingsError } from "../../Helpers";
+import Checkbox from "../Checkbox/Checkbox";
+
+export default function TwapSettings(props) {
+  const { settings, setSettings, sizeDelta } = props;
+
+  const inputs = [
+    { label: "Chunks", name: "chunks", step: "1" },
+    { label: "Every (min)", name: "interval", step: "1" },
+    { label: "Band (%)", name: "band", step: "0.1" },
+  ];
+
+  const renderSummary = () => {
+    if (getTwapSettingsError(settings) || !sizeDelta || sizeDelta.eq(0)) {
+      return null;
+    }
+    const chunks = parseInt(settings.chunks);
+    const [chunkSize] = getScaledOrderAmounts(sizeDelta, chunks);
+    return (
+      <div className="Exchange-twap-summary muted">
+        {chunks} chunks of ${formatAmount(chunkSize, USD_DECIMALS, 2, true)} every {settings.interval} min, paused while
+        the price is more than {settings.band}% away from the start. Each chunk is a separate request that is only sent
+        while this app is open.
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div className="Exchange-twap-settings">
+        <Checkbox isChecked={settings.isEnabled} setIsChecked={(isEnabled) => setSettings({ ...settings, isEnabled })}>
+          <span className="muted">Execute as TWAP</span>
+        </Checkbox>
+      </div>
+      {settings.isEnabled && (
+        <>
+          <div className="Exchange-swap-section Exchange-twap-inputs">
+            {inputs.map(({ label, name, step }) => (
+              <div key={name}>
+                <div className="muted">{label}</div>
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  className="Exchange-swap-input"
+                  value={settings[name]}
+                  onChange={(e) => setSettings({ ...settings, [name]: e.target.value || "" })}
+                />
+              </div>
+            ))}
+          </div>
+          {renderSummary()}
+        </>
+      )}
+    </>
+  );
+}
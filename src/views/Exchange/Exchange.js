@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 
 import { useWeb3React } from "@web3-react/core";
 import useSWR from "swr";
@@ -7,10 +7,12 @@ import { ethers } from "ethers";
 import {
   ARBITRUM,
   AVALANCHE,
-  FUNDING_RATE_PRECISION,
+  getFundingFee,
   BASIS_POINTS_DIVISOR,
   MARGIN_FEE_BASIS_POINTS,
   SWAP,
+  INCREASE,
+  DECREASE,
   LONG,
   SHORT,
   USD_DECIMALS,
@@ -29,9 +31,29 @@ import {
   useChainId,
   getInfoTokens,
   useAccountOrders,
+  ORDER_GROUPS_KEY,
+  pruneOrderGroups,
+  OCO_LINKS_KEY,
+  getOrderKey,
+  unlinkOcoOrder,
+  POSITION_REQUEST_PENDING,
+  TWAP_ACTIVE,
+  TWAP_PAUSED,
+  POSITION_REQUEST_EXECUTED,
+  POSITION_REQUEST_CANCELLED,
+  getLiquidationWarning,
+  getLiquidationWarningText,
 } from "../../Helpers";
 import { getConstant } from "../../Constants";
-import { approvePlugin } from "../../Api";
+import {
+  approvePlugin,
+  cancelDecreaseOrder,
+  useTrailingStops,
+  useOrderExpiries,
+  usePositionRequests,
+  useTwapSchedules,
+  usePriceAlerts,
+} from "../../Api";
 
 import { getContract } from "../../Addresses";
 import { getTokens, getToken, getWhitelistedTokens, getTokenBySymbol } from "../../data/Tokens";
@@ -41,6 +63,7 @@ import VaultReader from "../../abis/VaultReader.json";
 import VaultV2 from "../../abis/VaultV2.json";
 import VaultV2b from "../../abis/VaultV2b.json";
 import PositionRouter from "../../abis/PositionRouter.json";
+import OrderBook from "../../abis/OrderBook.json";
 import Router from "../../abis/Router.json";
 import Token from "../../abis/Token.json";
 
@@ -49,9 +72,13 @@ import SwapBox from "../../components/Exchange/SwapBox";
 import ExchangeTVChart from "../../components/Exchange/ExchangeTVChart";
 import PositionsList from "../../components/Exchange/PositionsList";
 import OrdersList from "../../components/Exchange/OrdersList";
+import PositionRequestsList from "../../components/Exchange/PositionRequestsList";
+import TwapSchedulesList from "../../components/Exchange/TwapSchedulesList";
+import PriceAlertsList from "../../components/Exchange/PriceAlertsList";
 import TradeHistory from "../../components/Exchange/TradeHistory";
 import ExchangeWalletTokens from "../../components/Exchange/ExchangeWalletTokens";
 import ExchangeBanner from "../../components/Exchange/ExchangeBanner";
+import LiquidationWarningBanner from "../../components/Exchange/LiquidationWarningBanner";
 import Tab from "../../components/Tab/Tab";
 import Footer from "../../Footer";
 
@@ -105,14 +132,6 @@ function getWsProvider(active, chainId) {
   }
 }
 
-function getFundingFee(data) {
-  let { entryFundingRate, cumulativeFundingRate, size } = data;
-  if (entryFundingRate && cumulativeFundingRate) {
-    return size.mul(cumulativeFundingRate.sub(entryFundingRate)).div(FUNDING_RATE_PRECISION);
-  }
-  return;
-}
-
 const getTokenAddress = (token, nativeTokenAddress) => {
   if (token.address === AddressZero) {
     return nativeTokenAddress;
@@ -358,6 +377,11 @@ export default function Exchange({
   setPendingTxns,
   savedShouldShowPositionLines,
   setSavedShouldShowPositionLines,
+  savedShouldShowTradeMarkers,
+  setSavedShouldShowTradeMarkers,
+  savedChartDataUrl,
+  savedLiquidationWarningSettings,
+  savedIsOrderExpiryAutoCancel,
   connectWallet,
 }) {
   const [showBanner, setShowBanner] = useLocalStorageSerializeKey("showBanner", true);
@@ -537,6 +561,57 @@ export default function Exchange({
     updatedPositions
   );
 
+  const liquidationWarnings = {};
+  for (const position of positions) {
+    const warning = getLiquidationWarning(position, savedLiquidationWarningSettings);
+    if (warning) {
+      liquidationWarnings[position.key] = warning;
+    }
+  }
+  const liquidationWarningsRef = useRef();
+  liquidationWarningsRef.current = { positionsMap, liquidationWarnings };
+  const liquidationWarningKeys = Object.keys(liquidationWarnings).sort().join(",");
+  const isLiquidationNotificationEnabled =
+    savedLiquidationWarningSettings && savedLiquidationWarningSettings.isNotificationEnabled;
+  const notifiedWarningKeys = useRef({});
+  const [positionEditRequest, setPositionEditRequest] = useState();
+  const [positionSellRequest, setPositionSellRequest] = useState();
+  const [orderPrefillRequest, setOrderPrefillRequest] = useState();
+
+  useEffect(() => {
+    const { positionsMap, liquidationWarnings } = liquidationWarningsRef.current;
+    for (const key of Object.keys(notifiedWarningKeys.current)) {
+      if (!liquidationWarnings[key]) {
+        delete notifiedWarningKeys.current[key];
+      }
+    }
+    for (const key of Object.keys(liquidationWarnings)) {
+      if (notifiedWarningKeys.current[key]) {
+        continue;
+      }
+      notifiedWarningKeys.current[key] = true;
+      if (
+        isLiquidationNotificationEnabled &&
+        typeof Notification !== "undefined" &&
+        Notification.permission === "granted"
+      ) {
+        new Notification("Liquidation warning", {
+          body: getLiquidationWarningText(positionsMap[key], liquidationWarnings[key]),
+        });
+      }
+    }
+  }, [liquidationWarningKeys, isLiquidationNotificationEnabled]);
+
+  const { positionRequests, updatePositionRequests, setPositionRequestStatus } = usePositionRequests(
+    chainId,
+    library,
+    active && account
+  );
+
+  // state of linked orders is declared further down, the subscription below reads it without resubscribing
+  const ocoRef = useRef({});
+
+  const [vaultPriceTick, setVaultPriceTick] = useState();
   useEffect(() => {
     const wsVaultAbi = chainId === ARBITRUM ? VaultV2.abi : VaultV2b.abi;
     const wsProvider = getWsProvider(active, chainId);
@@ -546,6 +621,7 @@ export default function Exchange({
 
     const wsVault = new ethers.Contract(vaultAddress, wsVaultAbi, wsProvider);
     const wsPositionRouter = new ethers.Contract(positionRouterAddress, PositionRouter.abi, wsProvider);
+    const wsOrderBook = new ethers.Contract(orderBookAddress, OrderBook.abi, wsProvider);
 
     const onUpdatePosition = (key, size, collateral, averagePrice, entryFundingRate, reserveAmount, realisedPnl) => {
       for (let i = 0; i < positions.length; i++) {
@@ -597,6 +673,8 @@ export default function Exchange({
       fee,
       e
     ) => {
+      // every position change on the vault carries the price it was executed at
+      setVaultPriceTick({ indexToken, price });
       if (account !== currentAccount) {
         return;
       }
@@ -633,6 +711,7 @@ export default function Exchange({
       fee,
       e
     ) => {
+      setVaultPriceTick({ indexToken, price });
       if (account !== currentAccount) {
         return;
       }
@@ -682,6 +761,12 @@ export default function Exchange({
       } within the allowed slippage, you can adjust the allowed slippage in the settings on the top right of the page`;
 
       pushErrorNotification(message, e);
+      setPositionRequestStatus(INCREASE, POSITION_REQUEST_CANCELLED, {
+        indexToken,
+        sizeDelta,
+        isLong,
+        acceptablePrice,
+      });
 
       const key = getPositionKey(path[path.length - 1], indexToken, isLong);
       pendingPositions[key] = {};
@@ -714,18 +799,104 @@ export default function Exchange({
       } within the allowed slippage, you can adjust the allowed slippage in the settings on the top right of the page`;
 
       pushErrorNotification(message, e);
+      setPositionRequestStatus(DECREASE, POSITION_REQUEST_CANCELLED, {
+        indexToken,
+        sizeDelta,
+        isLong,
+        acceptablePrice,
+      });
 
       const key = getPositionKey(path[path.length - 1], indexToken, isLong);
       pendingPositions[key] = {};
       setPendingPositions({ ...pendingPositions });
     };
 
+    const onCreatePosition = (account) => {
+      if (account !== currentAccount) {
+        return;
+      }
+      updatePositionRequests();
+    };
+
+    const onExecuteIncreasePosition = (
+      account,
+      path,
+      indexToken,
+      amountIn,
+      minOut,
+      sizeDelta,
+      isLong,
+      acceptablePrice
+    ) => {
+      if (account !== currentAccount) {
+        return;
+      }
+      setPositionRequestStatus(INCREASE, POSITION_REQUEST_EXECUTED, { indexToken, sizeDelta, isLong, acceptablePrice });
+    };
+
+    const onExecuteDecreasePosition = (
+      account,
+      path,
+      indexToken,
+      collateralDelta,
+      sizeDelta,
+      isLong,
+      receiver,
+      acceptablePrice
+    ) => {
+      if (account !== currentAccount) {
+        return;
+      }
+      setPositionRequestStatus(DECREASE, POSITION_REQUEST_EXECUTED, { indexToken, sizeDelta, isLong, acceptablePrice });
+    };
+
+    const onExecuteDecreaseOrder = (account, orderIndex) => {
+      const { library, orders, updateOrders, ocoLinks, setOcoLinks, pendingTxns, setPendingTxns } = ocoRef.current;
+      if (account !== currentAccount || !library) {
+        return;
+      }
+
+      const orderKey = getOrderKey({ type: DECREASE, account, index: orderIndex.toNumber() });
+      const siblingOrderKey = ocoLinks[orderKey];
+      if (!siblingOrderKey) {
+        return;
+      }
+      setOcoLinks(unlinkOcoOrder(ocoLinks, orderKey));
+
+      const siblingOrder = orders.find((order) => getOrderKey(order) === siblingOrderKey);
+      if (!siblingOrder) {
+        return;
+      }
+
+      cancelDecreaseOrder(chainId, library, siblingOrder.index, {
+        sentMsg: "Linked order executed, cancel submitted!",
+        successMsg: "Linked order cancelled!",
+        failMsg: "Linked order cancel failed.",
+        pendingTxns,
+        setPendingTxns,
+      })
+        .then(() => {
+          updateOrders(
+            orders.filter((order) => ![orderKey, siblingOrderKey].includes(getOrderKey(order))),
+            false
+          );
+        })
+        .catch((e) => {
+          console.error(e);
+        });
+    };
+
     wsVault.on("UpdatePosition", onUpdatePosition);
     wsVault.on("ClosePosition", onClosePosition);
     wsVault.on("IncreasePosition", onIncreasePosition);
     wsVault.on("DecreasePosition", onDecreasePosition);
     wsPositionRouter.on("CancelIncreasePosition", onCancelIncreasePosition);
     wsPositionRouter.on("CancelDecreasePosition", onCancelDecreasePosition);
+    wsPositionRouter.on("CreateIncreasePosition", onCreatePosition);
+    wsPositionRouter.on("CreateDecreasePosition", onCreatePosition);
+    wsPositionRouter.on("ExecuteIncreasePosition", onExecuteIncreasePosition);
+    wsPositionRouter.on("ExecuteDecreasePosition", onExecuteDecreasePosition);
+    wsOrderBook.on("ExecuteDecreaseOrder", onExecuteDecreaseOrder);
 
     return function cleanup() {
       wsVault.off("UpdatePosition", onUpdatePosition);
@@ -734,6 +905,11 @@ export default function Exchange({
       wsVault.off("DecreasePosition", onDecreasePosition);
       wsPositionRouter.off("CancelIncreasePosition", onCancelIncreasePosition);
       wsPositionRouter.off("CancelDecreasePosition", onCancelDecreasePosition);
+      wsPositionRouter.off("CreateIncreasePosition", onCreatePosition);
+      wsPositionRouter.off("CreateDecreasePosition", onCreatePosition);
+      wsPositionRouter.off("ExecuteIncreasePosition", onExecuteIncreasePosition);
+      wsPositionRouter.off("ExecuteDecreasePosition", onExecuteDecreasePosition);
+      wsOrderBook.off("ExecuteDecreaseOrder", onExecuteDecreaseOrder);
     };
   }, [
     active,
@@ -744,10 +920,54 @@ export default function Exchange({
     pendingPositions,
     vaultAddress,
     positionRouterAddress,
+    orderBookAddress,
+    updatePositionRequests,
+    setPositionRequestStatus,
   ]);
 
   const flagOrdersEnabled = true;
-  const [orders] = useAccountOrders(flagOrdersEnabled);
+  const [orders, updateOrders, isOrdersLoaded] = useAccountOrders(flagOrdersEnabled);
+  const [orderGroups, setOrderGroups] = useLocalStorageSerializeKey([chainId, ORDER_GROUPS_KEY], {});
+  useEffect(() => {
+    if (!isOrdersLoaded || !currentAccount) {
+      return;
+    }
+    const nextOrderGroups = pruneOrderGroups(
+      orderGroups,
+      orders.map((order) => getOrderKey(order)),
+      currentAccount,
+      parseInt(Date.now() / 1000)
+    );
+    if (nextOrderGroups !== orderGroups) {
+      setOrderGroups(nextOrderGroups);
+    }
+  }, [isOrdersLoaded, orders, orderGroups, setOrderGroups, currentAccount]);
+  const [trailingStops, setTrailingStops] = useTrailingStops(chainId, library, {
+    orders,
+    infoTokens,
+    nativeTokenAddress,
+    setPendingTxns,
+  });
+  const [orderExpiries, setOrderExpiries] = useOrderExpiries(chainId, library, {
+    account: active && account,
+    orders,
+    isAutoCancelEnabled: savedIsOrderExpiryAutoCancel,
+    setPendingTxns,
+  });
+  const [ocoLinks, setOcoLinks] = useLocalStorageSerializeKey([chainId, OCO_LINKS_KEY], {});
+  const { priceAlerts, addPriceAlert, updatePriceAlert, removePriceAlert } = usePriceAlerts(chainId, infoTokens);
+  const { twapSchedules, addTwapSchedule, updateTwapSchedule, removeTwapSchedule } = useTwapSchedules(
+    chainId,
+    library,
+    {
+      account: active && account,
+      infoTokens,
+      positionsMap,
+      setPendingTxns,
+    }
+  );
+
+  ocoRef.current = { library, orders, updateOrders, ocoLinks, setOcoLinks, pendingTxns, setPendingTxns };
 
   const [isWaitingForPluginApproval, setIsWaitingForPluginApproval] = useState(false);
   const [isWaitingForPositionRouterApproval, setIsWaitingForPositionRouterApproval] = useState(false);
@@ -788,10 +1008,25 @@ export default function Exchange({
       });
   };
 
-  const LIST_SECTIONS = ["Positions", flagOrdersEnabled ? "Orders" : undefined, "Trades"].filter(Boolean);
+  const LIST_SECTIONS = [
+    "Positions",
+    flagOrdersEnabled ? "Orders" : undefined,
+    "Requests",
+    "TWAP",
+    "Alerts",
+    "Trades",
+  ].filter(Boolean);
+  const pendingRequestsCount = positionRequests.filter((request) => request.status === POSITION_REQUEST_PENDING).length;
+  const accountTwapSchedules = Object.values(twapSchedules).filter((schedule) => schedule.account === account);
+  const activeTwapCount = accountTwapSchedules.filter(
+    (schedule) => schedule.status === TWAP_ACTIVE || schedule.status === TWAP_PAUSED
+  ).length;
   let [listSection, setListSection] = useLocalStorageByChainId(chainId, "List-section-v2", LIST_SECTIONS[0]);
   const LIST_SECTIONS_LABELS = {
     Orders: orders.length ? `Orders (${orders.length})` : undefined,
+    Requests: pendingRequestsCount ? `Requests (${pendingRequestsCount})` : undefined,
+    TWAP: activeTwapCount ? `TWAP (${activeTwapCount} active)` : undefined,
+    Alerts: priceAlerts.length ? `Alerts (${priceAlerts.length})` : undefined,
   };
   if (!LIST_SECTIONS.includes(listSection)) {
     listSection = LIST_SECTIONS[0];
@@ -801,6 +1036,21 @@ export default function Exchange({
     return null;
   }
 
+  const onAddCollateral = (position, depositUsd) => {
+    setListSection("Positions");
+    setPositionEditRequest({ positionKey: position.key, depositUsd });
+  };
+
+  const onPlaceLimitOrder = (isLong, indexTokenAddress, triggerPrice) => {
+    setMarket(isLong ? LONG : SHORT, indexTokenAddress);
+    setOrderPrefillRequest({ triggerPrice });
+  };
+
+  const onPlacePositionOrder = (position, triggerPrice) => {
+    setListSection("Positions");
+    setPositionSellRequest({ positionKey: position.key, triggerPrice });
+  };
+
   const getListSection = () => {
     return (
       <div>
@@ -817,6 +1067,9 @@ export default function Exchange({
             <Checkbox isChecked={savedShouldShowPositionLines} setIsChecked={setSavedShouldShowPositionLines}>
               <span className="muted">Chart positions</span>
             </Checkbox>
+            <Checkbox isChecked={savedShouldShowTradeMarkers} setIsChecked={setSavedShouldShowTradeMarkers}>
+              <span className="muted">Chart trades</span>
+            </Checkbox>
           </div>
         </div>
         {listSection === "Positions" && (
@@ -836,6 +1089,11 @@ export default function Exchange({
             positionRouterApproved={positionRouterApproved}
             positions={positions}
             positionsMap={positionsMap}
+            liquidationWarnings={liquidationWarnings}
+            positionEditRequest={positionEditRequest}
+            setPositionEditRequest={setPositionEditRequest}
+            positionSellRequest={positionSellRequest}
+            setPositionSellRequest={setPositionSellRequest}
             infoTokens={infoTokens}
             active={active}
             account={account}
@@ -848,7 +1106,17 @@ export default function Exchange({
             nativeTokenAddress={nativeTokenAddress}
             setMarket={setMarket}
             orders={orders}
+            updateOrders={updateOrders}
+            orderGroups={orderGroups}
+            setOrderGroups={setOrderGroups}
+            orderExpiries={orderExpiries}
+            setOrderExpiries={setOrderExpiries}
+            trailingStops={trailingStops}
+            setTrailingStops={setTrailingStops}
+            addTwapSchedule={addTwapSchedule}
             showPnlAfterFees={savedShowPnlAfterFees}
+            usdgSupply={usdgSupply}
+            totalTokenWeights={totalTokenWeights}
           />
         )}
         {listSection === "Orders" && (
@@ -861,10 +1129,45 @@ export default function Exchange({
             positionsMap={positionsMap}
             chainId={chainId}
             orders={orders}
+            updateOrders={updateOrders}
+            orderGroups={orderGroups}
+            trailingStops={trailingStops}
+            orderExpiries={orderExpiries}
+            ocoLinks={ocoLinks}
+            setOcoLinks={setOcoLinks}
+            marketTokenAddress={toTokenAddress}
             totalTokenWeights={totalTokenWeights}
             usdgSupply={usdgSupply}
           />
         )}
+        {listSection === "Requests" && (
+          <PositionRequestsList
+            active={active}
+            library={library}
+            chainId={chainId}
+            infoTokens={infoTokens}
+            nativeTokenAddress={nativeTokenAddress}
+            positionRequests={positionRequests}
+            updatePositionRequests={updatePositionRequests}
+            setPendingTxns={setPendingTxns}
+          />
+        )}
+        {listSection === "TWAP" && (
+          <TwapSchedulesList
+            infoTokens={infoTokens}
+            nativeTokenAddress={nativeTokenAddress}
+            twapSchedules={accountTwapSchedules}
+            updateTwapSchedule={updateTwapSchedule}
+            removeTwapSchedule={removeTwapSchedule}
+          />
+        )}
+        {listSection === "Alerts" && (
+          <PriceAlertsList
+            priceAlerts={priceAlerts}
+            updatePriceAlert={updatePriceAlert}
+            removePriceAlert={removePriceAlert}
+          />
+        )}
         {listSection === "Trades" && (
           <TradeHistory
             account={account}
@@ -893,6 +1196,19 @@ export default function Exchange({
         positions={positions}
         savedShouldShowPositionLines={savedShouldShowPositionLines}
         orders={orders}
+        priceAlerts={priceAlerts}
+        addPriceAlert={addPriceAlert}
+        library={library}
+        pendingTxns={pendingTxns}
+        setPendingTxns={setPendingTxns}
+        positionsMap={positionsMap}
+        onPlaceLimitOrder={onPlaceLimitOrder}
+        onPlacePositionOrder={onPlacePositionOrder}
+        account={account}
+        nativeTokenAddress={nativeTokenAddress}
+        savedShouldShowTradeMarkers={savedShouldShowTradeMarkers}
+        vaultPriceTick={vaultPriceTick}
+        savedChartDataUrl={savedChartDataUrl}
       />
     );
   };
@@ -900,6 +1216,11 @@ export default function Exchange({
   return (
     <div className="Exchange page-layout">
       {showBanner && <ExchangeBanner hideBanner={hideBanner} />}
+      <LiquidationWarningBanner
+        positions={positions}
+        liquidationWarnings={liquidationWarnings}
+        onAddCollateral={onAddCollateral}
+      />
       <div className="Exchange-content">
         <div className="Exchange-left">
           {renderChart()}
@@ -920,6 +1241,11 @@ export default function Exchange({
             orderBookApproved={orderBookApproved}
             positionRouterApproved={positionRouterApproved}
             orders={orders}
+            orderGroups={orderGroups}
+            setOrderGroups={setOrderGroups}
+            orderExpiries={orderExpiries}
+            setOrderExpiries={setOrderExpiries}
+            addTwapSchedule={addTwapSchedule}
             flagOrdersEnabled={flagOrdersEnabled}
             chainId={chainId}
             infoTokens={infoTokens}
@@ -948,6 +1274,8 @@ export default function Exchange({
             savedSlippageAmount={savedSlippageAmount}
             totalTokenWeights={totalTokenWeights}
             usdgSupply={usdgSupply}
+            orderPrefillRequest={orderPrefillRequest}
+            setOrderPrefillRequest={setOrderPrefillRequest}
           />
           <div className="Exchange-wallet-tokens">
             <div className="Exchange-wallet-tokens-content">